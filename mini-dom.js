@@ -4,8 +4,20 @@
  *
  * 실제 DOM 상속 계층:
  * EventTarget → Node → Element → HTMLElement → HTMLDivElement, ...
- *                    → Text
+ *                    → CharacterData → Text
+ *                                    → Comment
+ *                                    → ProcessingInstruction
+ *                    → DocumentType
+ *                    → DocumentFragment
  *                    → Document
+ * EventTarget → AbortSignal
+ * Event → CustomEvent
+ *       → UIEvent → MouseEvent → PointerEvent
+ *                              → WheelEvent
+ *                 → KeyboardEvent
+ *                 → FocusEvent
+ *                 → InputEvent
+ *       → SubmitEvent
  */
 
 // ============================================================
@@ -20,22 +32,41 @@ class EventTarget {
   /**
    * 이벤트 리스너 등록
    * @param {string} type - 이벤트 타입 (click, input 등)
-   * @param {Function} listener - 콜백 함수
-   * @param {Object|boolean} options - capture 여부 등
+   * @param {Function|{handleEvent: Function}} listener - 콜백 함수 또는 handleEvent 메서드를 가진 객체
+   * @param {Object|boolean} options - capture, once, passive, signal
+   *   passive: true면 리스너 안의 preventDefault()를 무시
+   *   signal: AbortSignal이 abort되면 리스너를 자동으로 제거
    */
   addEventListener(type, listener, options = {}) {
-    
+
+    // 옵션 처리
+    const capture = typeof options === 'boolean' ? options : options.capture || false;
+    const once = options.once || false;
+    const passive = options.passive || false;
+    const signal = options.signal || null;
+
+    // 리스너가 없거나 이미 abort된 signal이면 등록하지 않음
+    if (!listener || (signal && signal.aborted)) return;
+
     // 리스너 객체가 존재하지 않는 경우, 초기화 
     if (!this._listeners[type]) {
       this._listeners[type] = [];
     }
 
-    // 옵션 처리
-    const capture = typeof options === 'boolean' ? options : options.capture || false;
-    const once = options.once || false;
+    // 같은 리스너 + capture 조합은 한 번만 등록 (나머지 옵션은 처음 등록한 값 유지)
+    if (this._listeners[type].some(entry => entry.listener === listener && entry.capture === capture)) {
+      return;
+    }
 
     // 리스너 등록 
-    this._listeners[type].push({ listener, capture, once });
+    const entry = { listener, capture, once, passive, signal, removed: false };
+    this._listeners[type].push(entry);
+
+    // signal이 abort되면 이 리스너를 제거
+    if (signal) {
+      entry.abortAlgorithm = () => this.removeEventListener(type, listener, { capture });
+      signal._abortAlgorithms.add(entry.abortAlgorithm);
+    }
   
   }
 
@@ -47,10 +78,15 @@ class EventTarget {
     // 옵션 처리
     const capture = typeof options === 'boolean' ? options : options.capture || false;
 
-    // 리스너 제거
-    this._listeners[type] = this._listeners[type].filter(
-      entry => !(entry.listener === listener && entry.capture === capture)
-    );
+    // 리스너 제거 - 디스패치 중이면 removed 표시로 남은 호출을 막음
+    this._listeners[type] = this._listeners[type].filter(entry => {
+      if (entry.listener !== listener || entry.capture !== capture) return true;
+      entry.removed = true;
+      if (entry.signal) {
+        entry.signal._abortAlgorithms.delete(entry.abortAlgorithm);
+      }
+      return false;
+    });
   }
 
   /**
@@ -58,9 +94,14 @@ class EventTarget {
    * 1. Capturing Phase: window → target (위에서 아래로)
    * 2. Target Phase: target 자신
    * 3. Bubbling Phase: target → window (아래에서 위로)
+   * 디스패치 중인 이벤트를 다시 디스패치하면 InvalidStateError
    */
   dispatchEvent(event) {
 
+    if (event._dispatching) {
+      throw new DOMException('The event is already being dispatched', 'InvalidStateError');
+    }
+
     // 이벤트에 target 설정
     event._target = this;
 
@@ -73,6 +114,30 @@ class EventTarget {
       current = current.parentNode;
     }
 
+    // 시작 시점의 경로를 고정 - 리스너가 트리를 바꿔도 composedPath()는 그대로
+    event._path = [...path].reverse();
+    event._dispatching = true;
+
+    try {
+      this._dispatchAlongPath(event, path);
+    } finally {
+      // 디스패치가 끝나면 진행 상태를 초기화 (target은 유지)
+      event._dispatching = false;
+      event._path = [];
+      event._phase = Event.NONE;
+      event._currentTarget = null;
+      event._propagationStopped = false;
+      event._immediatePropagationStopped = false;
+    }
+
+    return !event.defaultPrevented;
+  }
+
+  /**
+   * 내부 메서드: path([root, ..., target])를 따라 capture → target → bubble 순서로 리스너 실행
+   */
+  _dispatchAlongPath(event, path) {
+
     // Phase 1: CAPTURING_PHASE (root → target 직전까지)
     event._phase = Event.CAPTURING_PHASE;
     for (let i = 0; i < path.length - 1; i++) {
@@ -102,8 +167,6 @@ class EventTarget {
       }
 
     }
-
-    return !event.defaultPrevented;
   }
 
   /**
@@ -140,22 +203,33 @@ class EventTarget {
   }
 
   _executeListener(entry, event) {
+
+    // 같은 디스패치 안에서 먼저 실행된 리스너가 제거한 경우
+    if (entry.removed) return;
     
     if (entry.once) {
       this.removeEventListener(event.type, entry.listener, { capture: entry.capture });
     }
     
+    event._inPassiveListener = entry.passive;
     try {
-      entry.listener.call(this, event);
+      // 함수는 currentTarget을 this로, 객체는 handleEvent를 객체 자신을 this로 호출
+      if (typeof entry.listener === 'function') {
+        entry.listener.call(this, event);
+      } else {
+        entry.listener.handleEvent(event);
+      }
     } catch (e) {
       console.error('Error in event listener:', e);
+    } finally {
+      event._inPassiveListener = false;
     }
   }
 }
 
 
 // ============================================================
-// 2. Event - 이벤트 객체
+// 2. Event - 이벤트 객체와 CustomEvent, UI 이벤트 계층
 // ============================================================
 class Event {
   static NONE = 0;
@@ -167,6 +241,7 @@ class Event {
     this.type = type;
     this.bubbles = options.bubbles || false;
     this.cancelable = options.cancelable || false;
+    this.composed = options.composed || false;
     this.timeStamp = Date.now();
 
     // 내부 상태
@@ -175,6 +250,9 @@ class Event {
     this._phase = Event.NONE;
     this._propagationStopped = false;
     this._immediatePropagationStopped = false;
+    this._inPassiveListener = false;
+    this._dispatching = false;
+    this._path = [];  // 디스패치 중의 경로 [target, ..., root]
     this.defaultPrevented = false;
   }
 
@@ -182,6 +260,13 @@ class Event {
   get currentTarget() { return this._currentTarget; }
   get eventPhase() { return this._phase; }
 
+  /**
+   * 디스패치를 시작할 때 고정한 경로 (target부터 root까지) - 디스패치 중이 아니면 빈 배열
+   */
+  composedPath() {
+    return [...this._path];
+  }
+
   stopPropagation() {
     this._propagationStopped = true;
   }
@@ -192,59 +277,518 @@ class Event {
   }
 
   preventDefault() {
+    // passive 리스너 안에서는 무시하고 경고 훅만 호출
+    if (this._inPassiveListener) {
+      if (typeof Event.onPassivePreventDefault === 'function') {
+        Event.onPassivePreventDefault(this);
+      }
+      return;
+    }
+
     if (this.cancelable) {
       this.defaultPrevented = true;
     }
   }
+
+  /**
+   * passive 리스너에서 preventDefault()를 호출했을 때 불리는 경고 훅 (null이면 조용히 무시)
+   */
+  static onPassivePreventDefault = (event) => {
+    console.warn(`Unable to preventDefault inside passive event listener invocation (${event.type})`);
+  };
+}
+
+/**
+ * 임의의 데이터(detail)를 실어 보내는 이벤트
+ */
+class CustomEvent extends Event {
+  constructor(type, options = {}) {
+    super(type, options);
+    this.detail = options.detail ?? null;
+  }
+}
+
+/**
+ * 사용자 인터페이스 이벤트의 공통 부모 - view, detail(클릭 횟수 등)
+ */
+class UIEvent extends Event {
+  constructor(type, options = {}) {
+    super(type, options);
+    this.view = options.view ?? null;
+    this.detail = options.detail ?? 0;
+  }
+}
+
+// getModifierState()의 키 이름 → init 딕셔너리 필드
+const MODIFIER_INIT_FIELDS = {
+  Control: 'ctrlKey',
+  Shift: 'shiftKey',
+  Alt: 'altKey',
+  Meta: 'metaKey',
+  AltGraph: 'modifierAltGraph',
+  CapsLock: 'modifierCapsLock',
+  Fn: 'modifierFn',
+  FnLock: 'modifierFnLock',
+  Hyper: 'modifierHyper',
+  NumLock: 'modifierNumLock',
+  ScrollLock: 'modifierScrollLock',
+  Super: 'modifierSuper',
+  Symbol: 'modifierSymbol',
+  SymbolLock: 'modifierSymbolLock',
+};
+
+// MouseEvent, KeyboardEvent 공통 - 수식 키 상태
+const EventModifierMixin = {
+  _initModifiers(options) {
+    this.ctrlKey = options.ctrlKey || false;
+    this.shiftKey = options.shiftKey || false;
+    this.altKey = options.altKey || false;
+    this.metaKey = options.metaKey || false;
+
+    this._modifierState = new Map();
+    for (const [key, field] of Object.entries(MODIFIER_INIT_FIELDS)) {
+      this._modifierState.set(key, !!options[field]);
+    }
+  },
+
+  /**
+   * 'Control', 'Shift', 'CapsLock' 같은 키 이름으로 수식 키가 눌렸는지 확인
+   */
+  getModifierState(key) {
+    return this._modifierState.get(key) === true;
+  },
+};
+
+class MouseEvent extends UIEvent {
+  constructor(type, options = {}) {
+    super(type, options);
+    this._initModifiers(options);
+
+    this.screenX = options.screenX || 0;
+    this.screenY = options.screenY || 0;
+    this.clientX = options.clientX || 0;
+    this.clientY = options.clientY || 0;
+    this.movementX = options.movementX || 0;
+    this.movementY = options.movementY || 0;
+
+    // button: 상태가 바뀐 버튼 하나 (0 주 버튼, 1 가운데, 2 보조)
+    // buttons: 눌려 있는 버튼들의 비트 마스크 (1 주 버튼, 2 보조, 4 가운데)
+    this.button = options.button || 0;
+    this.buttons = options.buttons || 0;
+    this.relatedTarget = options.relatedTarget ?? null;
+  }
+
+  // 스크롤과 레이아웃이 없으므로 page/offset 좌표는 client 좌표와 같음
+  get x() { return this.clientX; }
+  get y() { return this.clientY; }
+  get pageX() { return this.clientX; }
+  get pageY() { return this.clientY; }
+}
+
+class PointerEvent extends MouseEvent {
+  constructor(type, options = {}) {
+    super(type, options);
+    this.pointerId = options.pointerId || 0;
+    this.width = options.width ?? 1;
+    this.height = options.height ?? 1;
+    this.pressure = options.pressure || 0;
+    this.tangentialPressure = options.tangentialPressure || 0;
+    this.tiltX = options.tiltX || 0;
+    this.tiltY = options.tiltY || 0;
+    this.twist = options.twist || 0;
+    this.altitudeAngle = options.altitudeAngle ?? Math.PI / 2;
+    this.azimuthAngle = options.azimuthAngle || 0;
+    this.pointerType = options.pointerType || '';
+    this.isPrimary = options.isPrimary || false;
+  }
+}
+
+class WheelEvent extends MouseEvent {
+  // deltaMode 단위
+  static DOM_DELTA_PIXEL = 0;
+  static DOM_DELTA_LINE = 1;
+  static DOM_DELTA_PAGE = 2;
+
+  constructor(type, options = {}) {
+    super(type, options);
+    this.deltaX = options.deltaX || 0;
+    this.deltaY = options.deltaY || 0;
+    this.deltaZ = options.deltaZ || 0;
+    this.deltaMode = options.deltaMode || WheelEvent.DOM_DELTA_PIXEL;
+  }
+}
+
+class KeyboardEvent extends UIEvent {
+  // location 값
+  static DOM_KEY_LOCATION_STANDARD = 0;
+  static DOM_KEY_LOCATION_LEFT = 1;
+  static DOM_KEY_LOCATION_RIGHT = 2;
+  static DOM_KEY_LOCATION_NUMPAD = 3;
+
+  constructor(type, options = {}) {
+    super(type, options);
+    this._initModifiers(options);
+
+    this.key = options.key || '';    // 입력된 값 ('a', 'Enter', 'Shift')
+    this.code = options.code || '';  // 물리 키 위치 ('KeyA', 'Enter', 'ShiftLeft')
+    this.location = options.location || KeyboardEvent.DOM_KEY_LOCATION_STANDARD;
+    this.repeat = options.repeat || false;
+    this.isComposing = options.isComposing || false;
+
+    // 레거시 숫자 코드
+    this.charCode = options.charCode || 0;
+    this.keyCode = options.keyCode || 0;
+  }
+}
+
+Object.assign(MouseEvent.prototype, EventModifierMixin);
+Object.assign(KeyboardEvent.prototype, EventModifierMixin);
+
+class FocusEvent extends UIEvent {
+  constructor(type, options = {}) {
+    super(type, options);
+    // focus/focusin이면 포커스를 잃는 요소, blur/focusout이면 포커스를 얻는 요소
+    this.relatedTarget = options.relatedTarget ?? null;
+  }
+}
+
+class InputEvent extends UIEvent {
+  constructor(type, options = {}) {
+    super(type, options);
+    this.data = options.data ?? null;
+    this.isComposing = options.isComposing || false;
+    this.inputType = options.inputType || '';  // 'insertText', 'deleteContentBackward' 등
+    this.dataTransfer = options.dataTransfer ?? null;
+  }
+}
+
+/**
+ * 폼 제출 이벤트 - submitter는 제출을 일으킨 버튼 (없으면 null)
+ */
+class SubmitEvent extends Event {
+  constructor(type, options = {}) {
+    super(type, options);
+    this.submitter = options.submitter ?? null;
+  }
+}
+
+
+// ============================================================
+// 3. DOMException - DOM 연산 오류
+// ============================================================
+
+// 이름별 레거시 code 값 (목록에 없는 이름은 0)
+const DOM_EXCEPTION_CODES = {
+  IndexSizeError: 1,
+  HierarchyRequestError: 3,
+  WrongDocumentError: 4,
+  InvalidCharacterError: 5,
+  NoModificationAllowedError: 7,
+  NotFoundError: 8,
+  NotSupportedError: 9,
+  InUseAttributeError: 10,
+  InvalidStateError: 11,
+  SyntaxError: 12,
+  InvalidModificationError: 13,
+  NamespaceError: 14,
+  InvalidAccessError: 15,
+  TypeMismatchError: 17,
+  SecurityError: 18,
+  NetworkError: 19,
+  AbortError: 20,
+  URLMismatchError: 21,
+  QuotaExceededError: 22,
+  TimeoutError: 23,
+  InvalidNodeTypeError: 24,
+  DataCloneError: 25,
+};
+
+class DOMException extends Error {
+  constructor(message = '', name = 'Error') {
+    super(message);
+    this.name = name;
+  }
+
+  get code() {
+    return DOM_EXCEPTION_CODES[this.name] || 0;
+  }
+}
+
+// XML Name 생성 규칙 (createElement 등에 넘기는 이름 검사용)
+const NAME_START_CHARS = 'A-Z_a-z:\u00C0-\u00D6\u00D8-\u00F6\u00F8-\u02FF\u0370-\u037D'
+  + '\u037F-\u1FFF\u200C\u200D\u2070-\u218F\u2C00-\u2FEF\u3001-\uD7FF\uF900-\uFDCF\uFDF0-\uFFFD';
+const XML_NAME = new RegExp(
+  `^[${NAME_START_CHARS}][${NAME_START_CHARS}\\-.0-9\u00B7\u0300-\u036F\u203F\u2040]*$`
+);
+
+/**
+ * 이름이 XML Name이 아니면 InvalidCharacterError
+ * qualified이면 prefix:localName 형태(콜론은 최대 하나, 양쪽 비어 있지 않음)까지 검사
+ */
+function validateName(name, qualified = false) {
+  const parts = name.split(':');
+  const valid = XML_NAME.test(name)
+    && (!qualified || (parts.length <= 2 && parts.every(part => part)));
+  if (!valid) {
+    throw new DOMException(`'${name}' is not a valid name`, 'InvalidCharacterError');
+  }
+}
+
+
+// ============================================================
+// 4. AbortController, AbortSignal - 작업 취소 신호 (EventTarget 상속)
+// ============================================================
+
+/**
+ * 취소 신호 - abort되면 등록된 정리 작업(리스너 제거 등)을 실행하고 'abort' 이벤트 발생
+ */
+class AbortSignal extends EventTarget {
+  constructor() {
+    super();
+    this.aborted = false;
+    this.reason = undefined;
+    this._onabort = null;
+
+    // abort 시 실행할 내부 정리 작업 (addEventListener의 signal 옵션 등)
+    this._abortAlgorithms = new Set();
+  }
+
+  /**
+   * 이미 abort된 signal
+   */
+  static abort(reason) {
+    const signal = new AbortSignal();
+    signal._signalAbort(reason);
+    return signal;
+  }
+
+  get onabort() {
+    return this._onabort;
+  }
+
+  set onabort(handler) {
+    if (this._onabort) {
+      this.removeEventListener('abort', this._onabort);
+    }
+    this._onabort = typeof handler === 'function' ? handler : null;
+    if (this._onabort) {
+      this.addEventListener('abort', this._onabort);
+    }
+  }
+
+  /**
+   * abort되었으면 reason을 던짐
+   */
+  throwIfAborted() {
+    if (this.aborted) {
+      throw this.reason;
+    }
+  }
+
+  _signalAbort(reason) {
+    if (this.aborted) return;
+
+    this.aborted = true;
+    this.reason = reason !== undefined
+      ? reason
+      : new DOMException('signal is aborted without reason', 'AbortError');
+
+    const algorithms = [...this._abortAlgorithms];
+    this._abortAlgorithms.clear();
+    for (const algorithm of algorithms) {
+      algorithm();
+    }
+
+    this.dispatchEvent(new Event('abort'));
+  }
+}
+
+class AbortController {
+  constructor() {
+    this.signal = new AbortSignal();
+  }
+
+  /**
+   * signal을 abort - reason을 생략하면 AbortError DOMException
+   */
+  abort(reason) {
+    this.signal._signalAbort(reason);
+  }
 }
 
 
 // ============================================================
-// 3. Node - DOM 트리 구조의 핵심 (EventTarget 상속)
+// 5. Node - DOM 트리 구조의 핵심 (EventTarget 상속)
 // ============================================================
 class Node extends EventTarget {
   // 노드 타입 상수
   static ELEMENT_NODE = 1;
+  static ATTRIBUTE_NODE = 2;
   static TEXT_NODE = 3;
+  static PROCESSING_INSTRUCTION_NODE = 7;
   static COMMENT_NODE = 8;
   static DOCUMENT_NODE = 9;
+  static DOCUMENT_TYPE_NODE = 10;
+  static DOCUMENT_FRAGMENT_NODE = 11;
+
+  // compareDocumentPosition 결과 비트
+  static DOCUMENT_POSITION_DISCONNECTED = 0x01;
+  static DOCUMENT_POSITION_PRECEDING = 0x02;
+  static DOCUMENT_POSITION_FOLLOWING = 0x04;
+  static DOCUMENT_POSITION_CONTAINS = 0x08;
+  static DOCUMENT_POSITION_CONTAINED_BY = 0x10;
+  static DOCUMENT_POSITION_IMPLEMENTATION_SPECIFIC = 0x20;
 
   constructor(nodeType) {
     super();  // EventTarget 초기화
 
     this.nodeType = nodeType;
     this.parentNode = null;
-    this.childNodes = [];  // 자식 노드 배열 (실제론 NodeList)
+
+    // 자식 목록은 이중 연결 리스트 - 형제 이동과 삽입/삭제가 O(1)
+    this._firstChild = null;
+    this._lastChild = null;
+    this._previousSibling = null;
+    this._nextSibling = null;
+    this._childCount = 0;
+    // 내부 순회용 자식 배열 캐시 (자식 목록이 바뀌면 null로 무효화)
+    this._childArray = null;
+    // 마지막으로 인덱스 접근한 자식 - 변경 뒤에도 가능한 한 보정해서 유지
+    this._cursorIndex = -1;
+    this._cursorNode = null;
+    this._childNodeList = null;
+
+    // 소속 문서 - Document의 팩토리 메서드로 만들거나 문서 트리에 삽입될 때 정해짐
+    this._ownerDocument = null;
+    // 문서 트리에 연결되어 있는지 - 삽입/제거 때 하위 트리 전체에 반영하므로
+    // 조상을 따라 올라가지 않고 바로 알 수 있음
+    this._connected = nodeType === Node.DOCUMENT_NODE;
+  }
+
+  /**
+   * 문서 트리에 연결되어 있는지 여부
+   */
+  get isConnected() {
+    return this._connected;
+  }
+
+  /**
+   * 노드가 속한 문서 (Document 자신은 null)
+   */
+  get ownerDocument() {
+    return this.nodeType === Node.DOCUMENT_NODE ? null : this._ownerDocument;
+  }
+
+  /**
+   * node document - Document는 자기 자신
+   */
+  get _nodeDocument() {
+    return this.nodeType === Node.DOCUMENT_NODE ? this : this._ownerDocument;
+  }
+
+  /**
+   * 자식 노드 목록 - 항상 같은 라이브 NodeList를 반환
+   */
+  get childNodes() {
+    if (!this._childNodeList) {
+      this._childNodeList = new ChildNodeList(this);
+    }
+    return this._childNodeList;
+  }
+
+  /**
+   * 자식 배열 - 연결 리스트를 한 번 훑어 만든 뒤 다음 변경 전까지 재사용
+   * 내부 순회용이므로 호출한 쪽에서 수정하면 안 됨
+   */
+  get _children() {
+    if (!this._childArray) {
+      const array = new Array(this._childCount);
+      let i = 0;
+      for (let child = this._firstChild; child; child = child._nextSibling) {
+        array[i++] = child;
+      }
+      this._childArray = array;
+    }
+    return this._childArray;
+  }
+
+  /**
+   * index번째 자식 - 배열 캐시가 있으면 바로 읽고, 없으면
+   * 양 끝과 마지막 접근 위치(커서) 중 가장 가까운 곳에서 걸어감
+   * 변경 때마다 배열을 다시 만들지 않으므로 childNodes[i]와 삽입이 섞여도 빠름
+   */
+  _childAt(index) {
+    if (index >= this._childCount) return null;
+    if (this._childArray) return this._childArray[index];
+
+    let node = this._firstChild;
+    let position = 0;
+    if (this._childCount - 1 - index < index) {
+      node = this._lastChild;
+      position = this._childCount - 1;
+    }
+    if (this._cursorNode && Math.abs(this._cursorIndex - index) < Math.abs(position - index)) {
+      node = this._cursorNode;
+      position = this._cursorIndex;
+    }
+    for (; position < index; position++) node = node._nextSibling;
+    for (; position > index; position--) node = node._previousSibling;
+
+    this._cursorIndex = index;
+    this._cursorNode = node;
+    return node;
+  }
+
+  /**
+   * 자식 목록 변경 후 커서 보정 - 커서 위치가 어떻게 바뀌었는지 알 수 있을 때만 유지
+   * @param {Node|null} referenceNode - 삽입 위치 (null이면 맨 뒤)
+   * @param {number} count - 삽입한 노드 수
+   */
+  _moveCursorAfterInsert(referenceNode, count) {
+    if (!this._cursorNode || !referenceNode) return;
+    if (referenceNode === this._cursorNode || referenceNode === this._firstChild) {
+      // 커서 노드나 그 앞쪽 전체가 count만큼 뒤로 밀림
+      this._cursorIndex += count;
+    } else {
+      this._cursorNode = null;
+    }
+  }
+
+  _moveCursorBeforeRemove(child) {
+    if (!this._cursorNode || child === this._lastChild && child !== this._cursorNode) return;
+    if (child === this._cursorNode) {
+      this._cursorNode = child._nextSibling;
+    } else if (child === this._firstChild) {
+      this._cursorIndex--;
+    } else {
+      this._cursorNode = null;
+    }
   }
 
   // 읽기 전용 프로퍼티들 (getter)
   get firstChild() {
-    return this.childNodes[0] || null;
+    return this._firstChild;
   }
 
   get lastChild() {
-    return this.childNodes[this.childNodes.length - 1] || null;
+    return this._lastChild;
   }
 
   get nextSibling() {
-    if (!this.parentNode) return null;
-    const siblings = this.parentNode.childNodes;
-    const index = siblings.indexOf(this);
-    return siblings[index + 1] || null;
+    return this._nextSibling;
   }
 
   get previousSibling() {
-    if (!this.parentNode) return null;
-    const siblings = this.parentNode.childNodes;
-    const index = siblings.indexOf(this);
-    return siblings[index - 1] || null;
+    return this._previousSibling;
   }
 
   get textContent() {
-    // 모든 자손 Text 노드의 내용을 합침
-    return this.childNodes
-      .map(child => child.textContent)
-      .join('');
+    // 모든 자손 Text 노드의 내용을 합침 (주석, 처리 명령은 제외)
+    let text = '';
+    for (const node of descendantsOf(this)) {
+      if (node.nodeType === Node.TEXT_NODE) text += node.data;
+    }
+    return text;
   }
 
   set textContent(value) {
@@ -259,17 +803,23 @@ class Node extends EventTarget {
   }
 
   /**
-   * 자식 노드 추가 (맨 뒤에)
+   * 노드 값 - Element, Document 등은 항상 null (CharacterData가 재정의)
    */
-  appendChild(child) {
-    // 이미 다른 부모에 속해있다면 먼저 제거
-    if (child.parentNode) {
-      child.parentNode.removeChild(child);
-    }
+  get nodeValue() {
+    return null;
+  }
 
-    child.parentNode = this;
-    this.childNodes.push(child);
+  set nodeValue(value) {
+    // null인 노드에서는 아무 일도 하지 않음
+  }
 
+  /**
+   * 자식 노드 추가 (맨 뒤에)
+   * DocumentFragment를 넘기면 그 자식들이 옮겨지고 fragment는 비게 됨
+   */
+  appendChild(child) {
+    this._ensurePreInsertionValidity(child, null);
+    this._insertNodes(child, null);
     return child;
   }
 
@@ -277,22 +827,15 @@ class Node extends EventTarget {
    * 특정 위치에 노드 삽입
    */
   insertBefore(newNode, referenceNode) {
-    if (!referenceNode) {
-      return this.appendChild(newNode);
-    }
-
-    const index = this.childNodes.indexOf(referenceNode);
-    if (index === -1) {
-      throw new Error('Reference node not found');
-    }
+    referenceNode = referenceNode || null;
+    this._ensurePreInsertionValidity(newNode, referenceNode);
 
-    if (newNode.parentNode) {
-      newNode.parentNode.removeChild(newNode);
+    // 자기 자신 앞에 삽입하면 위치가 그대로
+    if (referenceNode === newNode) {
+      referenceNode = newNode.nextSibling;
     }
 
-    newNode.parentNode = this;
-    this.childNodes.splice(index, 0, newNode);
-
+    this._insertNodes(newNode, referenceNode || null);
     return newNode;
   }
 
@@ -300,13 +843,33 @@ class Node extends EventTarget {
    * 자식 노드 제거
    */
   removeChild(child) {
-    const index = this.childNodes.indexOf(child);
-    if (index === -1) {
-      throw new Error('Node not found');
+    if (!(child instanceof Node) || child.parentNode !== this) {
+      throw new DOMException('The node to be removed is not a child of this node', 'NotFoundError');
+    }
+
+    // 제거되는 노드를 가리키는 NodeIterator의 기준 노드 보정
+    if (liveNodeIterators.size) {
+      notifyNodeIteratorsOfRemoval(child);
+    }
+
+    // 문서에서 떨어지는 노드를 분리 표시하고 요소를 id/class 색인에서 제거
+    if (this._connected) {
+      this._nodeDocument._connectSubtree(child, false);
     }
 
+    this._moveCursorBeforeRemove(child);
+    const { _previousSibling: previous, _nextSibling: next } = child;
+    if (previous) previous._nextSibling = next;
+    else this._firstChild = next;
+    if (next) next._previousSibling = previous;
+    else this._lastChild = previous;
+
     child.parentNode = null;
-    this.childNodes.splice(index, 1);
+    child._previousSibling = null;
+    child._nextSibling = null;
+    this._childCount--;
+    this._childArray = null;
+    treeVersion++;
 
     return child;
   }
@@ -315,418 +878,6828 @@ class Node extends EventTarget {
    * 자식 노드 교체
    */
   replaceChild(newChild, oldChild) {
-    const index = this.childNodes.indexOf(oldChild);
-    if (index === -1) {
-      throw new Error('Node not found');
-    }
+    this._ensurePreInsertionValidity(newChild, oldChild, true);
 
-    if (newChild.parentNode) {
-      newChild.parentNode.removeChild(newChild);
+    let referenceNode = oldChild.nextSibling;
+    if (referenceNode === newChild) {
+      referenceNode = newChild.nextSibling;
     }
 
-    oldChild.parentNode = null;
-    newChild.parentNode = this;
-    this.childNodes[index] = newChild;
+    if (oldChild !== newChild) {
+      this.removeChild(oldChild);
+    }
+    this._insertNodes(newChild, referenceNode);
 
     return oldChild;
   }
 
   /**
-   * 노드 복제
+   * DOM 표준의 pre-insertion / replace 유효성 검사
+   * @param {Node} node - 삽입할 노드
+   * @param {Node|null} child - 기준 노드 (replacing이면 교체될 노드)
+   * @param {boolean} [replacing=false] - replaceChild에서 호출했는지 여부
    */
-  cloneNode(deep = false) {
-    const clone = new this.constructor();
+  _ensurePreInsertionValidity(node, child, replacing = false) {
+    const hierarchyError = (message) => new DOMException(message, 'HierarchyRequestError');
+    const { ELEMENT_NODE, TEXT_NODE, DOCUMENT_NODE, DOCUMENT_TYPE_NODE, DOCUMENT_FRAGMENT_NODE } = Node;
 
-    if (deep) {
-      for (const child of this.childNodes) {
-        clone.appendChild(child.cloneNode(true));
-      }
+    if (!(node instanceof Node)) {
+      throw new TypeError('The node to be inserted is not a Node');
+    }
+    if (![DOCUMENT_NODE, DOCUMENT_FRAGMENT_NODE, ELEMENT_NODE].includes(this.nodeType)) {
+      throw hierarchyError(`${this.nodeName} cannot have children`);
     }
 
-    return clone;
+    // 자기 자신이나 조상을 자손으로 넣으면 순환이 생김
+    // 자식이 없는 노드는 자기 자신만 확인하면 되므로 위에서부터 쌓는 삽입은 O(1)
+    if (node === this || node._firstChild && node.contains(this)) {
+      throw hierarchyError('The new child is an ancestor of the parent');
+    }
+
+    if ((child || replacing) && (!child || child.parentNode !== this)) {
+      throw new DOMException(
+        replacing ? 'The node to be replaced is not a child of this node'
+          : 'The reference node is not a child of this node',
+        'NotFoundError'
+      );
+    }
+
+    if (node.nodeType === DOCUMENT_NODE) {
+      throw hierarchyError('A Document cannot be inserted');
+    }
+    if (node.nodeType === TEXT_NODE && this.nodeType === DOCUMENT_NODE) {
+      throw hierarchyError('Text nodes cannot be children of a Document');
+    }
+    if (node.nodeType === DOCUMENT_TYPE_NODE && this.nodeType !== DOCUMENT_NODE) {
+      throw hierarchyError('DocumentType nodes can only be children of a Document');
+    }
+
+    if (this.nodeType === DOCUMENT_NODE) {
+      this._ensureDocumentChildValidity(node, child, replacing, hierarchyError);
+    }
   }
 
   /**
-   * 자손 노드 포함 여부 확인
+   * Document 자식 제약: 요소 하나, doctype 하나, doctype은 요소보다 앞
    */
-  contains(node) {
-    if (node === this) return true;
+  _ensureDocumentChildValidity(node, child, replacing, hierarchyError) {
+    const { ELEMENT_NODE, TEXT_NODE, DOCUMENT_TYPE_NODE, DOCUMENT_FRAGMENT_NODE } = Node;
+    const siblings = this._children;
+    const childIndex = child ? siblings.indexOf(child) : siblings.length;
+    // replace일 때는 교체될 노드 자신은 제외하고 검사
+    const hasOther = (type) => siblings.some(n => n.nodeType === type && !(replacing && n === child));
+    const doctypeAfterChild = child !== null && siblings.slice(childIndex).some(
+      n => n.nodeType === DOCUMENT_TYPE_NODE && !(replacing && n === child)
+    );
+    const elementBeforeChild = siblings.slice(0, childIndex).some(n => n.nodeType === ELEMENT_NODE);
 
-    for (const child of this.childNodes) {
-      if (child.contains(node)) return true;
+    let elementCount = 0;
+    if (node.nodeType === DOCUMENT_FRAGMENT_NODE) {
+      if (node._children.some(n => n.nodeType === TEXT_NODE)) {
+        throw hierarchyError('Text nodes cannot be children of a Document');
+      }
+      elementCount = node._children.filter(n => n.nodeType === ELEMENT_NODE).length;
+      if (elementCount > 1) {
+        throw hierarchyError('A Document can have only one element child');
+      }
+    } else if (node.nodeType === ELEMENT_NODE) {
+      elementCount = 1;
     }
 
-    return false;
+    if (elementCount === 1) {
+      if (hasOther(ELEMENT_NODE)) {
+        throw hierarchyError('A Document can have only one element child');
+      }
+      if ((!replacing && child && child.nodeType === DOCUMENT_TYPE_NODE) || doctypeAfterChild) {
+        throw hierarchyError('The document element must come after the doctype');
+      }
+    }
+
+    if (node.nodeType === DOCUMENT_TYPE_NODE) {
+      if (hasOther(DOCUMENT_TYPE_NODE)) {
+        throw hierarchyError('A Document can have only one doctype');
+      }
+      if (elementBeforeChild || (!child && hasOther(ELEMENT_NODE))) {
+        throw hierarchyError('The doctype must come before the document element');
+      }
+    }
   }
-}
 
+  /**
+   * node를 referenceNode 앞(null이면 맨 뒤)에 삽입
+   * 기존 부모에서 먼저 떼어낸 뒤 위치를 계산하므로 같은 부모 안에서의 이동도 안전
+   */
+  _insertNodes(node, referenceNode) {
+    const nodes = [];
+    if (node instanceof DocumentFragment) {
+      // fragment의 자식들을 한 번에 옮김
+      while (node.firstChild) {
+        nodes.push(node.removeChild(node.firstChild));
+      }
+    } else {
+      if (node.parentNode) {
+        node.parentNode.removeChild(node);
+      }
+      nodes.push(node);
+    }
 
-// ============================================================
-// 4. Text - 텍스트 노드 (Node 상속)
-// ============================================================
-class Text extends Node {
-  constructor(data = '') {
-    super(Node.TEXT_NODE);
-    this.data = data;
-    this.nodeName = '#text';
-  }
+    this._moveCursorAfterInsert(referenceNode, nodes.length);
 
-  get textContent() {
-    return this.data;
-  }
+    // 다른 문서의 노드는 이 문서로 adopt (소속 문서가 없는 트리에 넣을 때는 그대로 둠)
+    const document = this._nodeDocument;
+    const previous = referenceNode ? referenceNode._previousSibling : this._lastChild;
+    let last = previous;
+    for (const child of nodes) {
+      if (document && child._ownerDocument !== document) {
+        child._adoptInto(document);
+      }
+      child.parentNode = this;
+      child._previousSibling = last;
+      if (last) last._nextSibling = child;
+      else this._firstChild = child;
+      last = child;
+    }
+    if (last !== previous) {
+      last._nextSibling = referenceNode;
+      if (referenceNode) referenceNode._previousSibling = last;
+      else this._lastChild = last;
+    }
 
-  set textContent(value) {
-    this.data = value;
-  }
+    this._childCount += nodes.length;
+    this._childArray = null;
+    treeVersion++;
 
-  get nodeValue() {
-    return this.data;
+    // 문서에 연결되는 노드를 연결 표시하고 요소를 id/class 색인에 추가
+    if (this._connected) {
+      for (const child of nodes) {
+        document._connectSubtree(child, true);
+      }
+    }
   }
 
-  set nodeValue(value) {
-    this.data = value;
+  /**
+   * 자신과 모든 자손의 소속 문서를 document로 변경
+   */
+  _adoptInto(document) {
+    this._ownerDocument = document;
+    for (const node of descendantsOf(this)) {
+      node._ownerDocument = document;
+    }
   }
 
-  cloneNode() {
-    return new Text(this.data);
+  /**
+   * 노드 복제 - 복제본은 원본과 같은 문서에 속함
+   */
+  cloneNode(deep = false) {
+    const clone = this._cloneShallow();
+    clone._ownerDocument = this._ownerDocument;
+    if (!deep) return clone;
+
+    // 깊은 트리에서도 스택이 넘치지 않도록 재귀 대신 트리 순서로 순회
+    // 부모가 자식보다 먼저 복제되므로 원본 부모의 복제본에 이어 붙이면 됨
+    const clones = new Map([[this, clone]]);
+    for (const node of descendantsOf(this)) {
+      const copy = node._cloneShallow();
+      copy._ownerDocument = this._ownerDocument;
+      clones.set(node, copy);
+      clones.get(node.parentNode).appendChild(copy);
+    }
+    return clone;
   }
-}
 
+  /**
+   * 자식을 제외한 자기 자신만 복제 - 타입별 고유 값이 있으면 하위 클래스가 재정의
+   */
+  _cloneShallow() {
+    return new this.constructor();
+  }
 
-// ============================================================
-// 5. Element - HTML 요소 (Node 상속)
-// ============================================================
-class Element extends Node {
-  constructor(tagName) {
-    super(Node.ELEMENT_NODE);
+  /**
+   * 자손의 빈 Text 노드를 제거하고 인접한 Text 노드들을 하나로 합침
+   */
+  normalize() {
+    let node = nextNodeInTree(this, this);
+    while (node) {
+      if (!(node instanceof Text)) {
+        node = nextNodeInTree(node, this);
+        continue;
+      }
 
-    this.tagName = tagName.toUpperCase();
-    this.nodeName = this.tagName;
-    this.attributes = new Map();  // 속성 저장소
-    this.id = '';
-    this.className = '';
+      // 뒤따르는 Text 형제들을 흡수한 뒤, 그래도 비어 있으면 제거
+      const parent = node.parentNode;
+      while (node.nextSibling instanceof Text) {
+        node.data += node.nextSibling.data;
+        parent.removeChild(node.nextSibling);
+      }
+      const next = nextNodeInTree(node, this);
+      if (!node.data) {
+        parent.removeChild(node);
+      }
+      node = next;
+    }
   }
 
-  // 속성 관련 메서드
-  getAttribute(name) {
-    if (name === 'id') return this.id;
-    if (name === 'class') return this.className;
-    return this.attributes.get(name) || null;
+  /**
+   * 자손 노드 포함 여부 확인
+   */
+  contains(node) {
+    // 자손을 모두 뒤지는 대신 node의 조상 체인을 따라 올라감
+    for (; node; node = node.parentNode) {
+      if (node === this) return true;
+    }
+    return false;
   }
 
-  setAttribute(name, value) {
-    if (name === 'id') {
-      this.id = value;
-    } else if (name === 'class') {
-      this.className = value;
+  /**
+   * 트리의 루트 노드 (부모가 없으면 자기 자신)
+   * shadow DOM이 없으므로 composed 옵션과 관계없이 결과가 같음
+   */
+  getRootNode(options = {}) {
+    let root = this;
+    while (root.parentNode) {
+      root = root.parentNode;
     }
-    this.attributes.set(name, value);
+    return root;
   }
 
-  removeAttribute(name) {
-    if (name === 'id') this.id = '';
-    if (name === 'class') this.className = '';
-    this.attributes.delete(name);
+  isSameNode(other) {
+    return this === other;
   }
 
-  hasAttribute(name) {
-    return this.attributes.has(name);
+  /**
+   * 구조적 동등성 - 타입별 고유 값, 속성, 자식이 모두 같으면 true
+   * 두 트리를 나란히 트리 순서로 순회 (노드마다 자식 수까지 같으면 모양도 같음)
+   */
+  isEqualNode(other) {
+    if (!other) return false;
+    let a = this;
+    let b = other;
+    while (a && b) {
+      if (!a._isEqualShallow(b)) return false;
+      a = nextNodeInTree(a, this);
+      b = nextNodeInTree(b, other);
+    }
+    return a === b;
   }
 
-  // classList (간소화 버전)
-  get classList() {
-    const self = this;
-    return {
-      _classes: () => self.className.split(/\s+/).filter(Boolean),
-
-      add(...classes) {
-        const current = new Set(this._classes());
-        classes.forEach(c => current.add(c));
-        self.className = [...current].join(' ');
-      },
+  /**
+   * 자손을 제외한 노드 하나의 동등성 (자식 수는 비교)
+   */
+  _isEqualShallow(other) {
+    if (other.nodeType !== this.nodeType) return false;
+
+    switch (this.nodeType) {
+      case Node.DOCUMENT_TYPE_NODE:
+        if (this.name !== other.name || this.publicId !== other.publicId
+          || this.systemId !== other.systemId) return false;
+        break;
+      case Node.ELEMENT_NODE:
+        if (this.namespaceURI !== other.namespaceURI || this.prefix !== other.prefix
+          || this.localName !== other.localName
+          || this.attributes.size !== other.attributes.size) return false;
+        for (const [name, value] of this.attributes) {
+          if (other.getAttribute(name) !== value) return false;
+        }
+        break;
+      case Node.PROCESSING_INSTRUCTION_NODE:
+        if (this.target !== other.target || this.data !== other.data) return false;
+        break;
+      case Node.TEXT_NODE:
+      case Node.COMMENT_NODE:
+        if (this.data !== other.data) return false;
+        break;
+    }
 
-      remove(...classes) {
-        const current = new Set(this._classes());
-        classes.forEach(c => current.delete(c));
-        self.className = [...current].join(' ');
-      },
+    return this._childCount === other._childCount;
+  }
 
-      toggle(className) {
-        if (this.contains(className)) {
-          this.remove(className);
-          return false;
-        } else {
-          this.add(className);
-          return true;
-        }
-      },
+  /**
+   * other가 this 기준으로 문서 순서상 어디에 있는지 비트마스크로 반환
+   * 서로 다른 트리면 DISCONNECTED | IMPLEMENTATION_SPECIFIC에 일관된 앞뒤 방향을 더함
+   */
+  compareDocumentPosition(other) {
+    if (other === this) return 0;
 
-      contains(className) {
-        return this._classes().includes(className);
-      }
+    const ancestorsOf = (node) => {
+      const chain = [];
+      for (; node; node = node.parentNode) chain.unshift(node);
+      return chain;
     };
+    const thisChain = ancestorsOf(this);
+    const otherChain = ancestorsOf(other);
+
+    if (thisChain[0] !== otherChain[0]) {
+      const direction = treeOrderId(otherChain[0]) < treeOrderId(thisChain[0])
+        ? Node.DOCUMENT_POSITION_PRECEDING
+        : Node.DOCUMENT_POSITION_FOLLOWING;
+      return Node.DOCUMENT_POSITION_DISCONNECTED
+        | Node.DOCUMENT_POSITION_IMPLEMENTATION_SPECIFIC | direction;
+    }
+
+    // 두 조상 체인이 갈라지는 지점 찾기
+    let depth = 0;
+    while (thisChain[depth + 1] && thisChain[depth + 1] === otherChain[depth + 1]) {
+      depth++;
+    }
+
+    if (depth === otherChain.length - 1) {
+      // other가 this의 조상
+      return Node.DOCUMENT_POSITION_CONTAINS | Node.DOCUMENT_POSITION_PRECEDING;
+    }
+    if (depth === thisChain.length - 1) {
+      // other가 this의 자손
+      return Node.DOCUMENT_POSITION_CONTAINED_BY | Node.DOCUMENT_POSITION_FOLLOWING;
+    }
+
+    const siblings = thisChain[depth]._children;
+    return siblings.indexOf(otherChain[depth + 1]) < siblings.indexOf(thisChain[depth + 1])
+      ? Node.DOCUMENT_POSITION_PRECEDING
+      : Node.DOCUMENT_POSITION_FOLLOWING;
   }
+}
 
-  // 자식 요소만 필터링
-  get children() {
-    return this.childNodes.filter(n => n.nodeType === Node.ELEMENT_NODE);
+// ------------------------------------------------------------
+// 트리 순회 - 재귀 대신 부모/형제 포인터를 따라가므로 아주 깊은 트리에서도 스택이 넘치지 않음
+// ------------------------------------------------------------
+
+/**
+ * root 안에서 트리 순서(전위 순회)상 node 다음 노드, 끝이면 null
+ */
+function nextNodeInTree(node, root) {
+  if (node._firstChild) return node._firstChild;
+  return nextNodeSkippingChildren(node, root);
+}
+
+/**
+ * node의 자손을 건너뛰고 트리 순서상 다음 노드
+ */
+function nextNodeSkippingChildren(node, root) {
+  for (; node && node !== root; node = node.parentNode) {
+    if (node._nextSibling) return node._nextSibling;
   }
+  return null;
+}
 
-  get firstElementChild() {
-    return this.children[0] || null;
+/**
+ * root 안에서 트리 순서상 node 바로 앞 노드 (root 자신이면 null)
+ */
+function previousNodeInTree(node, root) {
+  if (node === root) return null;
+  let previous = node._previousSibling;
+  if (!previous) return node.parentNode;
+  while (previous._lastChild) {
+    previous = previous._lastChild;
   }
+  return previous;
+}
 
-  get lastElementChild() {
-    const children = this.children;
-    return children[children.length - 1] || null;
+/**
+ * root의 자손(root 제외)을 트리 순서로 방문
+ */
+function* descendantsOf(root) {
+  for (let node = nextNodeInTree(root, root); node; node = nextNodeInTree(node, root)) {
+    yield node;
   }
+}
 
-  /**
-   * innerHTML getter - 자식 노드들을 HTML 문자열로
-   */
-  get innerHTML() {
-    return this.childNodes.map(child => {
-      if (child instanceof Text) {
-        return child.data;
-      }
-      if (child instanceof Element) {
-        return child.outerHTML;
-      }
-      return '';
-    }).join('');
+/**
+ * node가 Document 트리에 연결되어 있으면 그 Document, 아니면 null
+ */
+function connectedDocument(node) {
+  return node._connected ? node._nodeDocument : null;
+}
+
+// 연결되지 않은 트리 사이의 순서를 일관되게 정하기 위한 루트별 일련번호
+const treeOrderIds = new WeakMap();
+let nextTreeOrderId = 0;
+
+function treeOrderId(root) {
+  if (!treeOrderIds.has(root)) {
+    treeOrderIds.set(root, nextTreeOrderId++);
   }
+  return treeOrderIds.get(root);
+}
 
-  /**
-   * innerHTML setter - HTML 파싱은 생략, 텍스트로 처리
-   */
-  set innerHTML(html) {
-    // 실제로는 HTML 파서가 필요하지만, 여기서는 텍스트로 처리
-    while (this.firstChild) {
-      this.removeChild(this.firstChild);
+
+// ============================================================
+// 6. NodeList, HTMLCollection - 라이브 컬렉션
+//    항목을 미리 복사해 두지 않고 접근할 때마다 현재 트리에서 읽음
+// ============================================================
+
+// 자식 목록이나 속성이 바뀔 때마다 증가 - 필터링 컬렉션의 캐시 무효화에 사용
+let treeVersion = 0;
+
+const ARRAY_INDEX = /^(?:0|[1-9]\d*)$/;
+
+/**
+ * list[0] 같은 인덱스 접근을 item()으로, HTMLCollection의 list.name을 namedItem()으로 연결
+ */
+const collectionProxyHandler = {
+  get(target, prop) {
+    if (typeof prop === 'string' && !(prop in target)) {
+      if (ARRAY_INDEX.test(prop)) {
+        return target.item(Number(prop)) ?? undefined;
+      }
+      if (target instanceof HTMLCollection) {
+        return target.namedItem(prop) ?? undefined;
+      }
     }
-    if (html) {
-      this.appendChild(new Text(html));
+    return Reflect.get(target, prop);
+  },
+
+  has(target, prop) {
+    if (typeof prop === 'string' && ARRAY_INDEX.test(prop)) {
+      return Number(prop) < target.length;
     }
-  }
+    return Reflect.has(target, prop);
+  },
+};
 
+class LiveCollection {
   /**
-   * outerHTML - 자신을 포함한 HTML 문자열
+   * @param {Function} source - 현재 항목 배열을 반환하는 함수
+   * @param {boolean} [cached=false] - treeVersion이 바뀌기 전까지 source 결과를 재사용
    */
-  get outerHTML() {
-    const attrs = [];
-    for (const [key, value] of this.attributes) {
-      attrs.push(`${key}="${value}"`);
-    }
-    const attrStr = attrs.length ? ' ' + attrs.join(' ') : '';
-    const tag = this.tagName.toLowerCase();
+  constructor(source, cached = false) {
+    this._source = source;
+    this._cached = cached;
+    this._cache = null;
+    this._cacheVersion = -1;
+    return new Proxy(this, collectionProxyHandler);
+  }
 
-    // 셀프 클로징 태그
-    const voidElements = ['br', 'hr', 'img', 'input', 'meta', 'link'];
-    if (voidElements.includes(tag)) {
-      return `<${tag}${attrStr}>`;
+  _items() {
+    if (!this._cached) return this._source();
+    if (this._cacheVersion !== treeVersion) {
+      this._cache = this._source();
+      this._cacheVersion = treeVersion;
     }
+    return this._cache;
+  }
 
-    return `<${tag}${attrStr}>${this.innerHTML}</${tag}>`;
+  get length() {
+    return this._items().length;
   }
 
-  /**
-   * CSS 셀렉터로 자손 요소 검색 (간소화)
-   */
-  querySelector(selector) {
-    return this._querySelectorAll(selector)[0] || null;
+  item(index) {
+    return this._items()[index >>> 0] || null;
   }
 
-  querySelectorAll(selector) {
-    return this._querySelectorAll(selector);
+  forEach(callback, thisArg) {
+    for (let i = 0; i < this.length; i++) {
+      callback.call(thisArg, this.item(i), i, this);
+    }
   }
 
-  _querySelectorAll(selector) {
-    const results = [];
+  // 순회 중에 트리가 바뀌어도 그 시점의 목록을 따라감
+  *[Symbol.iterator]() {
+    for (let i = 0; i < this.length; i++) {
+      yield this.item(i);
+    }
+  }
+}
 
-    // 간단한 셀렉터만 지원: #id, .class, tag
-    const matchFn = this._createMatcher(selector);
+class NodeList extends LiveCollection {
+  *entries() {
+    for (let i = 0; i < this.length; i++) {
+      yield [i, this.item(i)];
+    }
+  }
 
-    const traverse = (node) => {
-      for (const child of node.childNodes) {
-        if (child instanceof Element) {
-          if (matchFn(child)) {
-            results.push(child);
-          }
-          traverse(child);
-        }
-      }
-    };
+  *keys() {
+    for (let i = 0; i < this.length; i++) {
+      yield i;
+    }
+  }
 
-    traverse(this);
-    return results;
+  values() {
+    return this[Symbol.iterator]();
   }
+}
 
-  _createMatcher(selector) {
-    if (selector.startsWith('#')) {
-      const id = selector.slice(1);
-      return (el) => el.id === id;
-    }
-    if (selector.startsWith('.')) {
-      const className = selector.slice(1);
-      return (el) => el.classList.contains(className);
-    }
-    // 태그 이름
-    const tagName = selector.toUpperCase();
-    return (el) => el.tagName === tagName;
+/**
+ * Node.childNodes - 길이와 인덱스 접근을 부모의 연결 리스트에서 바로 읽음
+ */
+class ChildNodeList extends NodeList {
+  constructor(parent) {
+    super(() => parent._children);
+    this._parent = parent;
   }
 
-  /**
-   * 가장 가까운 조상 요소 검색
-   */
-  closest(selector) {
-    let current = this;
-    const matchFn = this._createMatcher(selector);
+  get length() {
+    return this._parent._childCount;
+  }
 
-    while (current) {
-      if (current instanceof Element && matchFn(current)) {
-        return current;
-      }
-      current = current.parentNode;
-    }
+  item(index) {
+    return this._parent._childAt(index >>> 0);
+  }
+}
 
-    return null;
+class HTMLCollection extends LiveCollection {
+  constructor(source) {
+    super(source, true);
   }
 
-  cloneNode(deep = false) {
-    const clone = new Element(this.tagName);
+  /**
+   * id가 name인 첫 요소, 없으면 name 속성이 같은 첫 HTML 요소
+   */
+  namedItem(name) {
+    if (!name) return null;
+    const items = this._items();
+    return items.find(el => el.id === name)
+      || items.find(el => el.namespaceURI === HTML_NAMESPACE && el.getAttribute('name') === name)
+      || null;
+  }
+}
 
-    // 속성 복사
-    for (const [key, value] of this.attributes) {
-      clone.setAttribute(key, value);
+/**
+ * root의 자손 요소를 문서 순서로 모음
+ */
+function descendantElements(root, predicate) {
+  const results = [];
+  for (const node of descendantsOf(root)) {
+    if (node instanceof Element && predicate(node)) {
+      results.push(node);
     }
+  }
+  return results;
+}
 
-    // 깊은 복사
-    if (deep) {
-      for (const child of this.childNodes) {
-        clone.appendChild(child.cloneNode(true));
-      }
-    }
+function elementsByTagName(root, tagName) {
+  const targetTag = tagName.toUpperCase();
+  return new HTMLCollection(() => descendantElements(
+    root, el => tagName === '*' || el.tagName === targetTag || el.tagName === tagName
+  ));
+}
 
-    return clone;
-  }
+/**
+ * 공백으로 구분한 클래스를 모두 가진 요소
+ */
+function elementsByClassName(root, classNames) {
+  const classes = String(classNames).split(/[ \t\n\f\r]+/).filter(Boolean);
+  return new HTMLCollection(() => (classes.length
+    ? descendantElements(root, el => classes.every(c => el.classList.contains(c)))
+    : []));
 }
 
 
 // ============================================================
-// 6. Document - 문서 루트 (Node 상속)
+// 7. CharacterData - 문자 데이터 노드 (Node 상속)
+//    Text, Comment, ProcessingInstruction의 공통 부모
 // ============================================================
-class Document extends Node {
-  constructor() {
-    super(Node.DOCUMENT_NODE);
-    this.nodeName = '#document';
+class CharacterData extends Node {
+  constructor(nodeType, data = '') {
+    super(nodeType);
+    this.data = String(data);
+  }
+
+  get length() {
+    return this.data.length;
+  }
+
+  get textContent() {
+    return this.data;
+  }
+
+  set textContent(value) {
+    this.data = value == null ? '' : String(value);
+  }
+
+  get nodeValue() {
+    return this.data;
+  }
 
-    // 루트 요소 (html)
-    this.documentElement = null;
+  set nodeValue(value) {
+    this.data = value == null ? '' : String(value);
   }
 
   /**
-   * 요소 생성 팩토리 메서드
+   * offset부터 count개의 코드 유닛 추출 (count는 끝을 넘으면 잘림)
    */
-  createElement(tagName) {
-    return new Element(tagName);
+  substringData(offset, count) {
+    offset = this._checkOffset(offset);
+    return this.data.substring(offset, offset + (count >>> 0));
+  }
+
+  appendData(data) {
+    this.data += String(data);
+  }
+
+  insertData(offset, data) {
+    this.replaceData(offset, 0, data);
+  }
+
+  deleteData(offset, count) {
+    this.replaceData(offset, count, '');
   }
 
   /**
-   * 텍스트 노드 생성
+   * offset부터 count개를 data로 교체 - 나머지 편집 메서드의 기반
    */
-  createTextNode(data) {
-    return new Text(data);
+  replaceData(offset, count, data) {
+    offset = this._checkOffset(offset);
+    const end = Math.min(offset + (count >>> 0), this.data.length);
+    this.data = this.data.slice(0, offset) + String(data) + this.data.slice(end);
   }
 
   /**
-   * ID로 요소 검색
+   * offset을 unsigned long으로 변환하고 길이를 넘으면 IndexSizeError
    */
-  getElementById(id) {
-    const search = (node) => {
-      for (const child of node.childNodes) {
-        if (child instanceof Element) {
-          if (child.id === id) return child;
-          const found = search(child);
-          if (found) return found;
-        }
-      }
-      return null;
-    };
+  _checkOffset(offset) {
+    offset = offset >>> 0;
+    if (offset > this.data.length) {
+      throw new DOMException(
+        `The offset ${offset} is larger than the data length (${this.data.length})`,
+        'IndexSizeError'
+      );
+    }
+    return offset;
+  }
+}
 
-    return search(this);
+class Text extends CharacterData {
+  constructor(data = '') {
+    super(Node.TEXT_NODE, data);
+    this.nodeName = '#text';
   }
 
   /**
-   * 태그 이름으로 요소 검색
+   * offset 위치에서 둘로 나눔 - 뒷부분은 새 Text 노드가 되어 바로 다음 형제로 삽입
+   * @returns {Text} 뒷부분 노드
    */
-  getElementsByTagName(tagName) {
-    const results = [];
-    const targetTag = tagName.toUpperCase();
-
-    const search = (node) => {
-      for (const child of node.childNodes) {
-        if (child instanceof Element) {
-          if (tagName === '*' || child.tagName === targetTag) {
-            results.push(child);
-          }
-          search(child);
-        }
-      }
-    };
-
-    search(this);
-    return results;
+  splitText(offset) {
+    offset = this._checkOffset(offset);
+    const newNode = new Text(this.data.slice(offset));
+    newNode._ownerDocument = this._ownerDocument;
+    this.data = this.data.slice(0, offset);
+
+    if (this.parentNode) {
+      this.parentNode.insertBefore(newNode, this.nextSibling);
+    }
+    return newNode;
   }
 
   /**
-   * 클래스 이름으로 요소 검색
+   * 앞뒤로 연속된 Text 형제 노드들의 내용을 합친 문자열
    */
-  getElementsByClassName(className) {
-    const results = [];
-
-    const search = (node) => {
-      for (const child of node.childNodes) {
-        if (child instanceof Element) {
-          if (child.classList.contains(className)) {
-            results.push(child);
-          }
-          search(child);
-        }
-      }
-    };
-
-    search(this);
-    return results;
-  }
+  get wholeText() {
+    let first = this;
+    while (first.previousSibling instanceof Text) {
+      first = first.previousSibling;
+    }
 
-  querySelector(selector) {
-    if (this.documentElement) {
-      // documentElement도 검사
-      const matchFn = this.documentElement._createMatcher(selector);
-      if (matchFn(this.documentElement)) {
-        return this.documentElement;
-      }
-      return this.documentElement.querySelector(selector);
+    let text = '';
+    for (let node = first; node instanceof Text; node = node.nextSibling) {
+      text += node.data;
     }
-    return null;
+    return text;
   }
 
-  querySelectorAll(selector) {
-    if (this.documentElement) {
-      const matchFn = this.documentElement._createMatcher(selector);
-      const results = [];
-      if (matchFn(this.documentElement)) {
-        results.push(this.documentElement);
+  _cloneShallow() {
+    return new Text(this.data);
+  }
+}
+
+class Comment extends CharacterData {
+  constructor(data = '') {
+    super(Node.COMMENT_NODE, data);
+    this.nodeName = '#comment';
+  }
+
+  _cloneShallow() {
+    return new Comment(this.data);
+  }
+}
+
+/**
+ * 처리 명령 <?target data?> - XML 문서에서만 파싱됨
+ */
+class ProcessingInstruction extends CharacterData {
+  constructor(target, data = '') {
+    super(Node.PROCESSING_INSTRUCTION_NODE, data);
+    this.target = target;
+    this.nodeName = target;
+  }
+
+  _cloneShallow() {
+    return new ProcessingInstruction(this.target, this.data);
+  }
+}
+
+
+// ============================================================
+// 8. Element - HTML 요소 (Node 상속)
+// ============================================================
+
+// 네임스페이스 URI
+const HTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+const MATHML_NAMESPACE = 'http://www.w3.org/1998/Math/MathML';
+const XML_NAMESPACE = 'http://www.w3.org/XML/1998/namespace';
+const XMLNS_NAMESPACE = 'http://www.w3.org/2000/xmlns/';
+
+// 종료 태그가 없는 void 요소 - 파서와 직렬화(outerHTML)가 같은 목록을 사용
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+  'link', 'meta', 'source', 'track', 'wbr'
+]);
+
+class Element extends Node {
+  /**
+   * @param {string} qualifiedName - 한정된 이름 (prefix:localName), 대소문자를 그대로 유지
+   * @param {string|null} namespaceURI
+   */
+  constructor(qualifiedName, namespaceURI = HTML_NAMESPACE) {
+    super(Node.ELEMENT_NODE);
+
+    const colon = qualifiedName.indexOf(':');
+    this.namespaceURI = namespaceURI;
+    this.prefix = colon === -1 ? null : qualifiedName.slice(0, colon);
+    this.localName = qualifiedName.slice(colon + 1);
+    this._qualifiedName = qualifiedName;
+    this.attributes = new Map();  // 속성 저장소
+    this._childElementList = null;
+  }
+
+  // id, className은 속성을 그대로 반영 (classList도 className을 거쳐 class 속성을 바꿈)
+  get id() {
+    return this.getAttribute('id') ?? '';
+  }
+
+  set id(value) {
+    this.setAttribute('id', String(value));
+  }
+
+  get className() {
+    return this.getAttribute('class') ?? '';
+  }
+
+  set className(value) {
+    this.setAttribute('class', String(value));
+  }
+
+  /**
+   * HTML 문서(또는 소속 문서가 없을 때)의 HTML 요소만 대문자로 정규화
+   * XHTML 같은 XML 문서에서는 한정된 이름 그대로
+   */
+  get tagName() {
+    const document = this._ownerDocument;
+    const htmlDocument = !document || document.contentType === 'text/html';
+    return this.namespaceURI === HTML_NAMESPACE && htmlDocument
+      ? this._qualifiedName.toUpperCase()
+      : this._qualifiedName;
+  }
+
+  get nodeName() {
+    return this.tagName;
+  }
+
+  // 속성 관련 메서드
+  getAttribute(name) {
+    return this.attributes.has(name) ? this.attributes.get(name) : null;
+  }
+
+  setAttribute(name, value) {
+    value = String(value);
+    const document = INDEXED_ATTRIBUTES.has(name) ? connectedDocument(this) : null;
+    if (document) document._indexAttribute(this, name, this.getAttribute(name), false);
+    this.attributes.set(name, value);
+    if (document) document._indexAttribute(this, name, value, true);
+    treeVersion++;
+  }
+
+  removeAttribute(name) {
+    const document = INDEXED_ATTRIBUTES.has(name) ? connectedDocument(this) : null;
+    if (document) document._indexAttribute(this, name, this.getAttribute(name), false);
+    this.attributes.delete(name);
+    treeVersion++;
+  }
+
+  hasAttribute(name) {
+    return this.attributes.has(name);
+  }
+
+  // classList (간소화 버전)
+  get classList() {
+    const self = this;
+    return {
+      _classes: () => self.className.split(/\s+/).filter(Boolean),
+
+      add(...classes) {
+        const current = new Set(this._classes());
+        classes.forEach(c => current.add(c));
+        self.className = [...current].join(' ');
+      },
+
+      remove(...classes) {
+        const current = new Set(this._classes());
+        classes.forEach(c => current.delete(c));
+        self.className = [...current].join(' ');
+      },
+
+      toggle(className) {
+        if (this.contains(className)) {
+          this.remove(className);
+          return false;
+        } else {
+          this.add(className);
+          return true;
+        }
+      },
+
+      contains(className) {
+        return this._classes().includes(className);
+      }
+    };
+  }
+
+  // 자식 요소만 모은 라이브 HTMLCollection
+  get children() {
+    if (!this._childElementList) {
+      this._childElementList = new HTMLCollection(
+        () => this._children.filter(n => n.nodeType === Node.ELEMENT_NODE)
+      );
+    }
+    return this._childElementList;
+  }
+
+  get firstElementChild() {
+    let child = this._firstChild;
+    while (child && child.nodeType !== Node.ELEMENT_NODE) child = child._nextSibling;
+    return child;
+  }
+
+  get lastElementChild() {
+    let child = this._lastChild;
+    while (child && child.nodeType !== Node.ELEMENT_NODE) child = child._previousSibling;
+    return child;
+  }
+
+  /**
+   * 태그 이름으로 자손 요소 검색 (라이브 HTMLCollection)
+   */
+  getElementsByTagName(tagName) {
+    return elementsByTagName(this, tagName);
+  }
+
+  /**
+   * 클래스 이름으로 자손 요소 검색 (라이브 HTMLCollection)
+   */
+  getElementsByClassName(classNames) {
+    return elementsByClassName(this, classNames);
+  }
+
+  /**
+   * innerHTML getter - 자식 노드들을 HTML 문자열로
+   */
+  get innerHTML() {
+    return serializeChildren(this);
+  }
+
+  /**
+   * innerHTML setter - 문자열을 파싱해 자식 노드를 교체
+   * 자기 자신을 context 요소로 삼아 파싱 (예: textarea 안에서는 태그도 텍스트)
+   */
+  set innerHTML(html) {
+    while (this.firstChild) {
+      this.removeChild(this.firstChild);
+    }
+    if (html) {
+      for (const node of parseHTMLFragment(String(html), this)) {
+        this.appendChild(node);
+      }
+    }
+  }
+
+  /**
+   * outerHTML - 자신을 포함한 HTML 문자열
+   */
+  get outerHTML() {
+    if (isVoidElement(this)) return startTagMarkup(this);
+    return startTagMarkup(this) + serializeChildren(this) + endTagMarkup(this);
+  }
+
+  /**
+   * 셀렉터에 맞는 가장 가까운 조상 요소 검색 (자기 자신 포함)
+   */
+  closest(selector) {
+    let current = this;
+    const matchFn = selectorMatcher(this, selector);
+
+    while (current) {
+      if (current instanceof Element && matchFn(current, this)) {
+        return current;
+      }
+      current = current.parentNode;
+    }
+
+    return null;
+  }
+
+  /**
+   * 요소가 셀렉터에 맞는지 검사 (:scope는 요소 자신)
+   */
+  matches(selectors) {
+    return selectorMatcher(this, selectors)(this, this);
+  }
+
+  webkitMatchesSelector(selectors) {
+    return this.matches(selectors);
+  }
+
+  _cloneShallow() {
+    const clone = new Element(this._qualifiedName, this.namespaceURI);
+
+    // 속성 복사
+    for (const [key, value] of this.attributes) {
+      clone.setAttribute(key, value);
+    }
+
+    return clone;
+  }
+}
+
+
+/**
+ * 자식 노드들을 HTML 문자열로 (innerHTML, outerHTML에서 사용)
+ * 깊은 트리에서도 스택이 넘치지 않도록 재귀 대신 트리 순서로 순회하며
+ * 요소에 들어갈 때 시작 태그, 빠져나올 때 종료 태그를 붙임
+ */
+function serializeChildren(root) {
+  const parts = [];
+  let node = root._firstChild;
+  while (node) {
+    if (node instanceof Element) {
+      parts.push(startTagMarkup(node));
+      // void 요소는 자식이 있어도 직렬화하지 않음
+      if (!isVoidElement(node)) {
+        if (node._firstChild) {
+          node = node._firstChild;
+          continue;
+        }
+        parts.push(endTagMarkup(node));
+      }
+    } else if (node instanceof Text) {
+      // script, style 같은 raw text 요소의 내용은 이스케이프하지 않음
+      const parent = node.parentNode;
+      const raw = parent.namespaceURI === HTML_NAMESPACE && RAW_TEXT_ELEMENTS.has(parent.localName);
+      parts.push(raw ? node.data : escapeText(node.data));
+    } else {
+      parts.push(serializeNode(node));
+    }
+
+    while (!node._nextSibling) {
+      node = node.parentNode;
+      if (node === root) return parts.join('');
+      parts.push(endTagMarkup(node));
+    }
+    node = node._nextSibling;
+  }
+  return parts.join('');
+}
+
+function serializedTagName(element) {
+  return element.namespaceURI === HTML_NAMESPACE ? element.localName : element.tagName;
+}
+
+function isVoidElement(element) {
+  return element.namespaceURI === HTML_NAMESPACE && VOID_ELEMENTS.has(element.localName);
+}
+
+function startTagMarkup(element) {
+  let markup = `<${serializedTagName(element)}`;
+  for (const [key, value] of element.attributes) {
+    markup += ` ${key}="${escapeAttributeValue(value)}"`;
+  }
+  return `${markup}>`;
+}
+
+function endTagMarkup(element) {
+  return `</${serializedTagName(element)}>`;
+}
+
+/**
+ * Text 이외의 자식 노드 직렬화 (innerHTML에서 사용)
+ */
+function serializeNode(node) {
+  switch (node.nodeType) {
+    case Node.ELEMENT_NODE:
+      return node.outerHTML;
+    case Node.COMMENT_NODE:
+      return `<!--${node.data}-->`;
+    case Node.PROCESSING_INSTRUCTION_NODE:
+      return `<?${node.target} ${node.data}>`;
+    case Node.DOCUMENT_TYPE_NODE:
+      return `<!DOCTYPE ${node.name}>`;
+    default:
+      return '';
+  }
+}
+
+
+// ============================================================
+// 9. DocumentType - <!DOCTYPE> 노드 (Node 상속)
+// ============================================================
+class DocumentType extends Node {
+  constructor(name, publicId = '', systemId = '') {
+    super(Node.DOCUMENT_TYPE_NODE);
+    this.name = name;
+    this.publicId = publicId;
+    this.systemId = systemId;
+    this.nodeName = name;
+  }
+
+  get textContent() {
+    return null;
+  }
+
+  set textContent(value) {
+    // DocumentType에는 텍스트가 없음
+  }
+
+  _cloneShallow() {
+    return new DocumentType(this.name, this.publicId, this.systemId);
+  }
+}
+
+
+// ============================================================
+// 10. DocumentFragment - 부모 없는 가벼운 노드 묶음 (Node 상속)
+//    삽입되면 자신 대신 자식들이 옮겨짐
+// ============================================================
+class DocumentFragment extends Node {
+  constructor() {
+    super(Node.DOCUMENT_FRAGMENT_NODE);
+    this.nodeName = '#document-fragment';
+  }
+}
+
+
+// ============================================================
+// 11. Document - 문서 루트 (Node 상속)
+// ============================================================
+// Document가 색인하는 속성
+const INDEXED_ATTRIBUTES = new Set(['id', 'class']);
+
+// 문서별로 보관하는 컴파일된 셀렉터 수
+const SELECTOR_CACHE_LIMIT = 256;
+
+class Document extends Node {
+  /**
+   * @param {string} contentType - 'text/html'이 아니면 XML 문서로 취급
+   */
+  constructor(contentType = 'text/html') {
+    super(Node.DOCUMENT_NODE);
+    this.nodeName = '#document';
+    this.contentType = contentType;
+
+    // 이 문서로 파싱할 때의 옵션 (DOMParser, innerHTML 공통)
+    // - collectErrors: 파싱 오류를 줄/열 번호와 함께 parseErrors에 수집
+    // - sourceLocations: 생성된 노드에 입력 내 위치 sourceLocation { start, end } 기록
+    this.parserOptions = { collectErrors: false, sourceLocations: false };
+    this.parseErrors = [];
+
+    // 문서에 연결된 요소의 id → Set<Element>, class → Set<Element> 색인
+    // 삽입/제거와 setAttribute, removeAttribute가 갱신
+    this._idIndex = new Map();
+    this._classIndex = new Map();
+
+    // 셀렉터 문자열 → 컴파일된 매처
+    this._selectorCache = new Map();
+  }
+
+  /**
+   * 요소 생성 팩토리 메서드
+   * XML 문서에서는 대소문자를 유지하고 네임스페이스를 지정하지 않음
+   */
+  createElement(tagName) {
+    tagName = String(tagName);
+    validateName(tagName);
+    if (this.contentType === 'text/html') {
+      return this._own(new Element(tagName.toLowerCase()));
+    }
+    const namespace = this.contentType === 'application/xhtml+xml' ? HTML_NAMESPACE : null;
+    return this._own(new Element(tagName, namespace));
+  }
+
+  /**
+   * Document의 textContent는 항상 null이고 설정해도 무시됨
+   */
+  get textContent() {
+    return null;
+  }
+
+  set textContent(value) {
+    // 아무 일도 하지 않음
+  }
+
+  /**
+   * <!DOCTYPE> 노드 - 문서의 자식 중 첫 번째 DocumentType
+   */
+  get doctype() {
+    return this._children.find(child => child instanceof DocumentType) || null;
+  }
+
+  /**
+   * 네임스페이스를 지정해 요소 생성 (SVG 등)
+   */
+  createElementNS(namespaceURI, qualifiedName) {
+    qualifiedName = String(qualifiedName);
+    validateName(qualifiedName, true);
+    return this._own(new Element(qualifiedName, namespaceURI || null));
+  }
+
+  /**
+   * 루트 요소 (html) - 자식 중 첫 번째 요소, 트리를 바꾸면 바로 반영
+   */
+  get documentElement() {
+    for (let child = this._firstChild; child; child = child._nextSibling) {
+      if (child instanceof Element) return child;
+    }
+    return null;
+  }
+
+  /**
+   * <head> 요소 (documentElement의 자식)
+   */
+  get head() {
+    return this._documentElementChild('head');
+  }
+
+  /**
+   * <body> 요소 (documentElement의 자식)
+   */
+  get body() {
+    return this._documentElementChild('body');
+  }
+
+  _documentElementChild(localName) {
+    const root = this.documentElement;
+    if (!root) return null;
+    return root._children.find(
+      child => child instanceof Element && child.localName === localName
+        && child.namespaceURI === HTML_NAMESPACE
+    ) || null;
+  }
+
+  /**
+   * 문서 제목 - 첫 번째 <title>의 텍스트 (공백은 하나로 정리)
+   * SVG 문서는 루트 <svg>의 자식 <title>을 사용
+   */
+  get title() {
+    const element = this._titleElement();
+    if (!element) return '';
+    return element.textContent.replace(/[ \t\n\f\r]+/g, ' ').trim();
+  }
+
+  set title(value) {
+    let element = this._titleElement();
+
+    if (!element) {
+      const root = this.documentElement;
+      if (root && root.namespaceURI === SVG_NAMESPACE) {
+        element = this.createElementNS(SVG_NAMESPACE, 'title');
+        root.insertBefore(element, root.firstChild);
+      } else if (this.head) {
+        element = this.createElement('title');
+        this.head.appendChild(element);
+      } else {
+        return;
+      }
+    }
+
+    element.textContent = value;
+  }
+
+  _titleElement() {
+    const root = this.documentElement;
+    if (root && root.namespaceURI === SVG_NAMESPACE) {
+      return root._children.find(
+        child => child instanceof Element && child.localName === 'title'
+          && child.namespaceURI === SVG_NAMESPACE
+      ) || null;
+    }
+    // 본문의 <svg> 안에 있는 SVG <title>은 문서 제목이 아님
+    for (const node of descendantsOf(this)) {
+      if (node instanceof Element && node.localName === 'title' && node.namespaceURI === HTML_NAMESPACE) {
+        return node;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 텍스트 노드 생성
+   */
+  createTextNode(data) {
+    return this._own(new Text(data));
+  }
+
+  /**
+   * 팩토리 메서드로 만든 노드를 이 문서 소속으로 지정
+   */
+  _own(node) {
+    node._ownerDocument = this;
+    return node;
+  }
+
+  /**
+   * 다른 문서의 노드를 복제해 이 문서 소속으로 가져옴 (원본은 그대로)
+   */
+  importNode(node, deep = false) {
+    if (node instanceof Document) {
+      throw new DOMException('A Document cannot be imported', 'NotSupportedError');
+    }
+    const clone = node.cloneNode(deep);
+    clone._adoptInto(this);
+    return clone;
+  }
+
+  /**
+   * 노드를 원래 트리에서 떼어내 이 문서 소속으로 옮김
+   */
+  adoptNode(node) {
+    if (node instanceof Document) {
+      throw new DOMException('A Document cannot be adopted', 'NotSupportedError');
+    }
+    if (node.parentNode) {
+      node.parentNode.removeChild(node);
+    }
+    node._adoptInto(this);
+    return node;
+  }
+
+  _cloneShallow() {
+    return new Document(this.contentType);
+  }
+
+  /**
+   * root 아래를 whatToShow, filter 조건으로 탐색하는 TreeWalker
+   */
+  createTreeWalker(root, whatToShow = NodeFilter.SHOW_ALL, filter = null) {
+    return new TreeWalker(root, whatToShow, filter);
+  }
+
+  /**
+   * root 아래를 문서 순서대로 훑는 NodeIterator (노드 제거에도 위치 유지)
+   */
+  createNodeIterator(root, whatToShow = NodeFilter.SHOW_ALL, filter = null) {
+    return new NodeIterator(root, whatToShow, filter);
+  }
+
+  /**
+   * XPath 식을 contextNode에서 평가
+   * @param {Function|{lookupNamespaceURI: Function}|null} resolver - 접두사 → 네임스페이스 URI
+   * @param {number} type - XPathResult 타입 상수
+   */
+  evaluate(expression, contextNode, resolver = null, type = XPathResult.ANY_TYPE, result = null) {
+    return this.createExpression(expression, resolver).evaluate(contextNode, type);
+  }
+
+  /**
+   * XPath 식을 미리 파싱해 두고 여러 번 평가
+   */
+  createExpression(expression, resolver = null) {
+    return new XPathExpression(expression, resolver);
+  }
+
+  /**
+   * 빈 DocumentFragment 생성
+   */
+  createDocumentFragment() {
+    return this._own(new DocumentFragment());
+  }
+
+  /**
+   * 주석 노드 생성
+   */
+  createComment(data) {
+    return this._own(new Comment(data));
+  }
+
+  /**
+   * 처리 명령 노드 생성 (<?target data?>)
+   */
+  createProcessingInstruction(target, data) {
+    validateName(String(target));
+    if (String(data).includes('?>')) {
+      throw new DOMException('Processing instruction data cannot contain "?>"', 'InvalidCharacterError');
+    }
+    return this._own(new ProcessingInstruction(target, data));
+  }
+
+  /**
+   * ID로 요소 검색 - 색인에서 바로 찾고, 같은 id가 여럿이면 트리 순서상 첫 번째
+   */
+  getElementById(id) {
+    return indexedElements(this, this._idIndex.get(String(id)), true)[0] || null;
+  }
+
+  /**
+   * 태그 이름으로 요소 검색 (라이브 HTMLCollection)
+   */
+  getElementsByTagName(tagName) {
+    return elementsByTagName(this, tagName);
+  }
+
+  /**
+   * 클래스 이름으로 요소 검색 (라이브 HTMLCollection)
+   * 가장 적은 요소를 가진 클래스의 색인에 든 요소만 나머지 클래스로 거름
+   */
+  getElementsByClassName(classNames) {
+    const classes = String(classNames).split(/[ \t\n\f\r]+/).filter(Boolean);
+    return new HTMLCollection(() => {
+      if (!classes.length) return [];
+      const sets = classes.map(c => this._classIndex.get(c));
+      if (sets.some(set => !set)) return [];
+      const smallest = sets.reduce((a, b) => (b.size < a.size ? b : a));
+      return indexedElements(this, smallest).filter(el => sets.every(set => set.has(el)));
+    });
+  }
+
+  /**
+   * root와 그 자손을 문서에 연결(connected)되거나 분리된 것으로 표시하고
+   * 요소는 id/class 색인에 추가 또는 제거
+   */
+  _connectSubtree(root, connected) {
+    root._connected = connected;
+    if (root instanceof Element) this._indexElement(root, connected);
+    for (const node of descendantsOf(root)) {
+      node._connected = connected;
+      if (node instanceof Element) this._indexElement(node, connected);
+    }
+  }
+
+  _indexElement(element, add) {
+    for (const name of INDEXED_ATTRIBUTES) {
+      this._indexAttribute(element, name, element.getAttribute(name), add);
+    }
+  }
+
+  /**
+   * 속성 값 하나를 색인에 반영 (value가 null이면 속성 없음)
+   */
+  _indexAttribute(element, name, value, add) {
+    if (value === null || value === undefined) return;
+    value = String(value);
+
+    if (name === 'id') {
+      if (value) updateIndexEntry(this._idIndex, value, element, add);
+    } else if (name === 'class') {
+      for (const className of new Set(value.split(/[ \t\n\f\r]+/))) {
+        if (className) updateIndexEntry(this._classIndex, className, element, add);
+      }
+    }
+  }
+
+  /**
+   * 컴파일된 셀렉터를 캐시에서 꺼내거나 새로 컴파일
+   * 캐시가 가득 차면 가장 먼저 넣은 항목부터 버림
+   */
+  _compiledSelector(selectors) {
+    const key = String(selectors);
+    let matcher = this._selectorCache.get(key);
+    if (!matcher) {
+      matcher = compileSelector(key);
+      if (this._selectorCache.size >= SELECTOR_CACHE_LIMIT) {
+        this._selectorCache.delete(this._selectorCache.keys().next().value);
+      }
+      this._selectorCache.set(key, matcher);
+    }
+    return matcher;
+  }
+}
+
+/**
+ * 색인 집합의 요소 중 root의 자손을 트리 순서로 (first면 첫 번째만)
+ * root 아래를 훑지 않고 집합에 든 요소만 골라 정렬
+ * @param {Node} root
+ * @param {Set<Element>|undefined} elements
+ * @param {boolean} [first]
+ * @returns {Element[]}
+ */
+function indexedElements(root, elements, first = false) {
+  if (!elements) return [];
+
+  const results = [];
+  for (const element of elements) {
+    if (element !== root && root.contains(element)) results.push(element);
+  }
+  if (results.length < 2) return results;
+
+  const sorted = sortInTreeOrder(results);
+  return first ? [sorted[0]] : sorted;
+}
+
+/**
+ * 같은 트리에 있는 요소들을 트리 순서로 정렬
+ * 각 요소를 루트부터의 형제 순번 경로로 바꿔 비교 (순번은 부모마다 한 번만 매김)
+ * @param {Element[]} elements
+ * @returns {Element[]}
+ */
+function sortInTreeOrder(elements) {
+  const numberings = new Map();  // 부모 → Map(자식 → 순번)
+  const siblingIndex = (node) => {
+    const parent = node.parentNode;
+    let numbering = numberings.get(parent);
+    if (!numbering) {
+      numbering = new Map();
+      let index = 0;
+      for (let child = parent._firstChild; child; child = child._nextSibling) {
+        numbering.set(child, index++);
+      }
+      numberings.set(parent, numbering);
+    }
+    return numbering.get(node);
+  };
+
+  const keyed = elements.map((element) => {
+    const path = [];
+    for (let node = element; node.parentNode; node = node.parentNode) {
+      path.push(siblingIndex(node));
+    }
+    return { element, path: path.reverse() };
+  });
+
+  // 경로를 앞에서부터 비교, 한쪽이 다른 쪽의 접두사면 조상이 앞
+  keyed.sort((a, b) => {
+    const length = Math.min(a.path.length, b.path.length);
+    for (let i = 0; i < length; i++) {
+      if (a.path[i] !== b.path[i]) return a.path[i] - b.path[i];
+    }
+    return a.path.length - b.path.length;
+  });
+  return keyed.map(entry => entry.element);
+}
+
+function updateIndexEntry(index, key, element, add) {
+  let elements = index.get(key);
+  if (add) {
+    if (!elements) index.set(key, elements = new Set());
+    elements.add(element);
+  } else if (elements) {
+    elements.delete(element);
+    if (!elements.size) index.delete(key);
+  }
+}
+
+
+// ============================================================
+// 12. ParentNode / ChildNode 믹스인
+//     append, prepend 등 가변 인자 메서드 - 문자열은 Text 노드로 변환
+// ============================================================
+
+/**
+ * 인자 목록을 삽입할 노드 하나로 변환 - 여러 개면 DocumentFragment로 묶음
+ * @param {Array<Node|string>} nodes
+ * @returns {Node}
+ */
+function convertNodesIntoNode(nodes) {
+  const converted = nodes.map(node => (node instanceof Node ? node : new Text(String(node))));
+  if (converted.length === 1) {
+    return converted[0];
+  }
+
+  const fragment = new DocumentFragment();
+  for (const node of converted) {
+    fragment.appendChild(node);
+  }
+  return fragment;
+}
+
+// Element, Document, DocumentFragment 공통
+const ParentNodeMixin = {
+  append(...nodes) {
+    this.appendChild(convertNodesIntoNode(nodes));
+  },
+
+  prepend(...nodes) {
+    this.insertBefore(convertNodesIntoNode(nodes), this.firstChild);
+  },
+
+  /**
+   * CSS 셀렉터에 맞는 첫 번째 자손 요소
+   */
+  querySelector(selectors) {
+    const indexed = indexedQuery(this, selectors, true);
+    if (indexed) return indexed[0] || null;
+
+    const matches = selectorMatcher(this, selectors);
+    for (const node of descendantsOf(this)) {
+      if (node instanceof Element && matches(node, this)) return node;
+    }
+    return null;
+  },
+
+  /**
+   * CSS 셀렉터에 맞는 모든 자손 요소 - 문서 순서의 정적 NodeList
+   */
+  querySelectorAll(selectors) {
+    const indexed = indexedQuery(this, selectors);
+    if (indexed) return new NodeList(() => indexed);
+
+    const matches = selectorMatcher(this, selectors);
+    const results = descendantElements(this, el => matches(el, this));
+    return new NodeList(() => results);
+  },
+
+  /**
+   * 모든 자식을 nodes로 교체 - 검사를 먼저 하므로 실패하면 기존 자식이 유지됨
+   */
+  replaceChildren(...nodes) {
+    const node = convertNodesIntoNode(nodes);
+    this._ensurePreInsertionValidity(node, null);
+
+    while (this.firstChild) {
+      this.removeChild(this.firstChild);
+    }
+    this._insertNodes(node, null);
+  },
+};
+
+// Element, CharacterData, DocumentType 공통
+// 인자 중에 자기 형제가 있어도 되도록 nodes에 포함되지 않은 형제를 기준으로 삼음
+const ChildNodeMixin = {
+  before(...nodes) {
+    const parent = this.parentNode;
+    if (!parent) return;
+
+    let viablePrevious = this.previousSibling;
+    while (viablePrevious && nodes.includes(viablePrevious)) {
+      viablePrevious = viablePrevious.previousSibling;
+    }
+
+    const node = convertNodesIntoNode(nodes);
+    parent.insertBefore(node, viablePrevious ? viablePrevious.nextSibling : parent.firstChild);
+  },
+
+  after(...nodes) {
+    const parent = this.parentNode;
+    if (!parent) return;
+
+    const viableNext = this._viableNextSibling(nodes);
+    parent.insertBefore(convertNodesIntoNode(nodes), viableNext);
+  },
+
+  replaceWith(...nodes) {
+    const parent = this.parentNode;
+    if (!parent) return;
+
+    const viableNext = this._viableNextSibling(nodes);
+    const node = convertNodesIntoNode(nodes);
+    // nodes에 자기 자신이 있었다면 이미 fragment로 옮겨져 부모가 바뀜
+    if (this.parentNode === parent) {
+      parent.replaceChild(node, this);
+    } else {
+      parent.insertBefore(node, viableNext);
+    }
+  },
+
+  remove() {
+    if (this.parentNode) {
+      this.parentNode.removeChild(this);
+    }
+  },
+
+  _viableNextSibling(nodes) {
+    let viableNext = this.nextSibling;
+    while (viableNext && nodes.includes(viableNext)) {
+      viableNext = viableNext.nextSibling;
+    }
+    return viableNext;
+  },
+};
+
+for (const target of [Element, Document, DocumentFragment]) {
+  Object.assign(target.prototype, ParentNodeMixin);
+}
+for (const target of [Element, CharacterData, DocumentType]) {
+  Object.assign(target.prototype, ChildNodeMixin);
+}
+
+
+// ============================================================
+// 13. NodeFilter, TreeWalker, NodeIterator - 필터를 거친 트리 탐색
+// ============================================================
+const NodeFilter = Object.freeze({
+  // acceptNode 결과
+  FILTER_ACCEPT: 1,
+  FILTER_REJECT: 2,  // 노드와 자손 모두 제외 (NodeIterator에서는 SKIP과 같음)
+  FILTER_SKIP: 3,    // 노드만 제외하고 자손은 계속 탐색
+
+  // whatToShow 비트 - (1 << (nodeType - 1))
+  SHOW_ALL: 0xFFFFFFFF,
+  SHOW_ELEMENT: 0x1,
+  SHOW_ATTRIBUTE: 0x2,
+  SHOW_TEXT: 0x4,
+  SHOW_CDATA_SECTION: 0x8,
+  SHOW_ENTITY_REFERENCE: 0x10,
+  SHOW_ENTITY: 0x20,
+  SHOW_PROCESSING_INSTRUCTION: 0x40,
+  SHOW_COMMENT: 0x80,
+  SHOW_DOCUMENT: 0x100,
+  SHOW_DOCUMENT_TYPE: 0x200,
+  SHOW_DOCUMENT_FRAGMENT: 0x400,
+  SHOW_NOTATION: 0x800,
+});
+
+/**
+ * TreeWalker, NodeIterator 공통 - root, whatToShow, filter와 필터 실행
+ */
+class NodeTraversal {
+  constructor(root, whatToShow, filter) {
+    if (!(root instanceof Node)) {
+      throw new TypeError('The root is not a Node');
+    }
+    this.root = root;
+    this.whatToShow = whatToShow >>> 0;
+    this.filter = filter;
+    this._active = false;
+  }
+
+  /**
+   * whatToShow로 거른 뒤 filter(함수 또는 acceptNode를 가진 객체)를 호출
+   */
+  _filter(node) {
+    if (this._active) {
+      throw new DOMException('The filter is already running', 'InvalidStateError');
+    }
+    if (!(this.whatToShow & (1 << (node.nodeType - 1)))) {
+      return NodeFilter.FILTER_SKIP;
+    }
+    if (!this.filter) {
+      return NodeFilter.FILTER_ACCEPT;
+    }
+
+    this._active = true;
+    try {
+      return typeof this.filter === 'function'
+        ? this.filter(node)
+        : this.filter.acceptNode(node);
+    } finally {
+      this._active = false;
+    }
+  }
+}
+
+class TreeWalker extends NodeTraversal {
+  constructor(root, whatToShow = NodeFilter.SHOW_ALL, filter = null) {
+    super(root, whatToShow, filter);
+    this.currentNode = root;
+  }
+
+  parentNode() {
+    let node = this.currentNode;
+    while (node && node !== this.root) {
+      node = node.parentNode;
+      if (node && this._filter(node) === NodeFilter.FILTER_ACCEPT) {
+        this.currentNode = node;
+        return node;
+      }
+    }
+    return null;
+  }
+
+  firstChild() {
+    return this._traverseChildren(true);
+  }
+
+  lastChild() {
+    return this._traverseChildren(false);
+  }
+
+  previousSibling() {
+    return this._traverseSiblings(false);
+  }
+
+  nextSibling() {
+    return this._traverseSiblings(true);
+  }
+
+  /**
+   * 트리 순서상 이전 노드 - 이전 형제의 가장 깊은 마지막 자손부터 확인
+   */
+  previousNode() {
+    let node = this.currentNode;
+    while (node !== this.root) {
+      let sibling = node.previousSibling;
+      while (sibling) {
+        node = sibling;
+        let result = this._filter(node);
+        while (result !== NodeFilter.FILTER_REJECT && node.lastChild) {
+          node = node.lastChild;
+          result = this._filter(node);
+        }
+        if (result === NodeFilter.FILTER_ACCEPT) {
+          this.currentNode = node;
+          return node;
+        }
+        sibling = node.previousSibling;
+      }
+
+      if (node === this.root || !node.parentNode) return null;
+      node = node.parentNode;
+      if (this._filter(node) === NodeFilter.FILTER_ACCEPT) {
+        this.currentNode = node;
+        return node;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 트리 순서상 다음 노드 - REJECT된 노드의 자손은 건너뜀
+   */
+  nextNode() {
+    let node = this.currentNode;
+    let result = NodeFilter.FILTER_ACCEPT;
+    for (;;) {
+      while (result !== NodeFilter.FILTER_REJECT && node.firstChild) {
+        node = node.firstChild;
+        result = this._filter(node);
+        if (result === NodeFilter.FILTER_ACCEPT) {
+          this.currentNode = node;
+          return node;
+        }
+      }
+
+      const following = nextNodeSkippingChildren(node, this.root);
+      if (!following) return null;
+      node = following;
+      result = this._filter(node);
+      if (result === NodeFilter.FILTER_ACCEPT) {
+        this.currentNode = node;
+        return node;
+      }
+    }
+  }
+
+  _traverseChildren(first) {
+    let node = first ? this.currentNode.firstChild : this.currentNode.lastChild;
+    while (node) {
+      const result = this._filter(node);
+      if (result === NodeFilter.FILTER_ACCEPT) {
+        this.currentNode = node;
+        return node;
+      }
+      if (result === NodeFilter.FILTER_SKIP) {
+        const child = first ? node.firstChild : node.lastChild;
+        if (child) {
+          node = child;
+          continue;
+        }
+      }
+
+      // 형제로 넘어가고, 없으면 currentNode에 닿을 때까지 부모로 올라감
+      while (node) {
+        const sibling = first ? node.nextSibling : node.previousSibling;
+        if (sibling) {
+          node = sibling;
+          break;
+        }
+        const parent = node.parentNode;
+        if (!parent || parent === this.root || parent === this.currentNode) {
+          return null;
+        }
+        node = parent;
+      }
+    }
+    return null;
+  }
+
+  _traverseSiblings(next) {
+    let node = this.currentNode;
+    if (node === this.root) return null;
+
+    for (;;) {
+      let sibling = next ? node.nextSibling : node.previousSibling;
+      while (sibling) {
+        node = sibling;
+        const result = this._filter(node);
+        if (result === NodeFilter.FILTER_ACCEPT) {
+          this.currentNode = node;
+          return node;
+        }
+        // SKIP이면 건너뛴 노드의 자식 중에서 찾음
+        sibling = next ? node.firstChild : node.lastChild;
+        if (result === NodeFilter.FILTER_REJECT || !sibling) {
+          sibling = next ? node.nextSibling : node.previousSibling;
+        }
+      }
+
+      node = node.parentNode;
+      if (!node || node === this.root) return null;
+      if (this._filter(node) === NodeFilter.FILTER_ACCEPT) return null;
+    }
+  }
+}
+
+// 노드 제거 시 기준 노드를 보정해야 하는 NodeIterator들 (약한 참조로 보관)
+const liveNodeIterators = new Set();
+
+class NodeIterator extends NodeTraversal {
+  constructor(root, whatToShow = NodeFilter.SHOW_ALL, filter = null) {
+    super(root, whatToShow, filter);
+    this.referenceNode = root;
+    this.pointerBeforeReferenceNode = true;
+    this._ref = new WeakRef(this);
+    liveNodeIterators.add(this._ref);
+  }
+
+  nextNode() {
+    return this._traverse(true);
+  }
+
+  previousNode() {
+    return this._traverse(false);
+  }
+
+  /**
+   * 레거시 메서드 - 아무 일도 하지 않음
+   */
+  detach() {}
+
+  _traverse(next) {
+    let node = this.referenceNode;
+    let beforeNode = this.pointerBeforeReferenceNode;
+
+    for (;;) {
+      if (next) {
+        if (beforeNode) {
+          beforeNode = false;
+        } else {
+          node = nextNodeInTree(node, this.root);
+          if (!node) return null;
+        }
+      } else if (!beforeNode) {
+        beforeNode = true;
+      } else {
+        node = previousNodeInTree(node, this.root);
+        if (!node) return null;
+      }
+
+      if (this._filter(node) === NodeFilter.FILTER_ACCEPT) break;
+    }
+
+    this.referenceNode = node;
+    this.pointerBeforeReferenceNode = beforeNode;
+    return node;
+  }
+
+  /**
+   * removing 노드가 기준 노드(또는 그 조상)면 기준 노드를 트리에 남는 노드로 옮김
+   */
+  _preRemove(removing) {
+    if (removing === this.root || !removing.contains(this.referenceNode)) return;
+
+    if (this.pointerBeforeReferenceNode) {
+      // removing 서브트리 바깥의 다음 노드 (root 안에서)
+      const next = removing.contains(this.root) ? null : nextNodeSkippingChildren(removing, this.root);
+      if (next) {
+        this.referenceNode = next;
+        return;
+      }
+      this.pointerBeforeReferenceNode = false;
+    }
+
+    let previous = removing.previousSibling;
+    if (!previous) {
+      this.referenceNode = removing.parentNode;
+      return;
+    }
+    while (previous.lastChild) {
+      previous = previous.lastChild;
+    }
+    this.referenceNode = previous;
+  }
+}
+
+function notifyNodeIteratorsOfRemoval(node) {
+  for (const ref of liveNodeIterators) {
+    const iterator = ref.deref();
+    if (iterator) {
+      iterator._preRemove(node);
+    } else {
+      liveNodeIterators.delete(ref);
+    }
+  }
+}
+
+
+// ============================================================
+// 14. CSS 셀렉터 엔진 - 셀렉터 문자열을 요소 판별 함수로 컴파일
+// ============================================================
+
+/**
+ * 셀렉터 파서 - 결과 구조
+ *   셀렉터 목록 = [complex, ...]
+ *   complex  = { compounds: [compound, ...], combinators: [' ' | '>' | '+' | '~', ...] }
+ *              (combinators[i]는 compounds[i]와 compounds[i + 1] 사이의 결합자)
+ *   compound = { tag, ids, classes, attributes, pseudos }
+ *     tag        : 'div' 같은 타입 셀렉터, '*', 또는 null
+ *     attributes : [{ name, operator, value, flag }]  (operator가 null이면 존재 여부만 검사)
+ *     pseudos    : [{ name, argument }]
+ *       argument - :not/:is/:where는 셀렉터 목록, :has는 :scope로 시작하는 complex 목록,
+ *                  :nth-*는 { a, b, of }  (of는 'of S'의 셀렉터 목록 또는 null)
+ *       lenient 모드에서는 모르는 pseudo-class도 argument null로 받고,
+ *       pseudo-element(::before, :after)는 { name, argument: null, pseudoElement: true }
+ * 문법에 맞지 않으면 SyntaxError DOMException
+ */
+class SelectorParser {
+  /**
+   * @param {string} source
+   * @param {Object} [options]
+   * @param {boolean} [options.lenient] - 명시도 계산용: :hover 같은 상태 pseudo-class와
+   *   pseudo-element도 받아들임 (매칭할 수 없으므로 컴파일에는 쓰지 않음)
+   */
+  constructor(source, options = {}) {
+    this.source = String(source);
+    this.pos = 0;
+    this.lenient = options.lenient || false;
+  }
+
+  parse() {
+    const list = this.parseSelectorList();
+    if (this.pos < this.source.length) {
+      this._fail(`Unexpected '${this.source[this.pos]}'`);
+    }
+    return list;
+  }
+
+  parseSelectorList() {
+    const list = [this.parseComplex()];
+    while (this._peek() === ',') {
+      this.pos++;
+      list.push(this.parseComplex());
+    }
+    return list;
+  }
+
+  parseComplex() {
+    this._skipWhitespace();
+    const compounds = [this.parseCompound()];
+    const combinators = [];
+
+    for (;;) {
+      const hadWhitespace = this._skipWhitespace();
+      const ch = this.source[this.pos];
+      let combinator;
+      if (ch === '>' || ch === '+' || ch === '~') {
+        this.pos++;
+        this._skipWhitespace();
+        combinator = ch;
+      } else if (hadWhitespace && ch !== undefined && ch !== ',' && ch !== ')') {
+        combinator = ' ';
+      } else {
+        break;
+      }
+      combinators.push(combinator);
+      compounds.push(this.parseCompound());
+    }
+
+    return { compounds, combinators };
+  }
+
+  parseCompound() {
+    const compound = { tag: null, ids: [], classes: [], attributes: [], pseudos: [] };
+
+    if (this.source[this.pos] === '*') {
+      this.pos++;
+      compound.tag = '*';
+    } else if (this._startsIdentifier()) {
+      compound.tag = this._identifier();
+    }
+
+    for (;;) {
+      const ch = this.source[this.pos];
+      if (ch === '#') {
+        this.pos++;
+        compound.ids.push(this._name());
+      } else if (ch === '.') {
+        this.pos++;
+        compound.classes.push(this._identifier());
+      } else if (ch === '[') {
+        compound.attributes.push(this._attribute());
+      } else if (ch === ':') {
+        compound.pseudos.push(this._pseudo());
+      } else {
+        break;
+      }
+    }
+
+    if (compound.tag === null && !compound.ids.length && !compound.classes.length
+      && !compound.attributes.length && !compound.pseudos.length) {
+      this._fail(this.pos < this.source.length
+        ? `Unexpected '${this.source[this.pos]}'`
+        : 'Unexpected end of selector');
+    }
+    return compound;
+  }
+
+  // [name], [name op value], [name op value i|s]
+  _attribute() {
+    this.pos++;  // [
+    this._skipWhitespace();
+    const name = this._identifier();
+    this._skipWhitespace();
+
+    let operator = null;
+    let value = null;
+    let flag = null;
+    const match = /^[~|^$*]?=/.exec(this.source.slice(this.pos, this.pos + 2));
+    if (match) {
+      operator = match[0];
+      this.pos += operator.length;
+      this._skipWhitespace();
+      const quote = this.source[this.pos];
+      value = quote === '"' || quote === "'" ? this._string() : this._identifier();
+      this._skipWhitespace();
+      if (this._startsIdentifier()) {
+        flag = this._identifier().toLowerCase();
+        if (flag !== 'i' && flag !== 's') {
+          this._fail(`Unknown attribute selector flag '${flag}'`);
+        }
+        this._skipWhitespace();
+      }
+    }
+
+    if (this.source[this.pos] !== ']') {
+      this._fail('Expected ] in attribute selector');
+    }
+    this.pos++;
+    return { name, operator, value, flag };
+  }
+
+  _pseudo() {
+    this.pos++;  // :
+    const doubleColon = this.source[this.pos] === ':';
+    if (doubleColon) {
+      if (!this.lenient) this._fail('Pseudo-elements are not supported');
+      this.pos++;
+    }
+    const name = asciiLowercase(this._identifier());
+
+    // CSS2 문법의 :before 같은 한 콜론 pseudo-element
+    if (doubleColon || this.lenient && LEGACY_PSEUDO_ELEMENTS.has(name)) {
+      if (this.source[this.pos] === '(') {
+        this.pos++;
+        this._skipArgument();
+        this.pos++;  // )
+      }
+      return { name, argument: null, pseudoElement: true };
+    }
+
+    if (this.source[this.pos] !== '(') {
+      if (!SIMPLE_PSEUDO_CLASSES.has(name) && !this.lenient) {
+        this._fail(`Unknown pseudo-class :${name}`);
+      }
+      return { name, argument: null };
+    }
+
+    this.pos++;  // (
+    let argument = null;
+    if (name === 'not' || name === 'is' || name === 'where') {
+      argument = this.parseSelectorList();
+    } else if (name === 'has') {
+      argument = this._relativeSelectorList();
+    } else if (NTH_PSEUDO_CLASSES.has(name)) {
+      argument = this._nth(name === 'nth-child' || name === 'nth-last-child');
+    } else if (this.lenient) {
+      this._skipArgument();
+    } else {
+      this._fail(`Unknown pseudo-class :${name}()`);
+    }
+
+    this._skipWhitespace();
+    if (this.source[this.pos] !== ')') {
+      this._fail(`Expected ) after :${name}(`);
+    }
+    this.pos++;
+    return { name, argument };
+  }
+
+  /**
+   * 모르는 함수형 pseudo의 인자를 괄호 짝을 맞춰 닫는 괄호 앞까지 건너뜀
+   */
+  _skipArgument() {
+    let depth = 0;
+    while (this.pos < this.source.length) {
+      const ch = this.source[this.pos];
+      if (ch === '"' || ch === "'") {
+        this._string();
+        continue;
+      }
+      if (ch === ')') {
+        if (!depth) return;
+        depth--;
+      } else if (ch === '(') {
+        depth++;
+      } else if (ch === '\\') {
+        this.pos++;
+      }
+      this.pos++;
+    }
+    this._fail('Expected ) after pseudo argument');
+  }
+
+  /**
+   * :has() 인자 - '> p', '+ p', 'p' 같은 상대 셀렉터를 ':scope > p' 형태의 complex로 변환
+   */
+  _relativeSelectorList() {
+    const list = [];
+    do {
+      if (list.length) this.pos++;  // ,
+      this._skipWhitespace();
+      let combinator = ' ';
+      if ('>+~'.includes(this.source[this.pos] || '_')) {
+        combinator = this.source[this.pos++];
+      }
+      const { compounds, combinators } = this.parseComplex();
+      list.push({
+        compounds: [{ ...SCOPE_COMPOUND }, ...compounds],
+        combinators: [combinator, ...combinators],
+      });
+    } while (this._peek() === ',');
+    return list;
+  }
+
+  /**
+   * An+B [of S] - odd, even, 3, -n+2, 2n - 1 ...
+   */
+  _nth(allowOf) {
+    this._skipWhitespace();
+    const rest = this.source.slice(this.pos);
+    const match = /^(?:(odd|even)|([+-]?\d*)n(?:\s*([+-])\s*(\d+))?|([+-]?\d+))(?![\w-])/i.exec(rest);
+    if (!match) {
+      this._fail('Invalid An+B expression');
+    }
+    this.pos += match[0].length;
+
+    let a = 0;
+    let b = 0;
+    if (match[1]) {
+      [a, b] = match[1].toLowerCase() === 'odd' ? [2, 1] : [2, 0];
+    } else if (match[5] !== undefined) {
+      b = parseInt(match[5], 10);
+    } else {
+      const coefficient = match[2];
+      a = coefficient === '' || coefficient === '+' ? 1 : coefficient === '-' ? -1 : parseInt(coefficient, 10);
+      b = match[4] ? parseInt(match[3] + match[4], 10) : 0;
+    }
+
+    let of = null;
+    if (allowOf && /^\s+of\s/i.test(this.source.slice(this.pos))) {
+      this._skipWhitespace();
+      this.pos += 2;  // of
+      of = this.parseSelectorList();
+    }
+    return { a, b, of };
+  }
+
+  // ----------------------------------------------------------
+  // 토큰 단위 읽기
+  // ----------------------------------------------------------
+
+  _peek() {
+    this._skipWhitespace();
+    return this.source[this.pos];
+  }
+
+  _skipWhitespace() {
+    const start = this.pos;
+    while (/[ \t\n\r\f]/.test(this.source[this.pos] || '')) {
+      this.pos++;
+    }
+    return this.pos > start;
+  }
+
+  _startsIdentifier() {
+    const rest = this.source.slice(this.pos, this.pos + 3);
+    return /^(?:-?(?:[A-Za-z_\u0080-\uffff]|\\[^\n])|--)/.test(rest);
+  }
+
+  _identifier() {
+    if (!this._startsIdentifier()) {
+      this._fail('Expected an identifier');
+    }
+    return this._name();
+  }
+
+  // 식별자 문자 연속 (#id처럼 숫자로 시작해도 되는 경우 포함)
+  _name() {
+    let name = '';
+    for (;;) {
+      const ch = this.source[this.pos];
+      if (ch === '\\') {
+        name += this._escape();
+      } else if (ch !== undefined && /[A-Za-z0-9_\-\u0080-\uffff]/.test(ch)) {
+        name += ch;
+        this.pos++;
+      } else {
+        break;
+      }
+    }
+    if (!name) {
+      this._fail('Expected a name');
+    }
+    return name;
+  }
+
+  _string() {
+    const quote = this.source[this.pos++];
+    let value = '';
+    for (;;) {
+      const ch = this.source[this.pos];
+      if (ch === undefined || ch === '\n') {
+        this._fail('Unterminated string');
+      }
+      if (ch === quote) {
+        this.pos++;
+        return value;
+      }
+      if (ch === '\\') {
+        if (this.source[this.pos + 1] === '\n') {
+          this.pos += 2;  // 줄 이어쓰기
+        } else {
+          value += this._escape();
+        }
+      } else {
+        value += ch;
+        this.pos++;
+      }
+    }
+  }
+
+  // \XXXXXX (공백 하나까지 소비) 또는 \문자
+  _escape() {
+    this.pos++;  // 백슬래시
+    const hex = /^[0-9A-Fa-f]{1,6}/.exec(this.source.slice(this.pos, this.pos + 6));
+    if (hex) {
+      this.pos += hex[0].length;
+      if (/[ \t\n\r\f]/.test(this.source[this.pos] || '')) this.pos++;
+      const code = parseInt(hex[0], 16);
+      return code === 0 || code > 0x10FFFF || (code >= 0xD800 && code <= 0xDFFF)
+        ? '\ufffd'
+        : String.fromCodePoint(code);
+    }
+    if (this.pos >= this.source.length) {
+      return '\ufffd';
+    }
+    return this.source[this.pos++];
+  }
+
+  _fail(message) {
+    throw new DOMException(
+      `'${this.source}' is not a valid selector: ${message}`,
+      'SyntaxError'
+    );
+  }
+}
+
+// 한 콜론으로도 쓸 수 있는 CSS2 pseudo-element
+const LEGACY_PSEUDO_ELEMENTS = new Set(['before', 'after', 'first-line', 'first-letter']);
+
+// 인자 없는 pseudo-class와 An+B 인자를 받는 pseudo-class
+const SIMPLE_PSEUDO_CLASSES = new Set([
+  'first-child', 'last-child', 'only-child', 'first-of-type', 'last-of-type', 'only-of-type',
+  'empty', 'root', 'scope',
+]);
+const NTH_PSEUDO_CLASSES = new Set(['nth-child', 'nth-last-child', 'nth-of-type', 'nth-last-of-type']);
+
+// :has() 상대 셀렉터의 기준 요소 자리
+const SCOPE_COMPOUND = {
+  tag: null, ids: [], classes: [], attributes: [], pseudos: [{ name: 'scope', argument: null }],
+};
+
+/**
+ * node가 속한 문서의 캐시를 거쳐 셀렉터 컴파일 (소속 문서가 없으면 매번 컴파일)
+ */
+function selectorMatcher(node, selectors) {
+  const document = node._nodeDocument;
+  return document ? document._compiledSelector(selectors) : compileSelector(selectors);
+}
+
+// '#id', '.class' 하나로만 된 셀렉터 (이스케이프 없는 식별자)
+const INDEXED_SELECTOR = /^[ \t\n\f\r]*([#.])(-?[A-Za-z_\u0080-\uffff][\w\u0080-\uffff-]*)[ \t\n\f\r]*$/;
+
+/**
+ * 문서의 id/class 색인으로 바로 답할 수 있는 셀렉터면 scope 안의 결과(트리 순서), 아니면 null
+ * @param {boolean} [first] - querySelector처럼 첫 번째 결과만 필요한지
+ */
+function indexedQuery(scope, selectors, first = false) {
+  const match = INDEXED_SELECTOR.exec(String(selectors));
+  if (!match) return null;
+  const document = connectedDocument(scope);
+  if (!document) return null;
+
+  const index = match[1] === '#' ? document._idIndex : document._classIndex;
+  return indexedElements(scope, index.get(match[2]), first);
+}
+
+/**
+ * 셀렉터 문자열 → (element, scope) => boolean
+ * scope는 :scope가 가리킬 요소 (querySelector를 호출한 노드)
+ */
+function compileSelector(selectors) {
+  const list = new SelectorParser(selectors).parse();
+  return compileSelectorList(list);
+}
+
+function compileSelectorList(list) {
+  const complexes = list.map(compileComplex);
+  if (complexes.length === 1) return complexes[0];
+  return (element, scope) => complexes.some(matches => matches(element, scope));
+}
+
+/**
+ * 오른쪽 compound부터 맞춰 보고 결합자를 따라 왼쪽으로 거슬러 올라감
+ */
+function compileComplex({ compounds, combinators }) {
+  const matchers = compounds.map(compileCompound);
+
+  const matchFrom = (index, element, scope) => {
+    if (!matchers[index](element, scope)) return false;
+    if (index === 0) return true;
+
+    switch (combinators[index - 1]) {
+      case '>': {
+        const parent = parentElement(element);
+        return parent !== null && matchFrom(index - 1, parent, scope);
+      }
+      case ' ':
+        for (let ancestor = parentElement(element); ancestor; ancestor = parentElement(ancestor)) {
+          if (matchFrom(index - 1, ancestor, scope)) return true;
+        }
+        return false;
+      case '+': {
+        const previous = previousElementSibling(element);
+        return previous !== null && matchFrom(index - 1, previous, scope);
+      }
+      case '~':
+        for (let sibling = previousElementSibling(element); sibling;
+          sibling = previousElementSibling(sibling)) {
+          if (matchFrom(index - 1, sibling, scope)) return true;
+        }
+        return false;
+    }
+    return false;
+  };
+
+  const last = matchers.length - 1;
+  return (element, scope = null) => matchFrom(last, element, scope);
+}
+
+function compileCompound(compound) {
+  const tests = [];
+
+  if (compound.tag && compound.tag !== '*') {
+    const name = compound.tag;
+    const lowerName = asciiLowercase(name);
+    // HTML 요소는 대소문자 구분 없이, 그 외(SVG 등)는 그대로 비교
+    tests.push(el => el.localName === (el.namespaceURI === HTML_NAMESPACE ? lowerName : name));
+  }
+  for (const id of compound.ids) {
+    tests.push(el => el.id === id);
+  }
+  for (const className of compound.classes) {
+    tests.push(el => el.classList.contains(className));
+  }
+  for (const attribute of compound.attributes) {
+    tests.push(compileAttributeSelector(attribute));
+  }
+  for (const pseudo of compound.pseudos) {
+    tests.push(compilePseudoClass(pseudo));
+  }
+
+  return (element, scope) => tests.every(test => test(element, scope));
+}
+
+/**
+ * 셀렉터의 명시도(specificity) [id, class, type]
+ * 셀렉터 목록이면 가장 높은 명시도를 반환
+ * 매칭하지 않으므로 :hover 같은 상태/미지원 pseudo-class는 (0,1,0),
+ * ::before 같은 pseudo-element는 (0,0,1)로 셈
+ */
+function getSpecificity(selectors) {
+  return maxSpecificity(new SelectorParser(selectors, { lenient: true }).parse());
+}
+
+function maxSpecificity(list) {
+  let max = [0, 0, 0];
+  for (const complex of list) {
+    const specificity = complexSpecificity(complex.compounds);
+    if (compareSpecificity(specificity, max) > 0) max = specificity;
+  }
+  return max;
+}
+
+function complexSpecificity(compounds) {
+  const total = [0, 0, 0];
+  for (const compound of compounds) {
+    total[0] += compound.ids.length;
+    total[1] += compound.classes.length + compound.attributes.length;
+    if (compound.tag && compound.tag !== '*') total[2]++;
+
+    for (const { name, argument, pseudoElement } of compound.pseudos) {
+      let add;
+      if (pseudoElement) {
+        add = [0, 0, 1];
+      } else if (name === 'where') {
+        add = [0, 0, 0];
+      } else if (name === 'is' || name === 'not') {
+        add = maxSpecificity(argument);
+      } else if (name === 'has') {
+        // 앞에 붙인 :scope 자리는 세지 않음
+        add = maxSpecificity(argument.map(complex => ({ compounds: complex.compounds.slice(1) })));
+      } else if (NTH_PSEUDO_CLASSES.has(name) && argument.of) {
+        add = maxSpecificity(argument.of);
+        add = [add[0], add[1] + 1, add[2]];
+      } else {
+        add = [0, 1, 0];
+      }
+      for (let i = 0; i < 3; i++) total[i] += add[i];
+    }
+  }
+  return total;
+}
+
+function compareSpecificity(a, b) {
+  return a[0] - b[0] || a[1] - b[1] || a[2] - b[2];
+}
+
+/**
+ * pseudo-class → (element, scope) => boolean
+ */
+function compilePseudoClass({ name, argument }) {
+  switch (name) {
+    case 'first-child':
+      return (el) => !previousElementSibling(el);
+    case 'last-child':
+      return (el) => !nextElementSibling(el);
+    case 'only-child':
+      return (el) => !previousElementSibling(el) && !nextElementSibling(el);
+    case 'first-of-type':
+      return compileNth({ a: 0, b: 1, of: null }, false, true);
+    case 'last-of-type':
+      return compileNth({ a: 0, b: 1, of: null }, true, true);
+    case 'only-of-type': {
+      const first = compileNth({ a: 0, b: 1, of: null }, false, true);
+      const last = compileNth({ a: 0, b: 1, of: null }, true, true);
+      return (el) => first(el) && last(el);
+    }
+    case 'nth-child':
+    case 'nth-last-child':
+    case 'nth-of-type':
+    case 'nth-last-of-type':
+      return compileNth(argument, name.startsWith('nth-last'), name.endsWith('of-type'));
+    case 'empty':
+      // 주석, 처리 명령은 무시하고 요소나 내용 있는 텍스트가 없어야 함
+      return (el) => ![...el.childNodes].some(
+        child => child.nodeType === Node.ELEMENT_NODE || (child.nodeType === Node.TEXT_NODE && child.data)
+      );
+    case 'root':
+      return (el) => el.parentNode !== null && el.parentNode.nodeType === Node.DOCUMENT_NODE;
+    case 'scope':
+      // 기준 요소가 없으면(문서에서 호출) :root와 같음
+      return (el, scope) => (scope instanceof Element
+        ? el === scope
+        : el.parentNode !== null && el.parentNode.nodeType === Node.DOCUMENT_NODE);
+    case 'not': {
+      const matches = compileSelectorList(argument);
+      return (el, scope) => !matches(el, scope);
+    }
+    case 'is':
+    case 'where':
+      return compileSelectorList(argument);
+    case 'has':
+      return compileHas(argument);
+  }
+  throw new DOMException(`Unknown pseudo-class :${name}`, 'SyntaxError');
+}
+
+/**
+ * :nth-child 계열 - 형제 중 위치(1부터)가 an+b (n >= 0) 꼴인지 검사
+ * @param {boolean} fromEnd - 뒤에서부터 셈 (:nth-last-*)
+ * @param {boolean} ofType - 같은 타입의 형제만 셈 (:nth-*-of-type)
+ */
+function compileNth({ a, b, of }, fromEnd, ofType) {
+  const filter = of ? compileSelectorList(of) : null;
+  const step = fromEnd ? nextElementSibling : previousElementSibling;
+
+  return (element, scope) => {
+    if (filter && !filter(element, scope)) return false;
+
+    let position = 1;
+    for (let sibling = step(element); sibling; sibling = step(sibling)) {
+      if (ofType
+        ? sibling.localName === element.localName && sibling.namespaceURI === element.namespaceURI
+        : !filter || filter(sibling, scope)) {
+        position++;
+      }
+    }
+
+    if (a === 0) return position === b;
+    const n = (position - b) / a;
+    return Number.isInteger(n) && n >= 0;
+  };
+}
+
+/**
+ * :has(relative) - 기준 요소를 :scope로 두고 관련 범위의 요소 중 하나라도 맞는지 검사
+ */
+function compileHas(relativeList) {
+  const entries = relativeList.map(complex => ({
+    matches: compileComplex(complex),
+    // 형제 결합자로 시작하면 뒤쪽 형제와 그 자손, 아니면 자손만 후보
+    siblings: complex.combinators[0] === '+' || complex.combinators[0] === '~',
+  }));
+
+  return (element) => entries.some(({ matches, siblings }) => {
+    if (!siblings) {
+      for (const node of descendantsOf(element)) {
+        if (node instanceof Element && matches(node, element)) return true;
+      }
+      return false;
+    }
+    for (let sibling = nextElementSibling(element); sibling; sibling = nextElementSibling(sibling)) {
+      if (matches(sibling, element)) return true;
+      for (const node of descendantsOf(sibling)) {
+        if (node instanceof Element && matches(node, element)) return true;
+      }
+    }
+    return false;
+  });
+}
+
+function compileAttributeSelector({ name, operator, value, flag }) {
+  const lowerName = asciiLowercase(name);
+  const fold = flag === 'i' ? asciiLowercase : (s) => s;
+  const expected = value === null ? null : fold(value);
+
+  const compare = {
+    '=': (actual) => actual === expected,
+    '~=': (actual) => expected !== '' && !/[ \t\n\r\f]/.test(expected)
+      && actual.split(/[ \t\n\r\f]+/).includes(expected),
+    '|=': (actual) => actual === expected || actual.startsWith(expected + '-'),
+    '^=': (actual) => expected !== '' && actual.startsWith(expected),
+    '$=': (actual) => expected !== '' && actual.endsWith(expected),
+    '*=': (actual) => expected !== '' && actual.includes(expected),
+  }[operator];
+
+  return (element) => {
+    const attributeName = element.namespaceURI === HTML_NAMESPACE ? lowerName : name;
+    const actual = element.getAttribute(attributeName);
+    if (actual === null) return false;
+    return !operator || compare(fold(actual));
+  };
+}
+
+function asciiLowercase(string) {
+  return string.replace(/[A-Z]/g, ch => ch.toLowerCase());
+}
+
+function parentElement(node) {
+  const parent = node.parentNode;
+  return parent instanceof Element ? parent : null;
+}
+
+function previousElementSibling(node) {
+  let sibling = node.previousSibling;
+  while (sibling && !(sibling instanceof Element)) {
+    sibling = sibling.previousSibling;
+  }
+  return sibling;
+}
+
+function nextElementSibling(node) {
+  let sibling = node.nextSibling;
+  while (sibling && !(sibling instanceof Element)) {
+    sibling = sibling.nextSibling;
+  }
+  return sibling;
+}
+
+
+// ============================================================
+// 15. XPath - XPath 1.0 식을 파싱해 노드 트리에서 평가 (Document.evaluate)
+//     namespace 축과 변수 참조는 지원하지 않음
+// ============================================================
+
+/**
+ * 평가 결과 - resultType에 해당하는 값만 읽을 수 있고 다른 값을 읽으면 TypeError
+ */
+class XPathResult {
+  static ANY_TYPE = 0;
+  static NUMBER_TYPE = 1;
+  static STRING_TYPE = 2;
+  static BOOLEAN_TYPE = 3;
+  static UNORDERED_NODE_ITERATOR_TYPE = 4;
+  static ORDERED_NODE_ITERATOR_TYPE = 5;
+  static UNORDERED_NODE_SNAPSHOT_TYPE = 6;
+  static ORDERED_NODE_SNAPSHOT_TYPE = 7;
+  static ANY_UNORDERED_NODE_TYPE = 8;
+  static FIRST_ORDERED_NODE_TYPE = 9;
+
+  /**
+   * @param {number} type - 요청한 결과 타입 (ANY_TYPE이면 값의 타입을 따름)
+   * @param {number|string|boolean|Array<Node|Attr>} value - 노드 집합은 문서 순서 배열
+   */
+  constructor(type, value) {
+    const isNodeSet = Array.isArray(value);
+    if (type === XPathResult.ANY_TYPE) {
+      type = isNodeSet ? XPathResult.UNORDERED_NODE_ITERATOR_TYPE
+        : typeof value === 'number' ? XPathResult.NUMBER_TYPE
+          : typeof value === 'string' ? XPathResult.STRING_TYPE
+            : XPathResult.BOOLEAN_TYPE;
+    }
+
+    this.resultType = type;
+    this._nodes = null;
+    this._value = null;
+    this._iteratorIndex = 0;
+    this._treeVersion = treeVersion;
+
+    switch (type) {
+      case XPathResult.NUMBER_TYPE:
+        this._value = toXPathNumber(value);
+        break;
+      case XPathResult.STRING_TYPE:
+        this._value = toXPathString(value);
+        break;
+      case XPathResult.BOOLEAN_TYPE:
+        this._value = toXPathBoolean(value);
+        break;
+      case XPathResult.UNORDERED_NODE_ITERATOR_TYPE:
+      case XPathResult.ORDERED_NODE_ITERATOR_TYPE:
+      case XPathResult.UNORDERED_NODE_SNAPSHOT_TYPE:
+      case XPathResult.ORDERED_NODE_SNAPSHOT_TYPE:
+      case XPathResult.ANY_UNORDERED_NODE_TYPE:
+      case XPathResult.FIRST_ORDERED_NODE_TYPE:
+        if (!isNodeSet) {
+          throw new TypeError('The expression does not evaluate to a node-set');
+        }
+        this._nodes = value;
+        break;
+      default:
+        throw new DOMException(`Unknown XPathResult type ${type}`, 'NotSupportedError');
+    }
+  }
+
+  get numberValue() {
+    this._expect('numberValue', XPathResult.NUMBER_TYPE);
+    return this._value;
+  }
+
+  get stringValue() {
+    this._expect('stringValue', XPathResult.STRING_TYPE);
+    return this._value;
+  }
+
+  get booleanValue() {
+    this._expect('booleanValue', XPathResult.BOOLEAN_TYPE);
+    return this._value;
+  }
+
+  get singleNodeValue() {
+    this._expect('singleNodeValue', XPathResult.ANY_UNORDERED_NODE_TYPE, XPathResult.FIRST_ORDERED_NODE_TYPE);
+    return this._nodes[0] || null;
+  }
+
+  get snapshotLength() {
+    this._expect('snapshotLength',
+      XPathResult.UNORDERED_NODE_SNAPSHOT_TYPE, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE);
+    return this._nodes.length;
+  }
+
+  snapshotItem(index) {
+    this._expect('snapshotItem',
+      XPathResult.UNORDERED_NODE_SNAPSHOT_TYPE, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE);
+    return this._nodes[index >>> 0] || null;
+  }
+
+  // 결과를 만든 뒤 트리가 바뀌면 반복자는 더 쓸 수 없음
+  get invalidIteratorState() {
+    return this._isIterator() && this._treeVersion !== treeVersion;
+  }
+
+  iterateNext() {
+    this._expect('iterateNext',
+      XPathResult.UNORDERED_NODE_ITERATOR_TYPE, XPathResult.ORDERED_NODE_ITERATOR_TYPE);
+    if (this.invalidIteratorState) {
+      throw new DOMException('The document has been mutated since the result was returned', 'InvalidStateError');
+    }
+    return this._nodes[this._iteratorIndex++] || null;
+  }
+
+  _isIterator() {
+    return this.resultType === XPathResult.UNORDERED_NODE_ITERATOR_TYPE
+      || this.resultType === XPathResult.ORDERED_NODE_ITERATOR_TYPE;
+  }
+
+  _expect(member, ...types) {
+    if (!types.includes(this.resultType)) {
+      throw new TypeError(`${member} is not available for result type ${this.resultType}`);
+    }
+  }
+}
+
+/**
+ * 한 번 파싱해 여러 문맥 노드에서 평가할 수 있는 식 (Document.createExpression)
+ */
+class XPathExpression {
+  /**
+   * @param {string} expression
+   * @param {Function|{lookupNamespaceURI: Function}|null} resolver - 접두사 → 네임스페이스 URI
+   */
+  constructor(expression, resolver = null) {
+    this._ast = new XPathParser(expression, resolver).parse();
+  }
+
+  evaluate(contextNode, type = XPathResult.ANY_TYPE) {
+    if (!(contextNode instanceof Node) && !(contextNode instanceof Attr)) {
+      throw new TypeError('The context node must be a Node');
+    }
+    const value = evaluateXPath(this._ast, { node: contextNode, position: 1, size: 1 });
+    return new XPathResult(Number(type), value);
+  }
+}
+
+/**
+ * attribute 축이 돌려주는 속성 노드 - 값은 소유 요소의 attributes에서 그대로 읽음
+ * 같은 속성은 항상 같은 객체라 노드 집합에서 중복이 걸러짐
+ */
+class Attr {
+  constructor(ownerElement, name) {
+    const colon = name.indexOf(':');
+    this.nodeType = Node.ATTRIBUTE_NODE;
+    this.nodeName = name;
+    this.name = name;
+    this.prefix = colon === -1 ? null : name.slice(0, colon);
+    this.localName = name.slice(colon + 1);
+    this.namespaceURI = null;
+    this.ownerElement = ownerElement;
+  }
+
+  get value() {
+    return this.ownerElement.getAttribute(this.name) ?? '';
+  }
+
+  get nodeValue() {
+    return this.value;
+  }
+
+  get textContent() {
+    return this.value;
+  }
+}
+
+const attributeNodes = new WeakMap();
+
+function attributeNode(element, name) {
+  let nodes = attributeNodes.get(element);
+  if (!nodes) attributeNodes.set(element, nodes = new Map());
+  if (!nodes.has(name)) nodes.set(name, new Attr(element, name));
+  return nodes.get(name);
+}
+
+const NCNAME_START_CHARS = NAME_START_CHARS.replace(':', '');
+const NCNAME = `[${NCNAME_START_CHARS}][${NCNAME_START_CHARS}\\-.0-9\u00B7\u0300-\u036F\u203F\u2040]*`;
+
+// 공백 | 숫자 | 문자열 | 구두점/연산자 | 이름 (QName 또는 prefix:*)
+const XPATH_TOKEN = new RegExp(
+  '[\\x20\\t\\n\\r]+'
+  + '|(\\d+(?:\\.\\d*)?|\\.\\d+)'
+  + '|("[^"]*"|\'[^\']*\')'
+  + '|(\\.\\.|::|//|!=|<=|>=|[/()[\\]@,|+\\-=<>*.$])'
+  + `|(${NCNAME}(?::(?:\\*|${NCNAME}))?)`,
+  'y'
+);
+
+const XPATH_OPERATOR_NAMES = new Set(['and', 'or', 'mod', 'div']);
+const XPATH_NODE_TYPES = new Set(['comment', 'text', 'processing-instruction', 'node']);
+const XPATH_AXES = new Set([
+  'ancestor', 'ancestor-or-self', 'attribute', 'child', 'descendant', 'descendant-or-self',
+  'following', 'following-sibling', 'namespace', 'parent', 'preceding', 'preceding-sibling', 'self',
+]);
+// 역방향 축 - 술어의 위치를 문맥 노드에 가까운 쪽부터 셈
+const XPATH_REVERSE_AXES = new Set(['ancestor', 'ancestor-or-self', 'preceding', 'preceding-sibling']);
+
+/**
+ * XPath 파서 - 결과 구조
+ *   { type: 'number' | 'literal', value }
+ *   { type: 'binary', op, left, right }   (or, and, =, !=, <, <=, >, >=, +, -, *, div, mod, |)
+ *   { type: 'negate', operand }
+ *   { type: 'function', name, args }
+ *   { type: 'filter', primary, predicates }
+ *   { type: 'path', start, absolute, steps }   (start는 필터 식 또는 null)
+ *   step = { axis, test, predicates }
+ *     test - { kind: 'node' | 'text' | 'comment' | 'any' }, { kind: 'pi', target },
+ *            { kind: 'name', prefix, namespaceURI, localName }, { kind: 'namespace', prefix, namespaceURI }
+ * 문법에 맞지 않으면 SyntaxError, 풀 수 없는 접두사는 NamespaceError DOMException
+ */
+class XPathParser {
+  constructor(source, resolver) {
+    this.source = String(source);
+    this.resolver = resolver;
+    this.tokens = this._tokenize();
+    this.pos = 0;
+  }
+
+  parse() {
+    const expr = this.parseExpr();
+    if (this.pos < this.tokens.length) {
+      this._fail(`Unexpected '${this.tokens[this.pos].value}'`);
+    }
+    return expr;
+  }
+
+  parseExpr() {
+    return this._binary(['or'], () =>
+      this._binary(['and'], () =>
+        this._binary(['=', '!='], () =>
+          this._binary(['<', '<=', '>', '>='], () =>
+            this._binary(['+', '-'], () =>
+              this._binary(['*', 'div', 'mod'], () => this._unary()))))));
+  }
+
+  _binary(operators, operand) {
+    let left = operand();
+    while (this._peek('operator') && operators.includes(this.tokens[this.pos].value)) {
+      const op = this.tokens[this.pos++].value;
+      left = { type: 'binary', op, left, right: operand() };
+    }
+    return left;
+  }
+
+  _unary() {
+    if (this._peek('operator', '-')) {
+      this.pos++;
+      return { type: 'negate', operand: this._unary() };
+    }
+    let left = this._path();
+    while (this._peek('operator', '|')) {
+      this.pos++;
+      left = { type: 'binary', op: '|', left, right: this._path() };
+    }
+    return left;
+  }
+
+  _path() {
+    const token = this.tokens[this.pos];
+    if (!token) this._fail('Unexpected end of expression');
+
+    // 필터 식으로 시작하는 경로 - (expr), 숫자, 문자열, 함수 호출
+    if (token.type === 'number' || token.type === 'literal' || token.type === 'function'
+      || (token.type === 'punct' && token.value === '(')) {
+      const start = this._filter();
+      if (!this._peek('operator', '/') && !this._peek('operator', '//')) {
+        return start;
+      }
+      return { type: 'path', start, absolute: false, steps: this._relativePath(true) };
+    }
+
+    if (this._peek('operator', '/')) {
+      this.pos++;
+      const steps = this._startsStep() ? this._relativePath(false) : [];
+      return { type: 'path', start: null, absolute: true, steps };
+    }
+    if (this._peek('operator', '//')) {
+      return { type: 'path', start: null, absolute: true, steps: this._relativePath(true) };
+    }
+    return { type: 'path', start: null, absolute: false, steps: this._relativePath(false) };
+  }
+
+  /**
+   * 단계 목록 - afterSlash면 현재 위치의 '/' 또는 '//'부터 읽음
+   * '//x'는 descendant-or-self::node()/child::x이지만 술어가 없으면 descendant::x 한 단계로 줄임
+   */
+  _relativePath(afterSlash) {
+    const steps = [];
+    if (!afterSlash) steps.push(this._step());
+
+    while (this._peek('operator', '/') || this._peek('operator', '//')) {
+      const descendant = this.tokens[this.pos++].value === '//';
+      const step = this._step();
+      if (!descendant) {
+        steps.push(step);
+      } else if (step.axis === 'child' && !step.predicates.length) {
+        steps.push({ ...step, axis: 'descendant' });
+      } else {
+        steps.push({ axis: 'descendant-or-self', test: { kind: 'node' }, predicates: [] }, step);
+      }
+    }
+    return steps;
+  }
+
+  _startsStep() {
+    const token = this.tokens[this.pos];
+    return !!token && (token.type === 'nametest' || token.type === 'nodetype' || token.type === 'axis'
+      || (token.type === 'punct' && (token.value === '.' || token.value === '..' || token.value === '@')));
+  }
+
+  _step() {
+    if (this._peek('punct', '.')) {
+      this.pos++;
+      return { axis: 'self', test: { kind: 'node' }, predicates: [] };
+    }
+    if (this._peek('punct', '..')) {
+      this.pos++;
+      return { axis: 'parent', test: { kind: 'node' }, predicates: [] };
+    }
+
+    let axis = 'child';
+    if (this._peek('axis')) {
+      axis = this.tokens[this.pos++].value;
+      if (!XPATH_AXES.has(axis)) this._fail(`Unknown axis ${axis}`);
+      this._expect('punct', '::');
+    } else if (this._peek('punct', '@')) {
+      this.pos++;
+      axis = 'attribute';
+    }
+
+    const test = this._nodeTest();
+    const predicates = [];
+    while (this._peek('punct', '[')) {
+      predicates.push(this._predicate());
+    }
+    return { axis, test, predicates };
+  }
+
+  _nodeTest() {
+    const token = this.tokens[this.pos];
+    if (token && token.type === 'nodetype') {
+      this.pos++;
+      this._expect('punct', '(');
+      let test = { kind: token.value };
+      if (token.value === 'processing-instruction') {
+        test = { kind: 'pi', target: this._peek('literal') ? this.tokens[this.pos++].value : null };
+      }
+      this._expect('punct', ')');
+      return test;
+    }
+    if (!token || token.type !== 'nametest') {
+      this._fail(token ? `Unexpected '${token.value}'` : 'Expected a node test');
+    }
+    this.pos++;
+
+    if (token.value === '*') return { kind: 'any' };
+    const colon = token.value.indexOf(':');
+    if (colon === -1) {
+      return { kind: 'name', prefix: null, namespaceURI: null, localName: token.value };
+    }
+    const prefix = token.value.slice(0, colon);
+    const localName = token.value.slice(colon + 1);
+    const namespaceURI = this._resolvePrefix(prefix);
+    return localName === '*'
+      ? { kind: 'namespace', prefix, namespaceURI }
+      : { kind: 'name', prefix, namespaceURI, localName };
+  }
+
+  _predicate() {
+    this._expect('punct', '[');
+    const expr = this.parseExpr();
+    this._expect('punct', ']');
+    return expr;
+  }
+
+  _filter() {
+    const token = this.tokens[this.pos++];
+    let primary;
+    if (token.type === 'number') {
+      primary = { type: 'number', value: Number(token.value) };
+    } else if (token.type === 'literal') {
+      primary = { type: 'literal', value: token.value };
+    } else if (token.type === 'function') {
+      primary = this._functionCall(token.value);
+    } else {
+      primary = this.parseExpr();
+      this._expect('punct', ')');
+    }
+
+    const predicates = [];
+    while (this._peek('punct', '[')) {
+      predicates.push(this._predicate());
+    }
+    return predicates.length ? { type: 'filter', primary, predicates } : primary;
+  }
+
+  _functionCall(name) {
+    const definition = XPATH_FUNCTIONS.get(name);
+    if (!definition) this._fail(`Unknown function ${name}()`);
+
+    this._expect('punct', '(');
+    const args = [];
+    if (!this._peek('punct', ')')) {
+      args.push(this.parseExpr());
+      while (this._peek('punct', ',')) {
+        this.pos++;
+        args.push(this.parseExpr());
+      }
+    }
+    this._expect('punct', ')');
+
+    if (args.length < definition.min || args.length > definition.max) {
+      this._fail(`Wrong number of arguments to ${name}()`);
+    }
+    return { type: 'function', name, args };
+  }
+
+  _resolvePrefix(prefix) {
+    if (prefix === 'xml') return XML_NAMESPACE;
+    let namespaceURI = null;
+    if (typeof this.resolver === 'function') {
+      namespaceURI = this.resolver(prefix);
+    } else if (this.resolver && typeof this.resolver.lookupNamespaceURI === 'function') {
+      namespaceURI = this.resolver.lookupNamespaceURI(prefix);
+    }
+    if (!namespaceURI) {
+      throw new DOMException(`Namespace prefix '${prefix}' could not be resolved`, 'NamespaceError');
+    }
+    return namespaceURI;
+  }
+
+  /**
+   * 토큰 분해 - '*'와 and/or/mod/div는 앞 토큰에 따라 연산자인지 이름인지 결정
+   */
+  _tokenize() {
+    const tokens = [];
+    XPATH_TOKEN.lastIndex = 0;
+    while (XPATH_TOKEN.lastIndex < this.source.length) {
+      const start = XPATH_TOKEN.lastIndex;
+      const match = XPATH_TOKEN.exec(this.source);
+      if (!match) this._fail(`Unexpected '${this.source[start]}'`);
+      if (match[1] !== undefined) tokens.push({ type: 'number', value: match[1] });
+      else if (match[2] !== undefined) tokens.push({ type: 'literal', value: match[2].slice(1, -1) });
+      else if (match[3] !== undefined) tokens.push({ type: 'punct', value: match[3] });
+      else if (match[4] !== undefined) tokens.push({ type: 'name', value: match[4] });
+    }
+
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+      const previous = tokens[i - 1];
+      const afterOperand = previous && previous.type !== 'operator'
+        && !(previous.type === 'punct' && ['@', '::', '(', '[', ','].includes(previous.value));
+
+      if (token.type === 'punct') {
+        if (token.value === '$') this._fail('Variable references are not supported');
+        if (token.value === '*') token.type = afterOperand ? 'operator' : 'nametest';
+        else if (['/', '//', '|', '+', '-', '=', '!=', '<', '<=', '>', '>='].includes(token.value)) {
+          token.type = 'operator';
+        }
+      } else if (token.type === 'name') {
+        const next = tokens[i + 1];
+        if (afterOperand && XPATH_OPERATOR_NAMES.has(token.value)) {
+          token.type = 'operator';
+        } else if (next && next.type === 'punct' && next.value === '(') {
+          token.type = XPATH_NODE_TYPES.has(token.value) ? 'nodetype' : 'function';
+        } else if (next && next.type === 'punct' && next.value === '::') {
+          token.type = 'axis';
+        } else {
+          token.type = 'nametest';
+        }
+      }
+    }
+    return tokens;
+  }
+
+  _peek(type, value) {
+    const token = this.tokens[this.pos];
+    return !!token && token.type === type && (value === undefined || token.value === value);
+  }
+
+  _expect(type, value) {
+    if (!this._peek(type, value)) {
+      const token = this.tokens[this.pos];
+      this._fail(token ? `Expected '${value}' but found '${token.value}'` : `Expected '${value}'`);
+    }
+    this.pos++;
+  }
+
+  _fail(message) {
+    throw new DOMException(`Invalid XPath expression '${this.source}': ${message}`, 'SyntaxError');
+  }
+}
+
+/**
+ * 식 평가 - 결과는 number, string, boolean 또는 문서 순서의 노드 배열
+ * @param {Object} context - { node, position, size }
+ */
+function evaluateXPath(expr, context) {
+  switch (expr.type) {
+    case 'number':
+    case 'literal':
+      return expr.value;
+    case 'negate':
+      return -toXPathNumber(evaluateXPath(expr.operand, context));
+    case 'function': {
+      const args = expr.args.map(arg => evaluateXPath(arg, context));
+      return XPATH_FUNCTIONS.get(expr.name).evaluate(context, ...args);
+    }
+    case 'filter': {
+      let nodes = nodeSetOf(evaluateXPath(expr.primary, context), 'A predicate');
+      for (const predicate of expr.predicates) {
+        nodes = filterByPredicate(nodes, predicate);
+      }
+      return nodes;
+    }
+    case 'path':
+      return evaluatePath(expr, context);
+    case 'binary':
+      return evaluateBinary(expr, context);
+  }
+  throw new TypeError(`Unknown XPath expression type ${expr.type}`);
+}
+
+function evaluateBinary({ op, left, right }, context) {
+  if (op === 'or') {
+    return toXPathBoolean(evaluateXPath(left, context)) || toXPathBoolean(evaluateXPath(right, context));
+  }
+  if (op === 'and') {
+    return toXPathBoolean(evaluateXPath(left, context)) && toXPathBoolean(evaluateXPath(right, context));
+  }
+
+  const a = evaluateXPath(left, context);
+  const b = evaluateXPath(right, context);
+  switch (op) {
+    case '|':
+      return sortInDocumentOrder([...nodeSetOf(a, 'A union'), ...nodeSetOf(b, 'A union')]);
+    case '+': return toXPathNumber(a) + toXPathNumber(b);
+    case '-': return toXPathNumber(a) - toXPathNumber(b);
+    case '*': return toXPathNumber(a) * toXPathNumber(b);
+    case 'div': return toXPathNumber(a) / toXPathNumber(b);
+    case 'mod': return toXPathNumber(a) % toXPathNumber(b);
+  }
+  return compareXPathValues(op, a, b);
+}
+
+function evaluatePath({ start, absolute, steps }, context) {
+  let nodes;
+  if (start) {
+    nodes = nodeSetOf(evaluateXPath(start, context), 'A path');
+  } else if (absolute) {
+    const node = context.node instanceof Attr ? context.node.ownerElement : context.node;
+    nodes = [node.getRootNode()];
+  } else {
+    nodes = [context.node];
+  }
+
+  for (const step of steps) {
+    nodes = evaluateStep(step, nodes);
+  }
+  return nodes;
+}
+
+/**
+ * 각 문맥 노드에서 축을 따라 노드를 모으고 술어로 거른 뒤 문서 순서로 합침
+ */
+function evaluateStep({ axis, test, predicates }, contexts) {
+  const reverse = XPATH_REVERSE_AXES.has(axis);
+  const results = [];
+
+  for (const context of contexts) {
+    let nodes = axisNodes(axis, context).filter(node => matchesNodeTest(test, node, axis));
+    for (const predicate of predicates) {
+      nodes = filterByPredicate(nodes, predicate);
+    }
+    if (contexts.length === 1) {
+      // 문맥 노드가 하나면 축 순서를 뒤집기만 하면 문서 순서
+      return reverse ? nodes.reverse() : nodes;
+    }
+    results.push(...nodes);
+  }
+  return sortInDocumentOrder(results);
+}
+
+/**
+ * 술어 적용 - 값이 숫자면 위치 비교, 아니면 boolean 변환
+ */
+function filterByPredicate(nodes, predicate) {
+  const size = nodes.length;
+  return nodes.filter((node, index) => {
+    const value = evaluateXPath(predicate, { node, position: index + 1, size });
+    return typeof value === 'number' ? value === index + 1 : toXPathBoolean(value);
+  });
+}
+
+/**
+ * 축의 노드 목록 - 역방향 축은 문맥 노드에 가까운 순서
+ */
+function axisNodes(axis, node) {
+  const isAttr = node instanceof Attr;
+  const nodes = [];
+
+  switch (axis) {
+    case 'self':
+      return [node];
+    case 'child':
+      if (!isAttr) {
+        for (let child = node.firstChild; child; child = child.nextSibling) nodes.push(child);
+      }
+      return nodes;
+    case 'descendant-or-self':
+      nodes.push(node);
+      // fall through
+    case 'descendant':
+      if (!isAttr) nodes.push(...descendantsOf(node));
+      return nodes;
+    case 'parent': {
+      const parent = isAttr ? node.ownerElement : node.parentNode;
+      return parent ? [parent] : [];
+    }
+    case 'ancestor-or-self':
+      nodes.push(node);
+      // fall through
+    case 'ancestor':
+      for (let ancestor = isAttr ? node.ownerElement : node.parentNode; ancestor; ancestor = ancestor.parentNode) {
+        nodes.push(ancestor);
+      }
+      return nodes;
+    case 'following-sibling':
+      if (!isAttr) {
+        for (let sibling = node.nextSibling; sibling; sibling = sibling.nextSibling) nodes.push(sibling);
+      }
+      return nodes;
+    case 'preceding-sibling':
+      if (!isAttr) {
+        for (let sibling = node.previousSibling; sibling; sibling = sibling.previousSibling) nodes.push(sibling);
+      }
+      return nodes;
+    case 'following': {
+      // 속성의 following은 소유 요소의 자손부터 시작
+      const origin = isAttr ? node.ownerElement : node;
+      const root = origin.getRootNode();
+      if (isAttr) nodes.push(...descendantsOf(origin));
+      for (let next = nextNodeSkippingChildren(origin, root); next; next = nextNodeInTree(next, root)) {
+        nodes.push(next);
+      }
+      return nodes;
+    }
+    case 'preceding': {
+      const origin = isAttr ? node.ownerElement : node;
+      const root = origin.getRootNode();
+      const ancestors = new Set();
+      for (let ancestor = origin.parentNode; ancestor; ancestor = ancestor.parentNode) ancestors.add(ancestor);
+      for (let previous = previousNodeInTree(origin, root); previous; previous = previousNodeInTree(previous, root)) {
+        if (!ancestors.has(previous)) nodes.push(previous);
+      }
+      return nodes;
+    }
+    case 'attribute':
+      if (node instanceof Element) {
+        for (const name of node.attributes.keys()) {
+          // 네임스페이스 선언은 속성 노드로 취급하지 않음
+          if (name !== 'xmlns' && !name.startsWith('xmlns:')) nodes.push(attributeNode(node, name));
+        }
+      }
+      return nodes;
+    case 'namespace':
+      return nodes;
+  }
+  return nodes;
+}
+
+/**
+ * 노드 테스트 - 이름 테스트는 축의 주 노드 타입(attribute 축은 속성, 그 외는 요소)에만 맞음
+ * 접두사 없는 이름은 HTML 요소와는 대소문자 구분 없이, 그 외에는 네임스페이스 없는 요소와 비교
+ */
+function matchesNodeTest(test, node, axis) {
+  switch (test.kind) {
+    case 'node':
+      return true;
+    case 'text':
+      return node.nodeType === Node.TEXT_NODE;
+    case 'comment':
+      return node.nodeType === Node.COMMENT_NODE;
+    case 'pi':
+      return node.nodeType === Node.PROCESSING_INSTRUCTION_NODE && (test.target === null || node.target === test.target);
+  }
+
+  const principalType = axis === 'attribute' ? Node.ATTRIBUTE_NODE : Node.ELEMENT_NODE;
+  if (node.nodeType !== principalType) return false;
+
+  if (principalType === Node.ATTRIBUTE_NODE) {
+    // 속성은 네임스페이스 대신 한정된 이름으로 비교
+    switch (test.kind) {
+      case 'any': return true;
+      case 'namespace': return node.prefix === test.prefix;
+      default: return node.name === (test.prefix ? `${test.prefix}:${test.localName}` : test.localName);
+    }
+  }
+
+  switch (test.kind) {
+    case 'any':
+      return true;
+    case 'namespace':
+      return node.namespaceURI === test.namespaceURI;
+    default:
+      if (test.namespaceURI) {
+        return node.namespaceURI === test.namespaceURI && node.localName === test.localName;
+      }
+      return node.namespaceURI === HTML_NAMESPACE
+        ? node.localName === asciiLowercase(test.localName)
+        : node.namespaceURI === null && node.localName === test.localName;
+  }
+}
+
+/**
+ * 노드 집합을 문서 순서로 정렬하고 중복 제거
+ * 관련된 트리를 한 번씩 훑어 순서 번호를 매김 (속성은 소유 요소 바로 뒤, 자식보다 앞)
+ */
+function sortInDocumentOrder(nodes) {
+  const unique = [...new Set(nodes)];
+  if (unique.length < 2) return unique;
+
+  const ownerOf = node => (node instanceof Attr ? node.ownerElement : node);
+  const roots = [...new Set(unique.map(node => ownerOf(node).getRootNode()))]
+    .sort((a, b) => treeOrderId(a) - treeOrderId(b));
+
+  const order = new Map();
+  let index = 0;
+  for (const root of roots) {
+    order.set(root, index++);
+    for (const node of descendantsOf(root)) {
+      order.set(node, index++);
+    }
+  }
+
+  const keyOf = (node) => {
+    if (!(node instanceof Attr)) return order.get(node);
+    const names = [...node.ownerElement.attributes.keys()];
+    return order.get(node.ownerElement) + (names.indexOf(node.name) + 1) / (names.length + 1);
+  };
+  const keys = new Map(unique.map(node => [node, keyOf(node)]));
+  return unique.sort((a, b) => keys.get(a) - keys.get(b));
+}
+
+function nodeSetOf(value, what) {
+  if (!Array.isArray(value)) {
+    throw new TypeError(`${what} requires a node-set`);
+  }
+  return value;
+}
+
+/**
+ * 비교 연산 - 노드 집합이 끼면 조건을 만족하는 노드(쌍)가 하나라도 있는지
+ */
+function compareXPathValues(op, left, right) {
+  const leftIsSet = Array.isArray(left);
+  const rightIsSet = Array.isArray(right);
+
+  if (leftIsSet && rightIsSet) {
+    const rightStrings = right.map(xpathStringValue);
+    return left.some(node => {
+      const string = xpathStringValue(node);
+      return rightStrings.some(other => comparePrimitives(op, string, other));
+    });
+  }
+
+  if (leftIsSet || rightIsSet) {
+    const other = leftIsSet ? right : left;
+    const set = leftIsSet ? left : right;
+    const compare = (a, b) => (leftIsSet ? comparePrimitives(op, a, b) : comparePrimitives(op, b, a));
+    if (typeof other === 'boolean') {
+      return compare(toXPathBoolean(set), other);
+    }
+    return set.some(node => {
+      const string = xpathStringValue(node);
+      return compare(typeof other === 'number' ? toXPathNumber(string) : string, other);
+    });
+  }
+
+  return comparePrimitives(op, left, right);
+}
+
+function comparePrimitives(op, a, b) {
+  if (op === '=' || op === '!=') {
+    if (typeof a === 'boolean' || typeof b === 'boolean') {
+      [a, b] = [toXPathBoolean(a), toXPathBoolean(b)];
+    } else if (typeof a === 'number' || typeof b === 'number') {
+      [a, b] = [toXPathNumber(a), toXPathNumber(b)];
+    }
+    return op === '=' ? a === b : a !== b;
+  }
+
+  a = toXPathNumber(a);
+  b = toXPathNumber(b);
+  switch (op) {
+    case '<': return a < b;
+    case '<=': return a <= b;
+    case '>': return a > b;
+    case '>=': return a >= b;
+  }
+  return false;
+}
+
+/**
+ * 노드의 문자열 값 - 요소/문서는 자손 텍스트를 이어 붙인 값
+ */
+function xpathStringValue(node) {
+  if (node instanceof Attr) return node.value;
+  if (node instanceof CharacterData) return node.data;
+
+  let text = '';
+  for (const descendant of descendantsOf(node)) {
+    if (descendant.nodeType === Node.TEXT_NODE) text += descendant.data;
+  }
+  return text;
+}
+
+function toXPathString(value) {
+  if (Array.isArray(value)) return value.length ? xpathStringValue(value[0]) : '';
+  if (typeof value === 'number') return xpathNumberToString(value);
+  if (typeof value === 'boolean') return value ? 'true' : 'false';
+  return value;
+}
+
+function toXPathNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  const string = toXPathString(value).replace(/^[\x20\t\n\r]+|[\x20\t\n\r]+$/g, '');
+  return /^-?(?:\d+(?:\.\d*)?|\.\d+)$/.test(string) ? Number(string) : NaN;
+}
+
+function toXPathBoolean(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  if (typeof value === 'number') return value !== 0 && !Number.isNaN(value);
+  if (typeof value === 'string') return value.length > 0;
+  return value;
+}
+
+/**
+ * 숫자 → 문자열 - 지수 표기 없이, 정수는 소수점 없이
+ */
+function xpathNumberToString(number) {
+  if (Number.isNaN(number)) return 'NaN';
+  if (number === 0) return '0';
+  if (!Number.isFinite(number)) return number > 0 ? 'Infinity' : '-Infinity';
+
+  const string = String(Math.abs(number));
+  const sign = number < 0 ? '-' : '';
+  if (!string.includes('e')) return sign + string;
+
+  const [mantissa, exponent] = string.split('e');
+  const [integer, fraction = ''] = mantissa.split('.');
+  const digits = integer + fraction;
+  const point = integer.length + Number(exponent);
+  if (point <= 0) return `${sign}0.${'0'.repeat(-point)}${digits}`;
+  if (point >= digits.length) return sign + digits + '0'.repeat(point - digits.length);
+  return `${sign}${digits.slice(0, point)}.${digits.slice(point)}`;
+}
+
+/**
+ * 선택 인자가 노드 집합이면 첫 노드, 생략하면 문맥 노드
+ */
+function firstNodeArgument(context, value) {
+  if (value === undefined) return context.node;
+  return nodeSetOf(value, 'This function')[0] || null;
+}
+
+function xpathFunction(min, max, evaluate) {
+  return { min, max, evaluate };
+}
+
+/**
+ * XPath 1.0 핵심 함수 - evaluate는 (context, ...인자 값)
+ */
+const XPATH_FUNCTIONS = new Map(Object.entries({
+  // 노드 집합
+  'last': xpathFunction(0, 0, context => context.size),
+  'position': xpathFunction(0, 0, context => context.position),
+  'count': xpathFunction(1, 1, (context, set) => nodeSetOf(set, 'count()').length),
+  'id': xpathFunction(1, 1, (context, value) => {
+    const ids = (Array.isArray(value) ? value.map(xpathStringValue) : [toXPathString(value)])
+      .flatMap(string => string.split(/[\x20\t\n\r]+/)).filter(Boolean);
+    const origin = context.node instanceof Attr ? context.node.ownerElement : context.node;
+    const root = origin.getRootNode();
+    const elements = root instanceof Document
+      ? ids.map(id => root.getElementById(id)).filter(Boolean)
+      : [...descendantsOf(root)].filter(node => node instanceof Element && ids.includes(node.id));
+    return sortInDocumentOrder(elements);
+  }),
+  'local-name': xpathFunction(0, 1, (context, set) => {
+    const node = firstNodeArgument(context, set);
+    if (!node) return '';
+    if (node.nodeType === Node.PROCESSING_INSTRUCTION_NODE) return node.target;
+    return node.localName || '';
+  }),
+  'namespace-uri': xpathFunction(0, 1, (context, set) => {
+    const node = firstNodeArgument(context, set);
+    return (node && node.namespaceURI) || '';
+  }),
+  'name': xpathFunction(0, 1, (context, set) => {
+    const node = firstNodeArgument(context, set);
+    if (!node) return '';
+    if (node.nodeType === Node.PROCESSING_INSTRUCTION_NODE) return node.target;
+    if (node instanceof Attr) return node.name;
+    if (node instanceof Element) return node.prefix ? `${node.prefix}:${node.localName}` : node.localName;
+    return '';
+  }),
+
+  // 문자열
+  'string': xpathFunction(0, 1, (context, value = [context.node]) => toXPathString(value)),
+  'concat': xpathFunction(2, Infinity, (context, ...values) => values.map(toXPathString).join('')),
+  'starts-with': xpathFunction(2, 2, (context, a, b) => toXPathString(a).startsWith(toXPathString(b))),
+  'contains': xpathFunction(2, 2, (context, a, b) => toXPathString(a).includes(toXPathString(b))),
+  'substring-before': xpathFunction(2, 2, (context, a, b) => {
+    const string = toXPathString(a);
+    const index = string.indexOf(toXPathString(b));
+    return index === -1 ? '' : string.slice(0, index);
+  }),
+  'substring-after': xpathFunction(2, 2, (context, a, b) => {
+    const string = toXPathString(a);
+    const search = toXPathString(b);
+    const index = string.indexOf(search);
+    return index === -1 ? '' : string.slice(index + search.length);
+  }),
+  'substring': xpathFunction(2, 3, (context, value, start, length) => {
+    // 위치는 1부터, 반올림한 start 이상 start + length 미만의 문자
+    const first = Math.round(toXPathNumber(start));
+    const end = length === undefined ? Infinity : first + Math.round(toXPathNumber(length));
+    return [...toXPathString(value)].filter((ch, i) => i + 1 >= first && i + 1 < end).join('');
+  }),
+  'string-length': xpathFunction(0, 1, (context, value = [context.node]) => [...toXPathString(value)].length),
+  'normalize-space': xpathFunction(0, 1, (context, value = [context.node]) =>
+    toXPathString(value).split(/[\x20\t\n\r]+/).filter(Boolean).join(' ')),
+  'translate': xpathFunction(3, 3, (context, value, from, to) => {
+    const fromChars = [...toXPathString(from)];
+    const toChars = [...toXPathString(to)];
+    return [...toXPathString(value)].map(ch => {
+      const index = fromChars.indexOf(ch);
+      return index === -1 ? ch : (toChars[index] ?? '');
+    }).join('');
+  }),
+
+  // 불리언
+  'boolean': xpathFunction(1, 1, (context, value) => toXPathBoolean(value)),
+  'not': xpathFunction(1, 1, (context, value) => !toXPathBoolean(value)),
+  'true': xpathFunction(0, 0, () => true),
+  'false': xpathFunction(0, 0, () => false),
+  'lang': xpathFunction(1, 1, (context, value) => {
+    const language = asciiLowercase(toXPathString(value));
+    let node = context.node instanceof Attr ? context.node.ownerElement : context.node;
+    for (; node; node = node.parentNode) {
+      if (node instanceof Element && node.hasAttribute('xml:lang')) {
+        const own = asciiLowercase(node.getAttribute('xml:lang'));
+        return own === language || own.startsWith(`${language}-`);
+      }
+    }
+    return false;
+  }),
+
+  // 숫자
+  'number': xpathFunction(0, 1, (context, value = [context.node]) => toXPathNumber(value)),
+  'sum': xpathFunction(1, 1, (context, set) =>
+    nodeSetOf(set, 'sum()').reduce((total, node) => total + toXPathNumber(xpathStringValue(node)), 0)),
+  'floor': xpathFunction(1, 1, (context, value) => Math.floor(toXPathNumber(value))),
+  'ceiling': xpathFunction(1, 1, (context, value) => Math.ceil(toXPathNumber(value))),
+  'round': xpathFunction(1, 1, (context, value) => Math.round(toXPathNumber(value))),
+}));
+
+
+// ============================================================
+// 16. DOMParser - 문자열을 완성된 Document로 파싱
+// ============================================================
+class DOMParser {
+  static SUPPORTED_TYPES = [
+    'text/html', 'text/xml', 'application/xml', 'application/xhtml+xml', 'image/svg+xml'
+  ];
+
+  /**
+   * @param {Object} [options] - 결과 문서의 parserOptions (Document 참고)
+   * @param {boolean} [options.collectErrors] - 파싱 오류 수집
+   * @param {boolean} [options.sourceLocations] - 노드별 소스 위치 기록
+   */
+  constructor(options = {}) {
+    this.options = {
+      collectErrors: options.collectErrors || false,
+      sourceLocations: options.sourceLocations || false
+    };
+  }
+
+  /**
+   * @param {string} string - 파싱할 마크업
+   * @param {string} type - MIME 타입 ('text/html'이면 HTML 파서, 그 외는 XML 파서)
+   * @returns {Document}
+   */
+  parseFromString(string, type) {
+    if (!DOMParser.SUPPORTED_TYPES.includes(type)) {
+      throw new TypeError(`Unsupported MIME type: ${type}`);
+    }
+
+    if (type === 'text/html') {
+      return parseHTMLDocument(String(string), this.options);
+    }
+    return parseXMLDocument(String(string), type, this.options);
+  }
+}
+
+
+// ============================================================
+// 17. 문자 참조 - 엔티티 디코딩과 직렬화용 이스케이프
+// ============================================================
+
+// HTML 표준의 named character reference 전체 목록 (이름 뒤의 ';'는 생략)
+const NAMED_CHARACTER_REFERENCES = {
+  AElig: 'Æ', AMP: '&', Aacute: 'Á', Abreve: 'Ă', Acirc: 'Â', Acy: 'А', Afr: '𝔄', Agrave: 'À',
+  Alpha: 'Α', Amacr: 'Ā', And: '⩓', Aogon: 'Ą', Aopf: '𝔸', ApplyFunction: '\u2061', Aring: 'Å',
+  Ascr: '𝒜', Assign: '≔', Atilde: 'Ã', Auml: 'Ä', Backslash: '∖', Barv: '⫧', Barwed: '⌆', Bcy: 'Б',
+  Because: '∵', Bernoullis: 'ℬ', Beta: 'Β', Bfr: '𝔅', Bopf: '𝔹', Breve: '˘', Bscr: 'ℬ',
+  Bumpeq: '≎', CHcy: 'Ч', COPY: '©', Cacute: 'Ć', Cap: '⋒', CapitalDifferentialD: 'ⅅ',
+  Cayleys: 'ℭ', Ccaron: 'Č', Ccedil: 'Ç', Ccirc: 'Ĉ', Cconint: '∰', Cdot: 'Ċ', Cedilla: '¸',
+  CenterDot: '·', Cfr: 'ℭ', Chi: 'Χ', CircleDot: '⊙', CircleMinus: '⊖', CirclePlus: '⊕',
+  CircleTimes: '⊗', ClockwiseContourIntegral: '∲', CloseCurlyDoubleQuote: '”',
+  CloseCurlyQuote: '’', Colon: '∷', Colone: '⩴', Congruent: '≡', Conint: '∯', ContourIntegral: '∮',
+  Copf: 'ℂ', Coproduct: '∐', CounterClockwiseContourIntegral: '∳', Cross: '⨯', Cscr: '𝒞', Cup: '⋓',
+  CupCap: '≍', DD: 'ⅅ', DDotrahd: '⤑', DJcy: 'Ђ', DScy: 'Ѕ', DZcy: 'Џ', Dagger: '‡', Darr: '↡',
+  Dashv: '⫤', Dcaron: 'Ď', Dcy: 'Д', Del: '∇', Delta: 'Δ', Dfr: '𝔇', DiacriticalAcute: '´',
+  DiacriticalDot: '˙', DiacriticalDoubleAcute: '˝', DiacriticalGrave: '`', DiacriticalTilde: '˜',
+  Diamond: '⋄', DifferentialD: 'ⅆ', Dopf: '𝔻', Dot: '¨', DotDot: '\u20dc', DotEqual: '≐',
+  DoubleContourIntegral: '∯', DoubleDot: '¨', DoubleDownArrow: '⇓', DoubleLeftArrow: '⇐',
+  DoubleLeftRightArrow: '⇔', DoubleLeftTee: '⫤', DoubleLongLeftArrow: '⟸',
+  DoubleLongLeftRightArrow: '⟺', DoubleLongRightArrow: '⟹', DoubleRightArrow: '⇒',
+  DoubleRightTee: '⊨', DoubleUpArrow: '⇑', DoubleUpDownArrow: '⇕', DoubleVerticalBar: '∥',
+  DownArrow: '↓', DownArrowBar: '⤓', DownArrowUpArrow: '⇵', DownBreve: '\u0311',
+  DownLeftRightVector: '⥐', DownLeftTeeVector: '⥞', DownLeftVector: '↽', DownLeftVectorBar: '⥖',
+  DownRightTeeVector: '⥟', DownRightVector: '⇁', DownRightVectorBar: '⥗', DownTee: '⊤',
+  DownTeeArrow: '↧', Downarrow: '⇓', Dscr: '𝒟', Dstrok: 'Đ', ENG: 'Ŋ', ETH: 'Ð', Eacute: 'É',
+  Ecaron: 'Ě', Ecirc: 'Ê', Ecy: 'Э', Edot: 'Ė', Efr: '𝔈', Egrave: 'È', Element: '∈', Emacr: 'Ē',
+  EmptySmallSquare: '◻', EmptyVerySmallSquare: '▫', Eogon: 'Ę', Eopf: '𝔼', Epsilon: 'Ε',
+  Equal: '⩵', EqualTilde: '≂', Equilibrium: '⇌', Escr: 'ℰ', Esim: '⩳', Eta: 'Η', Euml: 'Ë',
+  Exists: '∃', ExponentialE: 'ⅇ', Fcy: 'Ф', Ffr: '𝔉', FilledSmallSquare: '◼',
+  FilledVerySmallSquare: '▪', Fopf: '𝔽', ForAll: '∀', Fouriertrf: 'ℱ', Fscr: 'ℱ', GJcy: 'Ѓ',
+  GT: '>', Gamma: 'Γ', Gammad: 'Ϝ', Gbreve: 'Ğ', Gcedil: 'Ģ', Gcirc: 'Ĝ', Gcy: 'Г', Gdot: 'Ġ',
+  Gfr: '𝔊', Gg: '⋙', Gopf: '𝔾', GreaterEqual: '≥', GreaterEqualLess: '⋛', GreaterFullEqual: '≧',
+  GreaterGreater: '⪢', GreaterLess: '≷', GreaterSlantEqual: '⩾', GreaterTilde: '≳', Gscr: '𝒢',
+  Gt: '≫', HARDcy: 'Ъ', Hacek: 'ˇ', Hat: '^', Hcirc: 'Ĥ', Hfr: 'ℌ', HilbertSpace: 'ℋ', Hopf: 'ℍ',
+  HorizontalLine: '─', Hscr: 'ℋ', Hstrok: 'Ħ', HumpDownHump: '≎', HumpEqual: '≏', IEcy: 'Е',
+  IJlig: 'Ĳ', IOcy: 'Ё', Iacute: 'Í', Icirc: 'Î', Icy: 'И', Idot: 'İ', Ifr: 'ℑ', Igrave: 'Ì',
+  Im: 'ℑ', Imacr: 'Ī', ImaginaryI: 'ⅈ', Implies: '⇒', Int: '∬', Integral: '∫', Intersection: '⋂',
+  InvisibleComma: '\u2063', InvisibleTimes: '\u2062', Iogon: 'Į', Iopf: '𝕀', Iota: 'Ι', Iscr: 'ℐ',
+  Itilde: 'Ĩ', Iukcy: 'І', Iuml: 'Ï', Jcirc: 'Ĵ', Jcy: 'Й', Jfr: '𝔍', Jopf: '𝕁', Jscr: '𝒥',
+  Jsercy: 'Ј', Jukcy: 'Є', KHcy: 'Х', KJcy: 'Ќ', Kappa: 'Κ', Kcedil: 'Ķ', Kcy: 'К', Kfr: '𝔎',
+  Kopf: '𝕂', Kscr: '𝒦', LJcy: 'Љ', LT: '<', Lacute: 'Ĺ', Lambda: 'Λ', Lang: '⟪', Laplacetrf: 'ℒ',
+  Larr: '↞', Lcaron: 'Ľ', Lcedil: 'Ļ', Lcy: 'Л', LeftAngleBracket: '⟨', LeftArrow: '←',
+  LeftArrowBar: '⇤', LeftArrowRightArrow: '⇆', LeftCeiling: '⌈', LeftDoubleBracket: '⟦',
+  LeftDownTeeVector: '⥡', LeftDownVector: '⇃', LeftDownVectorBar: '⥙', LeftFloor: '⌊',
+  LeftRightArrow: '↔', LeftRightVector: '⥎', LeftTee: '⊣', LeftTeeArrow: '↤', LeftTeeVector: '⥚',
+  LeftTriangle: '⊲', LeftTriangleBar: '⧏', LeftTriangleEqual: '⊴', LeftUpDownVector: '⥑',
+  LeftUpTeeVector: '⥠', LeftUpVector: '↿', LeftUpVectorBar: '⥘', LeftVector: '↼',
+  LeftVectorBar: '⥒', Leftarrow: '⇐', Leftrightarrow: '⇔', LessEqualGreater: '⋚',
+  LessFullEqual: '≦', LessGreater: '≶', LessLess: '⪡', LessSlantEqual: '⩽', LessTilde: '≲',
+  Lfr: '𝔏', Ll: '⋘', Lleftarrow: '⇚', Lmidot: 'Ŀ', LongLeftArrow: '⟵', LongLeftRightArrow: '⟷',
+  LongRightArrow: '⟶', Longleftarrow: '⟸', Longleftrightarrow: '⟺', Longrightarrow: '⟹', Lopf: '𝕃',
+  LowerLeftArrow: '↙', LowerRightArrow: '↘', Lscr: 'ℒ', Lsh: '↰', Lstrok: 'Ł', Lt: '≪', Map: '⤅',
+  Mcy: 'М', MediumSpace: '\u205f', Mellintrf: 'ℳ', Mfr: '𝔐', MinusPlus: '∓', Mopf: '𝕄', Mscr: 'ℳ',
+  Mu: 'Μ', NJcy: 'Њ', Nacute: 'Ń', Ncaron: 'Ň', Ncedil: 'Ņ', Ncy: 'Н',
+  NegativeMediumSpace: '\u200b', NegativeThickSpace: '\u200b', NegativeThinSpace: '\u200b',
+  NegativeVeryThinSpace: '\u200b', NestedGreaterGreater: '≫', NestedLessLess: '≪',
+  NewLine: '\u000a', Nfr: '𝔑', NoBreak: '\u2060', NonBreakingSpace: '\u00a0', Nopf: 'ℕ', Not: '⫬',
+  NotCongruent: '≢', NotCupCap: '≭', NotDoubleVerticalBar: '∦', NotElement: '∉', NotEqual: '≠',
+  NotEqualTilde: '≂\u0338', NotExists: '∄', NotGreater: '≯', NotGreaterEqual: '≱',
+  NotGreaterFullEqual: '≧\u0338', NotGreaterGreater: '≫\u0338', NotGreaterLess: '≹',
+  NotGreaterSlantEqual: '⩾\u0338', NotGreaterTilde: '≵', NotHumpDownHump: '≎\u0338',
+  NotHumpEqual: '≏\u0338', NotLeftTriangle: '⋪', NotLeftTriangleBar: '⧏\u0338',
+  NotLeftTriangleEqual: '⋬', NotLess: '≮', NotLessEqual: '≰', NotLessGreater: '≸',
+  NotLessLess: '≪\u0338', NotLessSlantEqual: '⩽\u0338', NotLessTilde: '≴',
+  NotNestedGreaterGreater: '⪢\u0338', NotNestedLessLess: '⪡\u0338', NotPrecedes: '⊀',
+  NotPrecedesEqual: '⪯\u0338', NotPrecedesSlantEqual: '⋠', NotReverseElement: '∌',
+  NotRightTriangle: '⋫', NotRightTriangleBar: '⧐\u0338', NotRightTriangleEqual: '⋭',
+  NotSquareSubset: '⊏\u0338', NotSquareSubsetEqual: '⋢', NotSquareSuperset: '⊐\u0338',
+  NotSquareSupersetEqual: '⋣', NotSubset: '⊂\u20d2', NotSubsetEqual: '⊈', NotSucceeds: '⊁',
+  NotSucceedsEqual: '⪰\u0338', NotSucceedsSlantEqual: '⋡', NotSucceedsTilde: '≿\u0338',
+  NotSuperset: '⊃\u20d2', NotSupersetEqual: '⊉', NotTilde: '≁', NotTildeEqual: '≄',
+  NotTildeFullEqual: '≇', NotTildeTilde: '≉', NotVerticalBar: '∤', Nscr: '𝒩', Ntilde: 'Ñ', Nu: 'Ν',
+  OElig: 'Œ', Oacute: 'Ó', Ocirc: 'Ô', Ocy: 'О', Odblac: 'Ő', Ofr: '𝔒', Ograve: 'Ò', Omacr: 'Ō',
+  Omega: 'Ω', Omicron: 'Ο', Oopf: '𝕆', OpenCurlyDoubleQuote: '“', OpenCurlyQuote: '‘', Or: '⩔',
+  Oscr: '𝒪', Oslash: 'Ø', Otilde: 'Õ', Otimes: '⨷', Ouml: 'Ö', OverBar: '‾', OverBrace: '⏞',
+  OverBracket: '⎴', OverParenthesis: '⏜', PartialD: '∂', Pcy: 'П', Pfr: '𝔓', Phi: 'Φ', Pi: 'Π',
+  PlusMinus: '±', Poincareplane: 'ℌ', Popf: 'ℙ', Pr: '⪻', Precedes: '≺', PrecedesEqual: '⪯',
+  PrecedesSlantEqual: '≼', PrecedesTilde: '≾', Prime: '″', Product: '∏', Proportion: '∷',
+  Proportional: '∝', Pscr: '𝒫', Psi: 'Ψ', QUOT: '"', Qfr: '𝔔', Qopf: 'ℚ', Qscr: '𝒬', RBarr: '⤐',
+  REG: '®', Racute: 'Ŕ', Rang: '⟫', Rarr: '↠', Rarrtl: '⤖', Rcaron: 'Ř', Rcedil: 'Ŗ', Rcy: 'Р',
+  Re: 'ℜ', ReverseElement: '∋', ReverseEquilibrium: '⇋', ReverseUpEquilibrium: '⥯', Rfr: 'ℜ',
+  Rho: 'Ρ', RightAngleBracket: '⟩', RightArrow: '→', RightArrowBar: '⇥', RightArrowLeftArrow: '⇄',
+  RightCeiling: '⌉', RightDoubleBracket: '⟧', RightDownTeeVector: '⥝', RightDownVector: '⇂',
+  RightDownVectorBar: '⥕', RightFloor: '⌋', RightTee: '⊢', RightTeeArrow: '↦', RightTeeVector: '⥛',
+  RightTriangle: '⊳', RightTriangleBar: '⧐', RightTriangleEqual: '⊵', RightUpDownVector: '⥏',
+  RightUpTeeVector: '⥜', RightUpVector: '↾', RightUpVectorBar: '⥔', RightVector: '⇀',
+  RightVectorBar: '⥓', Rightarrow: '⇒', Ropf: 'ℝ', RoundImplies: '⥰', Rrightarrow: '⇛', Rscr: 'ℛ',
+  Rsh: '↱', RuleDelayed: '⧴', SHCHcy: 'Щ', SHcy: 'Ш', SOFTcy: 'Ь', Sacute: 'Ś', Sc: '⪼',
+  Scaron: 'Š', Scedil: 'Ş', Scirc: 'Ŝ', Scy: 'С', Sfr: '𝔖', ShortDownArrow: '↓',
+  ShortLeftArrow: '←', ShortRightArrow: '→', ShortUpArrow: '↑', Sigma: 'Σ', SmallCircle: '∘',
+  Sopf: '𝕊', Sqrt: '√', Square: '□', SquareIntersection: '⊓', SquareSubset: '⊏',
+  SquareSubsetEqual: '⊑', SquareSuperset: '⊐', SquareSupersetEqual: '⊒', SquareUnion: '⊔',
+  Sscr: '𝒮', Star: '⋆', Sub: '⋐', Subset: '⋐', SubsetEqual: '⊆', Succeeds: '≻', SucceedsEqual: '⪰',
+  SucceedsSlantEqual: '≽', SucceedsTilde: '≿', SuchThat: '∋', Sum: '∑', Sup: '⋑', Superset: '⊃',
+  SupersetEqual: '⊇', Supset: '⋑', THORN: 'Þ', TRADE: '™', TSHcy: 'Ћ', TScy: 'Ц', Tab: '\u0009',
+  Tau: 'Τ', Tcaron: 'Ť', Tcedil: 'Ţ', Tcy: 'Т', Tfr: '𝔗', Therefore: '∴', Theta: 'Θ',
+  ThickSpace: '\u205f\u200a', ThinSpace: '\u2009', Tilde: '∼', TildeEqual: '≃',
+  TildeFullEqual: '≅', TildeTilde: '≈', Topf: '𝕋', TripleDot: '\u20db', Tscr: '𝒯', Tstrok: 'Ŧ',
+  Uacute: 'Ú', Uarr: '↟', Uarrocir: '⥉', Ubrcy: 'Ў', Ubreve: 'Ŭ', Ucirc: 'Û', Ucy: 'У',
+  Udblac: 'Ű', Ufr: '𝔘', Ugrave: 'Ù', Umacr: 'Ū', UnderBar: '_', UnderBrace: '⏟',
+  UnderBracket: '⎵', UnderParenthesis: '⏝', Union: '⋃', UnionPlus: '⊎', Uogon: 'Ų', Uopf: '𝕌',
+  UpArrow: '↑', UpArrowBar: '⤒', UpArrowDownArrow: '⇅', UpDownArrow: '↕', UpEquilibrium: '⥮',
+  UpTee: '⊥', UpTeeArrow: '↥', Uparrow: '⇑', Updownarrow: '⇕', UpperLeftArrow: '↖',
+  UpperRightArrow: '↗', Upsi: 'ϒ', Upsilon: 'Υ', Uring: 'Ů', Uscr: '𝒰', Utilde: 'Ũ', Uuml: 'Ü',
+  VDash: '⊫', Vbar: '⫫', Vcy: 'В', Vdash: '⊩', Vdashl: '⫦', Vee: '⋁', Verbar: '‖', Vert: '‖',
+  VerticalBar: '∣', VerticalLine: '|', VerticalSeparator: '❘', VerticalTilde: '≀',
+  VeryThinSpace: '\u200a', Vfr: '𝔙', Vopf: '𝕍', Vscr: '𝒱', Vvdash: '⊪', Wcirc: 'Ŵ', Wedge: '⋀',
+  Wfr: '𝔚', Wopf: '𝕎', Wscr: '𝒲', Xfr: '𝔛', Xi: 'Ξ', Xopf: '𝕏', Xscr: '𝒳', YAcy: 'Я', YIcy: 'Ї',
+  YUcy: 'Ю', Yacute: 'Ý', Ycirc: 'Ŷ', Ycy: 'Ы', Yfr: '𝔜', Yopf: '𝕐', Yscr: '𝒴', Yuml: 'Ÿ',
+  ZHcy: 'Ж', Zacute: 'Ź', Zcaron: 'Ž', Zcy: 'З', Zdot: 'Ż', ZeroWidthSpace: '\u200b', Zeta: 'Ζ',
+  Zfr: 'ℨ', Zopf: 'ℤ', Zscr: '𝒵', aacute: 'á', abreve: 'ă', ac: '∾', acE: '∾\u0333', acd: '∿',
+  acirc: 'â', acute: '´', acy: 'а', aelig: 'æ', af: '\u2061', afr: '𝔞', agrave: 'à', alefsym: 'ℵ',
+  aleph: 'ℵ', alpha: 'α', amacr: 'ā', amalg: '⨿', amp: '&', and: '∧', andand: '⩕', andd: '⩜',
+  andslope: '⩘', andv: '⩚', ang: '∠', ange: '⦤', angle: '∠', angmsd: '∡', angmsdaa: '⦨',
+  angmsdab: '⦩', angmsdac: '⦪', angmsdad: '⦫', angmsdae: '⦬', angmsdaf: '⦭', angmsdag: '⦮',
+  angmsdah: '⦯', angrt: '∟', angrtvb: '⊾', angrtvbd: '⦝', angsph: '∢', angst: 'Å', angzarr: '⍼',
+  aogon: 'ą', aopf: '𝕒', ap: '≈', apE: '⩰', apacir: '⩯', ape: '≊', apid: '≋', apos: '\'',
+  approx: '≈', approxeq: '≊', aring: 'å', ascr: '𝒶', ast: '*', asymp: '≈', asympeq: '≍',
+  atilde: 'ã', auml: 'ä', awconint: '∳', awint: '⨑', bNot: '⫭', backcong: '≌', backepsilon: '϶',
+  backprime: '‵', backsim: '∽', backsimeq: '⋍', barvee: '⊽', barwed: '⌅', barwedge: '⌅', bbrk: '⎵',
+  bbrktbrk: '⎶', bcong: '≌', bcy: 'б', bdquo: '„', becaus: '∵', because: '∵', bemptyv: '⦰',
+  bepsi: '϶', bernou: 'ℬ', beta: 'β', beth: 'ℶ', between: '≬', bfr: '𝔟', bigcap: '⋂', bigcirc: '◯',
+  bigcup: '⋃', bigodot: '⨀', bigoplus: '⨁', bigotimes: '⨂', bigsqcup: '⨆', bigstar: '★',
+  bigtriangledown: '▽', bigtriangleup: '△', biguplus: '⨄', bigvee: '⋁', bigwedge: '⋀', bkarow: '⤍',
+  blacklozenge: '⧫', blacksquare: '▪', blacktriangle: '▴', blacktriangledown: '▾',
+  blacktriangleleft: '◂', blacktriangleright: '▸', blank: '␣', blk12: '▒', blk14: '░', blk34: '▓',
+  block: '█', bne: '=\u20e5', bnequiv: '≡\u20e5', bnot: '⌐', bopf: '𝕓', bot: '⊥', bottom: '⊥',
+  bowtie: '⋈', boxDL: '╗', boxDR: '╔', boxDl: '╖', boxDr: '╓', boxH: '═', boxHD: '╦', boxHU: '╩',
+  boxHd: '╤', boxHu: '╧', boxUL: '╝', boxUR: '╚', boxUl: '╜', boxUr: '╙', boxV: '║', boxVH: '╬',
+  boxVL: '╣', boxVR: '╠', boxVh: '╫', boxVl: '╢', boxVr: '╟', boxbox: '⧉', boxdL: '╕', boxdR: '╒',
+  boxdl: '┐', boxdr: '┌', boxh: '─', boxhD: '╥', boxhU: '╨', boxhd: '┬', boxhu: '┴', boxminus: '⊟',
+  boxplus: '⊞', boxtimes: '⊠', boxuL: '╛', boxuR: '╘', boxul: '┘', boxur: '└', boxv: '│',
+  boxvH: '╪', boxvL: '╡', boxvR: '╞', boxvh: '┼', boxvl: '┤', boxvr: '├', bprime: '‵', breve: '˘',
+  brvbar: '¦', bscr: '𝒷', bsemi: '⁏', bsim: '∽', bsime: '⋍', bsol: '\\', bsolb: '⧅', bsolhsub: '⟈',
+  bull: '•', bullet: '•', bump: '≎', bumpE: '⪮', bumpe: '≏', bumpeq: '≏', cacute: 'ć', cap: '∩',
+  capand: '⩄', capbrcup: '⩉', capcap: '⩋', capcup: '⩇', capdot: '⩀', caps: '∩\ufe00', caret: '⁁',
+  caron: 'ˇ', ccaps: '⩍', ccaron: 'č', ccedil: 'ç', ccirc: 'ĉ', ccups: '⩌', ccupssm: '⩐',
+  cdot: 'ċ', cedil: '¸', cemptyv: '⦲', cent: '¢', centerdot: '·', cfr: '𝔠', chcy: 'ч', check: '✓',
+  checkmark: '✓', chi: 'χ', cir: '○', cirE: '⧃', circ: 'ˆ', circeq: '≗', circlearrowleft: '↺',
+  circlearrowright: '↻', circledR: '®', circledS: 'Ⓢ', circledast: '⊛', circledcirc: '⊚',
+  circleddash: '⊝', cire: '≗', cirfnint: '⨐', cirmid: '⫯', cirscir: '⧂', clubs: '♣', clubsuit: '♣',
+  colon: ':', colone: '≔', coloneq: '≔', comma: ',', commat: '@', comp: '∁', compfn: '∘',
+  complement: '∁', complexes: 'ℂ', cong: '≅', congdot: '⩭', conint: '∮', copf: '𝕔', coprod: '∐',
+  copy: '©', copysr: '℗', crarr: '↵', cross: '✗', cscr: '𝒸', csub: '⫏', csube: '⫑', csup: '⫐',
+  csupe: '⫒', ctdot: '⋯', cudarrl: '⤸', cudarrr: '⤵', cuepr: '⋞', cuesc: '⋟', cularr: '↶',
+  cularrp: '⤽', cup: '∪', cupbrcap: '⩈', cupcap: '⩆', cupcup: '⩊', cupdot: '⊍', cupor: '⩅',
+  cups: '∪\ufe00', curarr: '↷', curarrm: '⤼', curlyeqprec: '⋞', curlyeqsucc: '⋟', curlyvee: '⋎',
+  curlywedge: '⋏', curren: '¤', curvearrowleft: '↶', curvearrowright: '↷', cuvee: '⋎', cuwed: '⋏',
+  cwconint: '∲', cwint: '∱', cylcty: '⌭', dArr: '⇓', dHar: '⥥', dagger: '†', daleth: 'ℸ',
+  darr: '↓', dash: '‐', dashv: '⊣', dbkarow: '⤏', dblac: '˝', dcaron: 'ď', dcy: 'д', dd: 'ⅆ',
+  ddagger: '‡', ddarr: '⇊', ddotseq: '⩷', deg: '°', delta: 'δ', demptyv: '⦱', dfisht: '⥿',
+  dfr: '𝔡', dharl: '⇃', dharr: '⇂', diam: '⋄', diamond: '⋄', diamondsuit: '♦', diams: '♦',
+  die: '¨', digamma: 'ϝ', disin: '⋲', div: '÷', divide: '÷', divideontimes: '⋇', divonx: '⋇',
+  djcy: 'ђ', dlcorn: '⌞', dlcrop: '⌍', dollar: '$', dopf: '𝕕', dot: '˙', doteq: '≐', doteqdot: '≑',
+  dotminus: '∸', dotplus: '∔', dotsquare: '⊡', doublebarwedge: '⌆', downarrow: '↓',
+  downdownarrows: '⇊', downharpoonleft: '⇃', downharpoonright: '⇂', drbkarow: '⤐', drcorn: '⌟',
+  drcrop: '⌌', dscr: '𝒹', dscy: 'ѕ', dsol: '⧶', dstrok: 'đ', dtdot: '⋱', dtri: '▿', dtrif: '▾',
+  duarr: '⇵', duhar: '⥯', dwangle: '⦦', dzcy: 'џ', dzigrarr: '⟿', eDDot: '⩷', eDot: '≑',
+  eacute: 'é', easter: '⩮', ecaron: 'ě', ecir: '≖', ecirc: 'ê', ecolon: '≕', ecy: 'э', edot: 'ė',
+  ee: 'ⅇ', efDot: '≒', efr: '𝔢', eg: '⪚', egrave: 'è', egs: '⪖', egsdot: '⪘', el: '⪙',
+  elinters: '⏧', ell: 'ℓ', els: '⪕', elsdot: '⪗', emacr: 'ē', empty: '∅', emptyset: '∅',
+  emptyv: '∅', emsp: '\u2003', emsp13: '\u2004', emsp14: '\u2005', eng: 'ŋ', ensp: '\u2002',
+  eogon: 'ę', eopf: '𝕖', epar: '⋕', eparsl: '⧣', eplus: '⩱', epsi: 'ε', epsilon: 'ε', epsiv: 'ϵ',
+  eqcirc: '≖', eqcolon: '≕', eqsim: '≂', eqslantgtr: '⪖', eqslantless: '⪕', equals: '=',
+  equest: '≟', equiv: '≡', equivDD: '⩸', eqvparsl: '⧥', erDot: '≓', erarr: '⥱', escr: 'ℯ',
+  esdot: '≐', esim: '≂', eta: 'η', eth: 'ð', euml: 'ë', euro: '€', excl: '!', exist: '∃',
+  expectation: 'ℰ', exponentiale: 'ⅇ', fallingdotseq: '≒', fcy: 'ф', female: '♀', ffilig: 'ﬃ',
+  fflig: 'ﬀ', ffllig: 'ﬄ', ffr: '𝔣', filig: 'ﬁ', fjlig: 'fj', flat: '♭', fllig: 'ﬂ', fltns: '▱',
+  fnof: 'ƒ', fopf: '𝕗', forall: '∀', fork: '⋔', forkv: '⫙', fpartint: '⨍', frac12: '½',
+  frac13: '⅓', frac14: '¼', frac15: '⅕', frac16: '⅙', frac18: '⅛', frac23: '⅔', frac25: '⅖',
+  frac34: '¾', frac35: '⅗', frac38: '⅜', frac45: '⅘', frac56: '⅚', frac58: '⅝', frac78: '⅞',
+  frasl: '⁄', frown: '⌢', fscr: '𝒻', gE: '≧', gEl: '⪌', gacute: 'ǵ', gamma: 'γ', gammad: 'ϝ',
+  gap: '⪆', gbreve: 'ğ', gcirc: 'ĝ', gcy: 'г', gdot: 'ġ', ge: '≥', gel: '⋛', geq: '≥', geqq: '≧',
+  geqslant: '⩾', ges: '⩾', gescc: '⪩', gesdot: '⪀', gesdoto: '⪂', gesdotol: '⪄', gesl: '⋛\ufe00',
+  gesles: '⪔', gfr: '𝔤', gg: '≫', ggg: '⋙', gimel: 'ℷ', gjcy: 'ѓ', gl: '≷', glE: '⪒', gla: '⪥',
+  glj: '⪤', gnE: '≩', gnap: '⪊', gnapprox: '⪊', gne: '⪈', gneq: '⪈', gneqq: '≩', gnsim: '⋧',
+  gopf: '𝕘', grave: '`', gscr: 'ℊ', gsim: '≳', gsime: '⪎', gsiml: '⪐', gt: '>', gtcc: '⪧',
+  gtcir: '⩺', gtdot: '⋗', gtlPar: '⦕', gtquest: '⩼', gtrapprox: '⪆', gtrarr: '⥸', gtrdot: '⋗',
+  gtreqless: '⋛', gtreqqless: '⪌', gtrless: '≷', gtrsim: '≳', gvertneqq: '≩\ufe00',
+  gvnE: '≩\ufe00', hArr: '⇔', hairsp: '\u200a', half: '½', hamilt: 'ℋ', hardcy: 'ъ', harr: '↔',
+  harrcir: '⥈', harrw: '↭', hbar: 'ℏ', hcirc: 'ĥ', hearts: '♥', heartsuit: '♥', hellip: '…',
+  hercon: '⊹', hfr: '𝔥', hksearow: '⤥', hkswarow: '⤦', hoarr: '⇿', homtht: '∻', hookleftarrow: '↩',
+  hookrightarrow: '↪', hopf: '𝕙', horbar: '―', hscr: '𝒽', hslash: 'ℏ', hstrok: 'ħ', hybull: '⁃',
+  hyphen: '‐', iacute: 'í', ic: '\u2063', icirc: 'î', icy: 'и', iecy: 'е', iexcl: '¡', iff: '⇔',
+  ifr: '𝔦', igrave: 'ì', ii: 'ⅈ', iiiint: '⨌', iiint: '∭', iinfin: '⧜', iiota: '℩', ijlig: 'ĳ',
+  imacr: 'ī', image: 'ℑ', imagline: 'ℐ', imagpart: 'ℑ', imath: 'ı', imof: '⊷', imped: 'Ƶ', in: '∈',
+  incare: '℅', infin: '∞', infintie: '⧝', inodot: 'ı', int: '∫', intcal: '⊺', integers: 'ℤ',
+  intercal: '⊺', intlarhk: '⨗', intprod: '⨼', iocy: 'ё', iogon: 'į', iopf: '𝕚', iota: 'ι',
+  iprod: '⨼', iquest: '¿', iscr: '𝒾', isin: '∈', isinE: '⋹', isindot: '⋵', isins: '⋴', isinsv: '⋳',
+  isinv: '∈', it: '\u2062', itilde: 'ĩ', iukcy: 'і', iuml: 'ï', jcirc: 'ĵ', jcy: 'й', jfr: '𝔧',
+  jmath: 'ȷ', jopf: '𝕛', jscr: '𝒿', jsercy: 'ј', jukcy: 'є', kappa: 'κ', kappav: 'ϰ', kcedil: 'ķ',
+  kcy: 'к', kfr: '𝔨', kgreen: 'ĸ', khcy: 'х', kjcy: 'ќ', kopf: '𝕜', kscr: '𝓀', lAarr: '⇚',
+  lArr: '⇐', lAtail: '⤛', lBarr: '⤎', lE: '≦', lEg: '⪋', lHar: '⥢', lacute: 'ĺ', laemptyv: '⦴',
+  lagran: 'ℒ', lambda: 'λ', lang: '⟨', langd: '⦑', langle: '⟨', lap: '⪅', laquo: '«', larr: '←',
+  larrb: '⇤', larrbfs: '⤟', larrfs: '⤝', larrhk: '↩', larrlp: '↫', larrpl: '⤹', larrsim: '⥳',
+  larrtl: '↢', lat: '⪫', latail: '⤙', late: '⪭', lates: '⪭\ufe00', lbarr: '⤌', lbbrk: '❲',
+  lbrace: '{', lbrack: '[', lbrke: '⦋', lbrksld: '⦏', lbrkslu: '⦍', lcaron: 'ľ', lcedil: 'ļ',
+  lceil: '⌈', lcub: '{', lcy: 'л', ldca: '⤶', ldquo: '“', ldquor: '„', ldrdhar: '⥧', ldrushar: '⥋',
+  ldsh: '↲', le: '≤', leftarrow: '←', leftarrowtail: '↢', leftharpoondown: '↽', leftharpoonup: '↼',
+  leftleftarrows: '⇇', leftrightarrow: '↔', leftrightarrows: '⇆', leftrightharpoons: '⇋',
+  leftrightsquigarrow: '↭', leftthreetimes: '⋋', leg: '⋚', leq: '≤', leqq: '≦', leqslant: '⩽',
+  les: '⩽', lescc: '⪨', lesdot: '⩿', lesdoto: '⪁', lesdotor: '⪃', lesg: '⋚\ufe00', lesges: '⪓',
+  lessapprox: '⪅', lessdot: '⋖', lesseqgtr: '⋚', lesseqqgtr: '⪋', lessgtr: '≶', lesssim: '≲',
+  lfisht: '⥼', lfloor: '⌊', lfr: '𝔩', lg: '≶', lgE: '⪑', lhard: '↽', lharu: '↼', lharul: '⥪',
+  lhblk: '▄', ljcy: 'љ', ll: '≪', llarr: '⇇', llcorner: '⌞', llhard: '⥫', lltri: '◺', lmidot: 'ŀ',
+  lmoust: '⎰', lmoustache: '⎰', lnE: '≨', lnap: '⪉', lnapprox: '⪉', lne: '⪇', lneq: '⪇',
+  lneqq: '≨', lnsim: '⋦', loang: '⟬', loarr: '⇽', lobrk: '⟦', longleftarrow: '⟵',
+  longleftrightarrow: '⟷', longmapsto: '⟼', longrightarrow: '⟶', looparrowleft: '↫',
+  looparrowright: '↬', lopar: '⦅', lopf: '𝕝', loplus: '⨭', lotimes: '⨴', lowast: '∗', lowbar: '_',
+  loz: '◊', lozenge: '◊', lozf: '⧫', lpar: '(', lparlt: '⦓', lrarr: '⇆', lrcorner: '⌟', lrhar: '⇋',
+  lrhard: '⥭', lrm: '\u200e', lrtri: '⊿', lsaquo: '‹', lscr: '𝓁', lsh: '↰', lsim: '≲', lsime: '⪍',
+  lsimg: '⪏', lsqb: '[', lsquo: '‘', lsquor: '‚', lstrok: 'ł', lt: '<', ltcc: '⪦', ltcir: '⩹',
+  ltdot: '⋖', lthree: '⋋', ltimes: '⋉', ltlarr: '⥶', ltquest: '⩻', ltrPar: '⦖', ltri: '◃',
+  ltrie: '⊴', ltrif: '◂', lurdshar: '⥊', luruhar: '⥦', lvertneqq: '≨\ufe00', lvnE: '≨\ufe00',
+  mDDot: '∺', macr: '¯', male: '♂', malt: '✠', maltese: '✠', map: '↦', mapsto: '↦',
+  mapstodown: '↧', mapstoleft: '↤', mapstoup: '↥', marker: '▮', mcomma: '⨩', mcy: 'м', mdash: '—',
+  measuredangle: '∡', mfr: '𝔪', mho: '℧', micro: 'µ', mid: '∣', midast: '*', midcir: '⫰',
+  middot: '·', minus: '−', minusb: '⊟', minusd: '∸', minusdu: '⨪', mlcp: '⫛', mldr: '…',
+  mnplus: '∓', models: '⊧', mopf: '𝕞', mp: '∓', mscr: '𝓂', mstpos: '∾', mu: 'μ', multimap: '⊸',
+  mumap: '⊸', nGg: '⋙\u0338', nGt: '≫\u20d2', nGtv: '≫\u0338', nLeftarrow: '⇍',
+  nLeftrightarrow: '⇎', nLl: '⋘\u0338', nLt: '≪\u20d2', nLtv: '≪\u0338', nRightarrow: '⇏',
+  nVDash: '⊯', nVdash: '⊮', nabla: '∇', nacute: 'ń', nang: '∠\u20d2', nap: '≉', napE: '⩰\u0338',
+  napid: '≋\u0338', napos: 'ŉ', napprox: '≉', natur: '♮', natural: '♮', naturals: 'ℕ',
+  nbsp: '\u00a0', nbump: '≎\u0338', nbumpe: '≏\u0338', ncap: '⩃', ncaron: 'ň', ncedil: 'ņ',
+  ncong: '≇', ncongdot: '⩭\u0338', ncup: '⩂', ncy: 'н', ndash: '–', ne: '≠', neArr: '⇗',
+  nearhk: '⤤', nearr: '↗', nearrow: '↗', nedot: '≐\u0338', nequiv: '≢', nesear: '⤨',
+  nesim: '≂\u0338', nexist: '∄', nexists: '∄', nfr: '𝔫', ngE: '≧\u0338', nge: '≱', ngeq: '≱',
+  ngeqq: '≧\u0338', ngeqslant: '⩾\u0338', nges: '⩾\u0338', ngsim: '≵', ngt: '≯', ngtr: '≯',
+  nhArr: '⇎', nharr: '↮', nhpar: '⫲', ni: '∋', nis: '⋼', nisd: '⋺', niv: '∋', njcy: 'њ',
+  nlArr: '⇍', nlE: '≦\u0338', nlarr: '↚', nldr: '‥', nle: '≰', nleftarrow: '↚',
+  nleftrightarrow: '↮', nleq: '≰', nleqq: '≦\u0338', nleqslant: '⩽\u0338', nles: '⩽\u0338',
+  nless: '≮', nlsim: '≴', nlt: '≮', nltri: '⋪', nltrie: '⋬', nmid: '∤', nopf: '𝕟', not: '¬',
+  notin: '∉', notinE: '⋹\u0338', notindot: '⋵\u0338', notinva: '∉', notinvb: '⋷', notinvc: '⋶',
+  notni: '∌', notniva: '∌', notnivb: '⋾', notnivc: '⋽', npar: '∦', nparallel: '∦',
+  nparsl: '⫽\u20e5', npart: '∂\u0338', npolint: '⨔', npr: '⊀', nprcue: '⋠', npre: '⪯\u0338',
+  nprec: '⊀', npreceq: '⪯\u0338', nrArr: '⇏', nrarr: '↛', nrarrc: '⤳\u0338', nrarrw: '↝\u0338',
+  nrightarrow: '↛', nrtri: '⋫', nrtrie: '⋭', nsc: '⊁', nsccue: '⋡', nsce: '⪰\u0338', nscr: '𝓃',
+  nshortmid: '∤', nshortparallel: '∦', nsim: '≁', nsime: '≄', nsimeq: '≄', nsmid: '∤', nspar: '∦',
+  nsqsube: '⋢', nsqsupe: '⋣', nsub: '⊄', nsubE: '⫅\u0338', nsube: '⊈', nsubset: '⊂\u20d2',
+  nsubseteq: '⊈', nsubseteqq: '⫅\u0338', nsucc: '⊁', nsucceq: '⪰\u0338', nsup: '⊅',
+  nsupE: '⫆\u0338', nsupe: '⊉', nsupset: '⊃\u20d2', nsupseteq: '⊉', nsupseteqq: '⫆\u0338',
+  ntgl: '≹', ntilde: 'ñ', ntlg: '≸', ntriangleleft: '⋪', ntrianglelefteq: '⋬', ntriangleright: '⋫',
+  ntrianglerighteq: '⋭', nu: 'ν', num: '#', numero: '№', numsp: '\u2007', nvDash: '⊭', nvHarr: '⤄',
+  nvap: '≍\u20d2', nvdash: '⊬', nvge: '≥\u20d2', nvgt: '>\u20d2', nvinfin: '⧞', nvlArr: '⤂',
+  nvle: '≤\u20d2', nvlt: '<\u20d2', nvltrie: '⊴\u20d2', nvrArr: '⤃', nvrtrie: '⊵\u20d2',
+  nvsim: '∼\u20d2', nwArr: '⇖', nwarhk: '⤣', nwarr: '↖', nwarrow: '↖', nwnear: '⤧', oS: 'Ⓢ',
+  oacute: 'ó', oast: '⊛', ocir: '⊚', ocirc: 'ô', ocy: 'о', odash: '⊝', odblac: 'ő', odiv: '⨸',
+  odot: '⊙', odsold: '⦼', oelig: 'œ', ofcir: '⦿', ofr: '𝔬', ogon: '˛', ograve: 'ò', ogt: '⧁',
+  ohbar: '⦵', ohm: 'Ω', oint: '∮', olarr: '↺', olcir: '⦾', olcross: '⦻', oline: '‾', olt: '⧀',
+  omacr: 'ō', omega: 'ω', omicron: 'ο', omid: '⦶', ominus: '⊖', oopf: '𝕠', opar: '⦷', operp: '⦹',
+  oplus: '⊕', or: '∨', orarr: '↻', ord: '⩝', order: 'ℴ', orderof: 'ℴ', ordf: 'ª', ordm: 'º',
+  origof: '⊶', oror: '⩖', orslope: '⩗', orv: '⩛', oscr: 'ℴ', oslash: 'ø', osol: '⊘', otilde: 'õ',
+  otimes: '⊗', otimesas: '⨶', ouml: 'ö', ovbar: '⌽', par: '∥', para: '¶', parallel: '∥',
+  parsim: '⫳', parsl: '⫽', part: '∂', pcy: 'п', percnt: '%', period: '.', permil: '‰', perp: '⊥',
+  pertenk: '‱', pfr: '𝔭', phi: 'φ', phiv: 'ϕ', phmmat: 'ℳ', phone: '☎', pi: 'π', pitchfork: '⋔',
+  piv: 'ϖ', planck: 'ℏ', planckh: 'ℎ', plankv: 'ℏ', plus: '+', plusacir: '⨣', plusb: '⊞',
+  pluscir: '⨢', plusdo: '∔', plusdu: '⨥', pluse: '⩲', plusmn: '±', plussim: '⨦', plustwo: '⨧',
+  pm: '±', pointint: '⨕', popf: '𝕡', pound: '£', pr: '≺', prE: '⪳', prap: '⪷', prcue: '≼',
+  pre: '⪯', prec: '≺', precapprox: '⪷', preccurlyeq: '≼', preceq: '⪯', precnapprox: '⪹',
+  precneqq: '⪵', precnsim: '⋨', precsim: '≾', prime: '′', primes: 'ℙ', prnE: '⪵', prnap: '⪹',
+  prnsim: '⋨', prod: '∏', profalar: '⌮', profline: '⌒', profsurf: '⌓', prop: '∝', propto: '∝',
+  prsim: '≾', prurel: '⊰', pscr: '𝓅', psi: 'ψ', puncsp: '\u2008', qfr: '𝔮', qint: '⨌', qopf: '𝕢',
+  qprime: '⁗', qscr: '𝓆', quaternions: 'ℍ', quatint: '⨖', quest: '?', questeq: '≟', quot: '"',
+  rAarr: '⇛', rArr: '⇒', rAtail: '⤜', rBarr: '⤏', rHar: '⥤', race: '∽\u0331', racute: 'ŕ',
+  radic: '√', raemptyv: '⦳', rang: '⟩', rangd: '⦒', range: '⦥', rangle: '⟩', raquo: '»', rarr: '→',
+  rarrap: '⥵', rarrb: '⇥', rarrbfs: '⤠', rarrc: '⤳', rarrfs: '⤞', rarrhk: '↪', rarrlp: '↬',
+  rarrpl: '⥅', rarrsim: '⥴', rarrtl: '↣', rarrw: '↝', ratail: '⤚', ratio: '∶', rationals: 'ℚ',
+  rbarr: '⤍', rbbrk: '❳', rbrace: '}', rbrack: ']', rbrke: '⦌', rbrksld: '⦎', rbrkslu: '⦐',
+  rcaron: 'ř', rcedil: 'ŗ', rceil: '⌉', rcub: '}', rcy: 'р', rdca: '⤷', rdldhar: '⥩', rdquo: '”',
+  rdquor: '”', rdsh: '↳', real: 'ℜ', realine: 'ℛ', realpart: 'ℜ', reals: 'ℝ', rect: '▭', reg: '®',
+  rfisht: '⥽', rfloor: '⌋', rfr: '𝔯', rhard: '⇁', rharu: '⇀', rharul: '⥬', rho: 'ρ', rhov: 'ϱ',
+  rightarrow: '→', rightarrowtail: '↣', rightharpoondown: '⇁', rightharpoonup: '⇀',
+  rightleftarrows: '⇄', rightleftharpoons: '⇌', rightrightarrows: '⇉', rightsquigarrow: '↝',
+  rightthreetimes: '⋌', ring: '˚', risingdotseq: '≓', rlarr: '⇄', rlhar: '⇌', rlm: '\u200f',
+  rmoust: '⎱', rmoustache: '⎱', rnmid: '⫮', roang: '⟭', roarr: '⇾', robrk: '⟧', ropar: '⦆',
+  ropf: '𝕣', roplus: '⨮', rotimes: '⨵', rpar: ')', rpargt: '⦔', rppolint: '⨒', rrarr: '⇉',
+  rsaquo: '›', rscr: '𝓇', rsh: '↱', rsqb: ']', rsquo: '’', rsquor: '’', rthree: '⋌', rtimes: '⋊',
+  rtri: '▹', rtrie: '⊵', rtrif: '▸', rtriltri: '⧎', ruluhar: '⥨', rx: '℞', sacute: 'ś', sbquo: '‚',
+  sc: '≻', scE: '⪴', scap: '⪸', scaron: 'š', sccue: '≽', sce: '⪰', scedil: 'ş', scirc: 'ŝ',
+  scnE: '⪶', scnap: '⪺', scnsim: '⋩', scpolint: '⨓', scsim: '≿', scy: 'с', sdot: '⋅', sdotb: '⊡',
+  sdote: '⩦', seArr: '⇘', searhk: '⤥', searr: '↘', searrow: '↘', sect: '§', semi: ';', seswar: '⤩',
+  setminus: '∖', setmn: '∖', sext: '✶', sfr: '𝔰', sfrown: '⌢', sharp: '♯', shchcy: 'щ', shcy: 'ш',
+  shortmid: '∣', shortparallel: '∥', shy: '\u00ad', sigma: 'σ', sigmaf: 'ς', sigmav: 'ς', sim: '∼',
+  simdot: '⩪', sime: '≃', simeq: '≃', simg: '⪞', simgE: '⪠', siml: '⪝', simlE: '⪟', simne: '≆',
+  simplus: '⨤', simrarr: '⥲', slarr: '←', smallsetminus: '∖', smashp: '⨳', smeparsl: '⧤',
+  smid: '∣', smile: '⌣', smt: '⪪', smte: '⪬', smtes: '⪬\ufe00', softcy: 'ь', sol: '/', solb: '⧄',
+  solbar: '⌿', sopf: '𝕤', spades: '♠', spadesuit: '♠', spar: '∥', sqcap: '⊓', sqcaps: '⊓\ufe00',
+  sqcup: '⊔', sqcups: '⊔\ufe00', sqsub: '⊏', sqsube: '⊑', sqsubset: '⊏', sqsubseteq: '⊑',
+  sqsup: '⊐', sqsupe: '⊒', sqsupset: '⊐', sqsupseteq: '⊒', squ: '□', square: '□', squarf: '▪',
+  squf: '▪', srarr: '→', sscr: '𝓈', ssetmn: '∖', ssmile: '⌣', sstarf: '⋆', star: '☆', starf: '★',
+  straightepsilon: 'ϵ', straightphi: 'ϕ', strns: '¯', sub: '⊂', subE: '⫅', subdot: '⪽', sube: '⊆',
+  subedot: '⫃', submult: '⫁', subnE: '⫋', subne: '⊊', subplus: '⪿', subrarr: '⥹', subset: '⊂',
+  subseteq: '⊆', subseteqq: '⫅', subsetneq: '⊊', subsetneqq: '⫋', subsim: '⫇', subsub: '⫕',
+  subsup: '⫓', succ: '≻', succapprox: '⪸', succcurlyeq: '≽', succeq: '⪰', succnapprox: '⪺',
+  succneqq: '⪶', succnsim: '⋩', succsim: '≿', sum: '∑', sung: '♪', sup: '⊃', sup1: '¹', sup2: '²',
+  sup3: '³', supE: '⫆', supdot: '⪾', supdsub: '⫘', supe: '⊇', supedot: '⫄', suphsol: '⟉',
+  suphsub: '⫗', suplarr: '⥻', supmult: '⫂', supnE: '⫌', supne: '⊋', supplus: '⫀', supset: '⊃',
+  supseteq: '⊇', supseteqq: '⫆', supsetneq: '⊋', supsetneqq: '⫌', supsim: '⫈', supsub: '⫔',
+  supsup: '⫖', swArr: '⇙', swarhk: '⤦', swarr: '↙', swarrow: '↙', swnwar: '⤪', szlig: 'ß',
+  target: '⌖', tau: 'τ', tbrk: '⎴', tcaron: 'ť', tcedil: 'ţ', tcy: 'т', tdot: '\u20db',
+  telrec: '⌕', tfr: '𝔱', there4: '∴', therefore: '∴', theta: 'θ', thetasym: 'ϑ', thetav: 'ϑ',
+  thickapprox: '≈', thicksim: '∼', thinsp: '\u2009', thkap: '≈', thksim: '∼', thorn: 'þ',
+  tilde: '˜', times: '×', timesb: '⊠', timesbar: '⨱', timesd: '⨰', tint: '∭', toea: '⤨', top: '⊤',
+  topbot: '⌶', topcir: '⫱', topf: '𝕥', topfork: '⫚', tosa: '⤩', tprime: '‴', trade: '™',
+  triangle: '▵', triangledown: '▿', triangleleft: '◃', trianglelefteq: '⊴', triangleq: '≜',
+  triangleright: '▹', trianglerighteq: '⊵', tridot: '◬', trie: '≜', triminus: '⨺', triplus: '⨹',
+  trisb: '⧍', tritime: '⨻', trpezium: '⏢', tscr: '𝓉', tscy: 'ц', tshcy: 'ћ', tstrok: 'ŧ',
+  twixt: '≬', twoheadleftarrow: '↞', twoheadrightarrow: '↠', uArr: '⇑', uHar: '⥣', uacute: 'ú',
+  uarr: '↑', ubrcy: 'ў', ubreve: 'ŭ', ucirc: 'û', ucy: 'у', udarr: '⇅', udblac: 'ű', udhar: '⥮',
+  ufisht: '⥾', ufr: '𝔲', ugrave: 'ù', uharl: '↿', uharr: '↾', uhblk: '▀', ulcorn: '⌜',
+  ulcorner: '⌜', ulcrop: '⌏', ultri: '◸', umacr: 'ū', uml: '¨', uogon: 'ų', uopf: '𝕦',
+  uparrow: '↑', updownarrow: '↕', upharpoonleft: '↿', upharpoonright: '↾', uplus: '⊎', upsi: 'υ',
+  upsih: 'ϒ', upsilon: 'υ', upuparrows: '⇈', urcorn: '⌝', urcorner: '⌝', urcrop: '⌎', uring: 'ů',
+  urtri: '◹', uscr: '𝓊', utdot: '⋰', utilde: 'ũ', utri: '▵', utrif: '▴', uuarr: '⇈', uuml: 'ü',
+  uwangle: '⦧', vArr: '⇕', vBar: '⫨', vBarv: '⫩', vDash: '⊨', vangrt: '⦜', varepsilon: 'ϵ',
+  varkappa: 'ϰ', varnothing: '∅', varphi: 'ϕ', varpi: 'ϖ', varpropto: '∝', varr: '↕', varrho: 'ϱ',
+  varsigma: 'ς', varsubsetneq: '⊊\ufe00', varsubsetneqq: '⫋\ufe00', varsupsetneq: '⊋\ufe00',
+  varsupsetneqq: '⫌\ufe00', vartheta: 'ϑ', vartriangleleft: '⊲', vartriangleright: '⊳', vcy: 'в',
+  vdash: '⊢', vee: '∨', veebar: '⊻', veeeq: '≚', vellip: '⋮', verbar: '|', vert: '|', vfr: '𝔳',
+  vltri: '⊲', vnsub: '⊂\u20d2', vnsup: '⊃\u20d2', vopf: '𝕧', vprop: '∝', vrtri: '⊳', vscr: '𝓋',
+  vsubnE: '⫋\ufe00', vsubne: '⊊\ufe00', vsupnE: '⫌\ufe00', vsupne: '⊋\ufe00', vzigzag: '⦚',
+  wcirc: 'ŵ', wedbar: '⩟', wedge: '∧', wedgeq: '≙', weierp: '℘', wfr: '𝔴', wopf: '𝕨', wp: '℘',
+  wr: '≀', wreath: '≀', wscr: '𝓌', xcap: '⋂', xcirc: '◯', xcup: '⋃', xdtri: '▽', xfr: '𝔵',
+  xhArr: '⟺', xharr: '⟷', xi: 'ξ', xlArr: '⟸', xlarr: '⟵', xmap: '⟼', xnis: '⋻', xodot: '⨀',
+  xopf: '𝕩', xoplus: '⨁', xotime: '⨂', xrArr: '⟹', xrarr: '⟶', xscr: '𝓍', xsqcup: '⨆', xuplus: '⨄',
+  xutri: '△', xvee: '⋁', xwedge: '⋀', yacute: 'ý', yacy: 'я', ycirc: 'ŷ', ycy: 'ы', yen: '¥',
+  yfr: '𝔶', yicy: 'ї', yopf: '𝕪', yscr: '𝓎', yucy: 'ю', yuml: 'ÿ', zacute: 'ź', zcaron: 'ž',
+  zcy: 'з', zdot: 'ż', zeetrf: 'ℨ', zeta: 'ζ', zfr: '𝔷', zhcy: 'ж', zigrarr: '⇝', zopf: '𝕫',
+  zscr: '𝓏', zwj: '\u200d', zwnj: '\u200c'
+};
+
+// 세미콜론 없이도 인식되는 과거 호환용 이름 (예: "&amp", "&copy")
+const LEGACY_CHARACTER_REFERENCES = new Set([
+  'AElig', 'AMP', 'Aacute', 'Acirc', 'Agrave', 'Aring', 'Atilde', 'Auml', 'COPY', 'Ccedil', 'ETH',
+  'Eacute', 'Ecirc', 'Egrave', 'Euml', 'GT', 'Iacute', 'Icirc', 'Igrave', 'Iuml', 'LT', 'Ntilde',
+  'Oacute', 'Ocirc', 'Ograve', 'Oslash', 'Otilde', 'Ouml', 'QUOT', 'REG', 'THORN', 'Uacute',
+  'Ucirc', 'Ugrave', 'Uuml', 'Yacute', 'aacute', 'acirc', 'acute', 'aelig', 'agrave', 'amp',
+  'aring', 'atilde', 'auml', 'brvbar', 'ccedil', 'cedil', 'cent', 'copy', 'curren', 'deg',
+  'divide', 'eacute', 'ecirc', 'egrave', 'eth', 'euml', 'frac12', 'frac14', 'frac34', 'gt',
+  'iacute', 'icirc', 'iexcl', 'igrave', 'iquest', 'iuml', 'laquo', 'lt', 'macr', 'micro', 'middot',
+  'nbsp', 'not', 'ntilde', 'oacute', 'ocirc', 'ograve', 'ordf', 'ordm', 'oslash', 'otilde', 'ouml',
+  'para', 'plusmn', 'pound', 'quot', 'raquo', 'reg', 'sect', 'shy', 'sup1', 'sup2', 'sup3',
+  'szlig', 'thorn', 'times', 'uacute', 'ucirc', 'ugrave', 'uml', 'uuml', 'yacute', 'yen', 'yuml'
+]);
+
+// XML에 미리 정의된 엔티티 (XML 모드는 이것만 인식)
+const XML_CHARACTER_REFERENCES = { amp: '&', apos: "'", gt: '>', lt: '<', quot: '"' };
+
+// 숫자 참조로 쓰인 C1 제어 문자는 windows-1252 문자로 해석
+const C1_REPLACEMENTS = {
+  0x80: 0x20ac, 0x82: 0x201a, 0x83: 0x0192, 0x84: 0x201e, 0x85: 0x2026, 0x86: 0x2020,
+  0x87: 0x2021, 0x88: 0x02c6, 0x89: 0x2030, 0x8a: 0x0160, 0x8b: 0x2039, 0x8c: 0x0152,
+  0x8e: 0x017d, 0x91: 0x2018, 0x92: 0x2019, 0x93: 0x201c, 0x94: 0x201d, 0x95: 0x2022,
+  0x96: 0x2013, 0x97: 0x2014, 0x98: 0x02dc, 0x99: 0x2122, 0x9a: 0x0161, 0x9b: 0x203a,
+  0x9c: 0x0153, 0x9e: 0x017e, 0x9f: 0x0178
+};
+
+const CHARACTER_REFERENCE_PATTERN =
+  /&(?:#[xX]([0-9a-fA-F]*)(;?)|#([0-9]*)(;?)|([A-Za-z0-9]+)(;?))/g;
+
+/**
+ * 텍스트와 속성 값의 문자 참조(&amp;, &#169;, &#xA9;)를 디코딩
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {boolean} [options.inAttribute] - 속성 값이면 "&copy=1"처럼 '='나 영숫자가 뒤따르는
+ *   세미콜론 없는 참조는 그대로 둠 (URL 쿼리 문자열 보호)
+ * @param {boolean} [options.xml] - XML이면 미리 정의된 5개 엔티티만 인식
+ * @param {Function} [options.onError] - 오류 콜백 (code, index, detail), index는 text 안의 위치
+ * @returns {string}
+ */
+function decodeCharacterReferences(text, options = {}) {
+  if (!text.includes('&')) return text;
+
+  const { inAttribute = false, xml = false, onError = null } = options;
+  const error = (code, index, detail) => {
+    if (onError) onError(code, index, detail);
+  };
+
+  return text.replace(CHARACTER_REFERENCE_PATTERN,
+    (match, hex, hexSemicolon, decimal, decimalSemicolon, name, nameSemicolon, index) => {
+      // 숫자 참조
+      if (hex !== undefined || decimal !== undefined) {
+        const digits = hex ?? decimal;
+        if (!digits) {
+          error('absence-of-digits-in-numeric-character-reference', index);
+          return match;
+        }
+        if (!(hexSemicolon || decimalSemicolon)) {
+          error('missing-semicolon-after-character-reference', index);
+        }
+        const code = parseInt(digits, hex !== undefined ? 16 : 10);
+        return decodeNumericReference(code, code => error(code, index));
+      }
+
+      if (xml) {
+        if (nameSemicolon && Object.hasOwn(XML_CHARACTER_REFERENCES, name)) {
+          return XML_CHARACTER_REFERENCES[name];
+        }
+        error('unknown-named-character-reference', index, name);
+        return match;
+      }
+
+      if (nameSemicolon && Object.hasOwn(NAMED_CHARACTER_REFERENCES, name)) {
+        return NAMED_CHARACTER_REFERENCES[name];
+      }
+
+      // 세미콜론 없는 레거시 이름은 가장 긴 접두사로 일치 (예: "&notit;" → "¬it;")
+      for (let length = name.length; length > 1; length--) {
+        const prefix = name.slice(0, length);
+        if (!LEGACY_CHARACTER_REFERENCES.has(prefix)) continue;
+
+        const next = length < name.length ? name[length]
+          : nameSemicolon || text[index + match.length];
+        if (inAttribute && next !== undefined && /[=A-Za-z0-9]/.test(next)) {
+          return match;
+        }
+
+        error('missing-semicolon-after-character-reference', index);
+        return NAMED_CHARACTER_REFERENCES[prefix] + name.slice(length) + nameSemicolon;
+      }
+
+      if (nameSemicolon) {
+        error('unknown-named-character-reference', index, name);
+      }
+      return match;
+    });
+}
+
+/**
+ * 숫자 참조의 코드 포인트를 문자로 - 유효하지 않은 값은 U+FFFD로 대체
+ */
+function decodeNumericReference(code, error) {
+  if (code === 0) {
+    error('null-character-reference');
+    return '\ufffd';
+  }
+  if (code > 0x10ffff) {
+    error('character-reference-outside-unicode-range');
+    return '\ufffd';
+  }
+  if (code >= 0xd800 && code <= 0xdfff) {
+    error('surrogate-character-reference');
+    return '\ufffd';
+  }
+  if (C1_REPLACEMENTS[code]) {
+    error('control-character-reference');
+    return String.fromCodePoint(C1_REPLACEMENTS[code]);
+  }
+  return String.fromCodePoint(code);
+}
+
+// 직렬화 시 내용을 이스케이프하지 않는 raw text 요소
+const RAW_TEXT_ELEMENTS = new Set([
+  'iframe', 'noembed', 'noframes', 'noscript', 'plaintext', 'script', 'style', 'xmp'
+]);
+
+const SERIALIZATION_ESCAPES = {
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\u00a0': '&nbsp;'
+};
+
+/**
+ * 텍스트 노드 직렬화: &, <, >, NBSP 이스케이프
+ */
+function escapeText(text) {
+  return text.replace(/[&<>\u00a0]/g, c => SERIALIZATION_ESCAPES[c]);
+}
+
+/**
+ * 속성 값 직렬화: 큰따옴표로 감싸므로 "도 이스케이프
+ */
+function escapeAttributeValue(value) {
+  return value.replace(/[&"<>\u00a0]/g, c => SERIALIZATION_ESCAPES[c]);
+}
+
+
+// ============================================================
+// 18. HTMLTokenizer - HTML 문자열을 토큰 단위로 분해
+// ============================================================
+/**
+ * 토큰 종류:
+ *   { type: 'doctype', name, publicId, systemId }
+ *   { type: 'startTag', name, attrs: [{ name, value }], selfClosing }
+ *   { type: 'endTag', name }
+ *   { type: 'comment', data }
+ *   { type: 'character', data }
+ *   { type: 'processingInstruction', target, data }  (XML 모드 전용)
+ *   { type: 'eof' }
+ * 모든 토큰은 입력 내 위치 start/end (오프셋)를 가짐
+ */
+class HTMLTokenizer {
+  // 토크나이저 상태 (트리 빌더가 raw text 요소를 만나면 전환)
+  static DATA = 'data';
+  static RCDATA = 'rcdata';          // <title>, <textarea>
+  static RAWTEXT = 'rawtext';        // <style>, <xmp>, <iframe>, <noembed>, <noframes>
+  static SCRIPT_DATA = 'scriptData'; // <script>
+  static PLAINTEXT = 'plaintext';    // <plaintext> 이후 전부 텍스트
+
+  /**
+   * @param {string} input
+   * @param {Object} [options]
+   * @param {boolean} [options.xml] - XML 모드: 이름 대소문자 유지, CDATA와 처리 명령 인식
+   * @param {Function} [options.onError] - 파싱 오류 콜백 (code, offset, detail)
+   */
+  constructor(input, options = {}) {
+    // 입력 전처리: 줄바꿈을 LF로 통일 (토큰 오프셋은 전처리된 입력 기준)
+    // CRLF에서 지운 CR의 자리를 기억해 두었다가 sourceOffset()으로 원래 위치를 복원
+    this.removedCRs = [];
+    this.input = input.replace(/\r\n?/g, (match, offset) => {
+      if (match.length === 2) this.removedCRs.push(offset - this.removedCRs.length);
+      return '\n';
+    });
+    this.xml = options.xml || false;
+    this.allowCDATA = false;  // HTML에서는 트리 빌더가 외부 콘텐츠 안에서만 켬
+    this.onError = options.onError || null;
+    this.pos = 0;
+    this.state = HTMLTokenizer.DATA;
+    this.lastStartTagName = null;  // raw text를 끝내는 종료 태그 판별용
+    this._lineStarts = null;
+  }
+
+  /**
+   * 다음 토큰 하나를 반환 (트리 빌더가 반복 호출)
+   */
+  nextToken() {
+    for (;;) {
+      const start = this.pos;
+      const token = this._nextToken();
+      // null은 통째로 무시되는 구문 ("</>")
+      if (token) {
+        token.start = start;
+        token.end = this.pos;
+        return token;
+      }
+    }
+  }
+
+  /**
+   * 전처리된 입력의 오프셋을 호출자가 넘긴 원래 문자열의 오프셋으로 변환
+   * CRLF의 LF 자리를 가리키는 오프셋은 지워진 CR 자리로 (범위가 CRLF를 통째로 포함하도록)
+   */
+  sourceOffset(offset) {
+    const removed = this.removedCRs;
+    if (!removed.length || offset <= removed[0]) return offset;
+
+    // 이진 탐색으로 offset 앞에서 지운 CR 수 세기
+    let low = 0;
+    let high = removed.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (removed[mid] < offset) low = mid + 1;
+      else high = mid;
+    }
+    return offset + low;
+  }
+
+  /**
+   * 오프셋을 1부터 시작하는 줄/열 번호로 변환 (전처리된 입력 기준)
+   */
+  locate(offset) {
+    if (!this._lineStarts) {
+      this._lineStarts = [0];
+      for (let i = this.input.indexOf('\n'); i !== -1; i = this.input.indexOf('\n', i + 1)) {
+        this._lineStarts.push(i + 1);
+      }
+    }
+
+    // 이진 탐색으로 offset이 속한 줄 찾기
+    let low = 0;
+    let high = this._lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (this._lineStarts[mid] <= offset) low = mid;
+      else high = mid - 1;
+    }
+
+    return { line: low + 1, column: offset - this._lineStarts[low] + 1 };
+  }
+
+  _error(code, offset, detail) {
+    if (this.onError) this.onError(code, offset, detail);
+  }
+
+  _nextToken() {
+    if (this.pos >= this.input.length) {
+      return { type: 'eof' };
+    }
+
+    switch (this.state) {
+      case HTMLTokenizer.DATA:
+        return this._dataState();
+      case HTMLTokenizer.PLAINTEXT: {
+        const data = this.input.slice(this.pos);
+        this.pos = this.input.length;
+        return { type: 'character', data };
+      }
+      default:
+        return this._rawTextState();
+    }
+  }
+
+  _dataState() {
+    const input = this.input;
+    const start = this.pos;
+
+    // '<' 전까지는 모두 문자 데이터
+    if (input[start] !== '<') {
+      let end = input.indexOf('<', start);
+      if (end === -1) end = input.length;
+      this.pos = end;
+      return { type: 'character', data: this._decode(input.slice(start, end), start) };
+    }
+
+    const next = input[start + 1];
+    if (next === '!') return this._markupDeclaration();
+    if (next === '/') return this._endTag();
+    if (next === '?') {
+      if (this.xml) return this._processingInstruction();
+      this._error('unexpected-question-mark-instead-of-tag-name', start + 1);
+      return this._bogusComment(start + 1);
+    }
+    if (isAsciiAlpha(next) || this.xml && (next === '_' || next === ':')) return this._startTag();
+
+    // 태그를 시작할 수 없는 '<'는 문자 그대로
+    this._error('invalid-first-character-of-tag-name', start + 1);
+    this.pos = start + 1;
+    return { type: 'character', data: '<' };
+  }
+
+  /**
+   * raw text / RCDATA: 짝이 맞는 종료 태그가 나올 때까지 전부 텍스트
+   */
+  _rawTextState() {
+    const input = this.input;
+    const start = this.pos;
+    const endTagPattern = new RegExp(`</${this.lastStartTagName}[\\t\\n\\f />]`, 'ig');
+
+    endTagPattern.lastIndex = start;
+    let match = endTagPattern.exec(input);
+    // 입력 끝에서 바로 끝나는 종료 태그 (예: "</script")는 텍스트로 취급
+    const end = match ? match.index : input.length;
+
+    if (end > start) {
+      this.pos = end;
+      const data = input.slice(start, end);
+      // RCDATA(<title>, <textarea>)만 문자 참조를 해석
+      return {
+        type: 'character',
+        data: this.state === HTMLTokenizer.RCDATA ? this._decode(data, start) : data
+      };
+    }
+
+    this.state = HTMLTokenizer.DATA;
+    return this._endTag();
+  }
+
+  _startTag() {
+    const token = { type: 'startTag', name: '', attrs: [], selfClosing: false };
+    this.pos += 1;  // '<'
+    token.name = this._readTagName();
+
+    if (!this._readAttributes(token)) {
+      this._error('eof-in-tag', this.input.length);
+      return { type: 'eof' };  // 태그 도중 입력 종료: 토큰 버림
+    }
+
+    this.lastStartTagName = token.name;
+    return token;
+  }
+
+  _endTag() {
+    const input = this.input;
+    const start = this.pos;
+
+    // "</" 로 입력이 끝나면 문자 그대로
+    if (start + 2 >= input.length) {
+      this._error('eof-before-tag-name', input.length);
+      this.pos = input.length;
+      return { type: 'character', data: input.slice(start) };
+    }
+
+    // "</>" 는 통째로 무시
+    if (input[start + 2] === '>') {
+      this._error('missing-end-tag-name', start + 2);
+      this.pos = start + 3;
+      return null;
+    }
+
+    // "</" 다음이 알파벳이 아니면 bogus comment
+    if (!isAsciiAlpha(input[start + 2])) {
+      this._error('invalid-first-character-of-tag-name', start + 2);
+      return this._bogusComment(start + 2);
+    }
+
+    const token = { type: 'endTag', name: '', attrs: [], selfClosing: false };
+    this.pos = start + 2;
+    token.name = this._readTagName();
+
+    // 종료 태그의 속성은 읽고 버림
+    if (!this._readAttributes(token)) {
+      this._error('eof-in-tag', input.length);
+      return { type: 'eof' };
+    }
+    if (token.attrs.length) {
+      this._error('end-tag-with-attributes', start);
+    }
+
+    return { type: 'endTag', name: token.name };
+  }
+
+  _readTagName() {
+    const input = this.input;
+    const start = this.pos;
+
+    while (this.pos < input.length && !isTagNameEnd(input[this.pos])) {
+      this.pos++;
+    }
+
+    const name = input.slice(start, this.pos);
+    return this.xml ? name : name.toLowerCase();
+  }
+
+  /**
+   * 속성 목록 파싱 - 큰따옴표, 작은따옴표, 따옴표 없음, 값 없음 모두 지원
+   * @returns {boolean} 태그가 '>'로 정상 종료되었는지 여부
+   */
+  _readAttributes(token) {
+    const input = this.input;
+
+    while (this.pos < input.length) {
+      this._skipWhitespace();
+      const c = input[this.pos];
+
+      if (c === undefined) break;
+      if (c === '>') {
+        this.pos++;
+        return true;
+      }
+      if (c === '/') {
+        this.pos++;
+        if (input[this.pos] === '>') {
+          token.selfClosing = true;
+          this.pos++;
+          return true;
+        }
+        continue;
+      }
+
+      // 속성 이름 (첫 글자가 '='여도 이름의 일부로 취급)
+      const nameStart = this.pos++;
+      while (this.pos < input.length && !isAttributeNameEnd(input[this.pos])) {
+        this.pos++;
+      }
+      let name = input.slice(nameStart, this.pos);
+      if (!this.xml) name = name.toLowerCase();
+
+      // 속성 값
+      let value = '';
+      this._skipWhitespace();
+      if (input[this.pos] === '=') {
+        this.pos++;
+        this._skipWhitespace();
+        value = this._readAttributeValue();
+        if (value === null) break;
+      }
+
+      // 중복 속성은 첫 번째 것만 유효
+      if (token.attrs.some(attr => attr.name === name)) {
+        this._error('duplicate-attribute', nameStart, name);
+      } else {
+        token.attrs.push({ name, value });
+      }
+    }
+
+    this.pos = input.length;
+    return false;
+  }
+
+  _readAttributeValue() {
+    const input = this.input;
+    const quote = input[this.pos];
+
+    if (quote === '"' || quote === "'") {
+      const end = input.indexOf(quote, this.pos + 1);
+      if (end === -1) return null;
+      const value = this._decode(input.slice(this.pos + 1, end), this.pos + 1, true);
+      this.pos = end + 1;
+      return value;
+    }
+
+    // 따옴표 없는 값: 공백이나 '>' 전까지
+    const start = this.pos;
+    while (this.pos < input.length && !isWhitespace(input[this.pos]) && input[this.pos] !== '>') {
+      this.pos++;
+    }
+    return this._decode(input.slice(start, this.pos), start, true);
+  }
+
+  /**
+   * 문자 참조 디코딩 - 오류 위치는 입력 전체 기준 오프셋으로 보고
+   */
+  _decode(text, offset, inAttribute = false) {
+    return decodeCharacterReferences(text, {
+      inAttribute,
+      xml: this.xml,
+      onError: (code, index, detail) => this._error(code, offset + index, detail)
+    });
+  }
+
+  /**
+   * "<!" 로 시작하는 구문: 주석, DOCTYPE, 그 외는 bogus comment
+   */
+  _markupDeclaration() {
+    const input = this.input;
+    const start = this.pos;
+
+    if (input.startsWith('<!--', start)) {
+      // "<!-->" 와 "<!--->" 는 빈 주석
+      const abrupt = input.slice(start + 4).match(/^-?>/);
+      if (abrupt) {
+        this._error('abrupt-closing-of-empty-comment', start);
+        this.pos = start + 4 + abrupt[0].length;
+        return { type: 'comment', data: '' };
+      }
+
+      let end = input.indexOf('-->', start + 4);
+      if (end === -1) {
+        this._error('eof-in-comment', input.length);
+        end = input.length;
+      }
+      this.pos = Math.min(end + 3, input.length);
+      return { type: 'comment', data: input.slice(start + 4, end) };
+    }
+
+    if (input.slice(start + 2, start + 9).toUpperCase() === 'DOCTYPE') {
+      return this._doctype();
+    }
+
+    // XML(그리고 HTML의 SVG/MathML 안)의 CDATA 섹션은 이스케이프 없는 문자 데이터
+    if ((this.xml || this.allowCDATA) && input.startsWith('<![CDATA[', start)) {
+      let end = input.indexOf(']]>', start + 9);
+      if (end === -1) end = input.length;
+      this.pos = Math.min(end + 3, input.length);
+      return { type: 'character', data: input.slice(start + 9, end) };
+    }
+
+    this._error('incorrectly-opened-comment', start);
+    return this._bogusComment(start + 2);
+  }
+
+  _doctype() {
+    const input = this.input;
+    let end = input.indexOf('>', this.pos);
+    if (end === -1) {
+      this._error('eof-in-doctype', input.length);
+      end = input.length;
+    }
+
+    const body = input.slice(this.pos + 9, end);
+    this.pos = Math.min(end + 1, input.length);
+
+    const match = body.match(
+      /^\s*([^\s>]*)\s*(?:PUBLIC\s*(["'])(.*?)\2\s*(?:(["'])(.*?)\4)?|SYSTEM\s*(["'])(.*?)\6)?/i
+    );
+
+    return {
+      type: 'doctype',
+      name: match[1].toLowerCase(),
+      publicId: match[3] ?? null,
+      systemId: match[5] ?? match[7] ?? null
+    };
+  }
+
+  /**
+   * XML 처리 명령: <?target data?>
+   */
+  _processingInstruction() {
+    const input = this.input;
+    const start = this.pos + 2;
+    let end = input.indexOf('?>', start);
+    if (end === -1) end = input.length;
+
+    this.pos = Math.min(end + 2, input.length);
+    const [, target, data] = input.slice(start, end).match(/^([^\s]*)\s*([\s\S]*)$/);
+    return { type: 'processingInstruction', target, data };
+  }
+
+  /**
+   * 잘못된 마크업은 다음 '>'까지를 주석으로 처리
+   */
+  _bogusComment(dataStart) {
+    const input = this.input;
+    let end = input.indexOf('>', dataStart);
+    if (end === -1) end = input.length;
+
+    this.pos = Math.min(end + 1, input.length);
+    return { type: 'comment', data: input.slice(dataStart, end) };
+  }
+
+  _skipWhitespace() {
+    while (this.pos < this.input.length && isWhitespace(this.input[this.pos])) {
+      this.pos++;
+    }
+  }
+}
+
+function isWhitespace(c) {
+  return c === ' ' || c === '\t' || c === '\n' || c === '\f';
+}
+
+function isAsciiAlpha(c) {
+  return c !== undefined && /[a-zA-Z]/.test(c);
+}
+
+function isTagNameEnd(c) {
+  return isWhitespace(c) || c === '/' || c === '>';
+}
+
+function isAttributeNameEnd(c) {
+  return isWhitespace(c) || c === '/' || c === '>' || c === '=';
+}
+
+
+// ============================================================
+// 19. HTMLTreeBuilder - 토큰으로 노드 트리 구성
+// ============================================================
+/**
+ * HTML 표준의 tree construction 단계를 간소화한 구현
+ * - insertion mode 상태 머신으로 토큰마다 처리 규칙이 달라짐
+ * - <html>/<head>/<body> 암묵적 생성, <p> 자동 닫기
+ * - 잘못 중첩된 서식 요소는 adoption agency 알고리즘으로 복구
+ * - 테이블 안에 잘못 놓인 내용은 테이블 앞으로 foster parenting
+ * - <svg>, <math> 안은 외부 콘텐츠 규칙으로 SVG/MathML 네임스페이스 요소 생성
+ * - <template> 안은 template insertion mode 스택으로 테이블 조각도 그대로 유지
+ * (template 내용은 별도 DocumentFragment 없이 template 요소의 자식으로 둠,
+ *  frameset과 quirks mode는 생략)
+ */
+
+// 시작 태그 이후 토크나이저 상태를 바꾸는 요소들
+const RAW_TEXT_STATES = {
+  title: HTMLTokenizer.RCDATA,
+  textarea: HTMLTokenizer.RCDATA,
+  style: HTMLTokenizer.RAWTEXT,
+  xmp: HTMLTokenizer.RAWTEXT,
+  iframe: HTMLTokenizer.RAWTEXT,
+  noembed: HTMLTokenizer.RAWTEXT,
+  noframes: HTMLTokenizer.RAWTEXT,
+  noscript: HTMLTokenizer.RAWTEXT,  // 스크립트가 켜진 브라우저 기준
+  script: HTMLTokenizer.SCRIPT_DATA,
+  plaintext: HTMLTokenizer.PLAINTEXT
+};
+
+// 파싱 규칙상 특별 취급되는 요소 (adoption agency, 종료 태그 처리에 사용)
+const SPECIAL_ELEMENTS = new Set([
+  'address', 'applet', 'area', 'article', 'aside', 'base', 'basefont', 'bgsound',
+  'blockquote', 'body', 'br', 'button', 'caption', 'center', 'col', 'colgroup',
+  'dd', 'details', 'dir', 'div', 'dl', 'dt', 'embed', 'fieldset', 'figcaption',
+  'figure', 'footer', 'form', 'frame', 'frameset', 'h1', 'h2', 'h3', 'h4', 'h5',
+  'h6', 'head', 'header', 'hgroup', 'hr', 'html', 'iframe', 'img', 'input',
+  'keygen', 'li', 'link', 'listing', 'main', 'marquee', 'menu', 'meta', 'nav',
+  'noembed', 'noframes', 'noscript', 'object', 'ol', 'p', 'param', 'plaintext',
+  'pre', 'script', 'search', 'section', 'select', 'source', 'style', 'summary',
+  'table', 'tbody', 'td', 'template', 'textarea', 'tfoot', 'th', 'thead',
+  'title', 'tr', 'track', 'ul', 'wbr', 'xmp'
+]);
+
+const FORMATTING_ELEMENTS = new Set([
+  'a', 'b', 'big', 'code', 'em', 'font', 'i', 'nobr', 's', 'small', 'strike',
+  'strong', 'tt', 'u'
+]);
+
+// 열릴 때 <p>를 자동으로 닫는 블록 요소
+const CLOSES_P_ELEMENTS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'center', 'details', 'dialog',
+  'dir', 'div', 'dl', 'fieldset', 'figcaption', 'figure', 'footer', 'header',
+  'hgroup', 'main', 'menu', 'nav', 'ol', 'p', 'search', 'section', 'summary', 'ul'
+]);
+
+const HEADING_ELEMENTS = new Set(['h1', 'h2', 'h3', 'h4', 'h5', 'h6']);
+
+// generate implied end tags 대상
+const IMPLIED_END_TAGS = new Set([
+  'dd', 'dt', 'li', 'optgroup', 'option', 'p', 'rb', 'rp', 'rt', 'rtc'
+]);
+
+// 요소가 "scope 안에 있는지" 검사할 때 경계가 되는 요소들
+const DEFAULT_SCOPE = new Set([
+  'applet', 'caption', 'html', 'table', 'td', 'th', 'marquee', 'object', 'template'
+]);
+const LIST_ITEM_SCOPE = new Set([...DEFAULT_SCOPE, 'ol', 'ul']);
+const BUTTON_SCOPE = new Set([...DEFAULT_SCOPE, 'button']);
+const TABLE_SCOPE = new Set(['html', 'table', 'template']);
+
+// foster parenting이 적용되는 테이블 요소
+const TABLE_CONTEXT_ELEMENTS = new Set(['table', 'tbody', 'tfoot', 'thead', 'tr']);
+
+// </template>에서 쓰는 generate all implied end tags thoroughly 대상
+const IMPLIED_END_TAGS_THOROUGHLY = new Set([
+  ...IMPLIED_END_TAGS, 'caption', 'colgroup', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr'
+]);
+
+// 안쪽 내용을 다시 HTML 규칙으로 처리하는 요소
+const MATHML_TEXT_INTEGRATION_POINTS = new Set(['mi', 'mo', 'mn', 'ms', 'mtext']);
+const SVG_HTML_INTEGRATION_POINTS = new Set(['foreignObject', 'desc', 'title']);
+
+// 외부 콘텐츠 안에서 나오면 외부 콘텐츠를 닫고 HTML로 돌아가는 시작 태그
+const FOREIGN_BREAKOUT_ELEMENTS = new Set([
+  'b', 'big', 'blockquote', 'body', 'br', 'center', 'code', 'dd', 'div', 'dl', 'dt',
+  'em', 'embed', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'head', 'hr', 'i', 'img', 'li',
+  'listing', 'menu', 'meta', 'nobr', 'ol', 'p', 'pre', 'ruby', 's', 'small', 'span',
+  'strong', 'strike', 'sub', 'sup', 'table', 'tt', 'u', 'ul', 'var'
+]);
+
+// 토크나이저가 소문자로 바꾼 SVG 요소 이름을 원래 대소문자로 복원
+const SVG_TAG_NAME_ADJUSTMENTS = new Map([
+  'altGlyph', 'altGlyphDef', 'altGlyphItem', 'animateColor', 'animateMotion',
+  'animateTransform', 'clipPath', 'feBlend', 'feColorMatrix', 'feComponentTransfer',
+  'feComposite', 'feConvolveMatrix', 'feDiffuseLighting', 'feDisplacementMap',
+  'feDistantLight', 'feDropShadow', 'feFlood', 'feFuncA', 'feFuncB', 'feFuncG',
+  'feFuncR', 'feGaussianBlur', 'feImage', 'feMerge', 'feMergeNode', 'feMorphology',
+  'feOffset', 'fePointLight', 'feSpecularLighting', 'feSpotLight', 'feTile',
+  'feTurbulence', 'foreignObject', 'glyphRef', 'linearGradient', 'radialGradient',
+  'textPath'
+].map(name => [name.toLowerCase(), name]));
+
+// SVG 속성 이름 대소문자 복원
+const SVG_ATTRIBUTE_ADJUSTMENTS = new Map([
+  'attributeName', 'attributeType', 'baseFrequency', 'baseProfile', 'calcMode',
+  'clipPathUnits', 'diffuseConstant', 'edgeMode', 'filterUnits', 'glyphRef',
+  'gradientTransform', 'gradientUnits', 'kernelMatrix', 'kernelUnitLength',
+  'keyPoints', 'keySplines', 'keyTimes', 'lengthAdjust', 'limitingConeAngle',
+  'markerHeight', 'markerUnits', 'markerWidth', 'maskContentUnits', 'maskUnits',
+  'numOctaves', 'pathLength', 'patternContentUnits', 'patternTransform',
+  'patternUnits', 'pointsAtX', 'pointsAtY', 'pointsAtZ', 'preserveAlpha',
+  'preserveAspectRatio', 'primitiveUnits', 'refX', 'refY', 'repeatCount',
+  'repeatDur', 'requiredExtensions', 'requiredFeatures', 'specularConstant',
+  'specularExponent', 'spreadMethod', 'startOffset', 'stdDeviation',
+  'stitchTiles', 'surfaceScale', 'systemLanguage', 'tableValues', 'targetX',
+  'targetY', 'textLength', 'viewBox', 'viewTarget', 'xChannelSelector',
+  'yChannelSelector', 'zoomAndPan'
+].map(name => [name.toLowerCase(), name]));
+
+const MATHML_ATTRIBUTE_ADJUSTMENTS = new Map([['definitionurl', 'definitionURL']]);
+
+// 입력이 끝날 때 열려 있어도 오류가 아닌 요소 (종료 태그 생략 가능)
+const EOF_OPTIONAL_END_TAGS = new Set([
+  ...IMPLIED_END_TAGS, 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'body', 'html'
+]);
+
+// 파싱 오류 코드별 메시지 (코드는 HTML 표준의 오류 이름을 따름)
+const PARSE_ERROR_MESSAGES = {
+  'abrupt-closing-of-empty-comment': () => 'Empty comment closed abruptly',
+  'absence-of-digits-in-numeric-character-reference': () => 'Numeric character reference has no digits',
+  'character-reference-outside-unicode-range': () => 'Character reference outside the Unicode range',
+  'control-character-reference': () => 'Character reference to a control character',
+  'duplicate-attribute': name => `Duplicate attribute "${name}"`,
+  'end-tag-with-attributes': () => 'End tag has attributes',
+  'eof-before-tag-name': () => 'Unexpected end of input before tag name',
+  'eof-in-comment': () => 'Unexpected end of input in comment',
+  'eof-in-doctype': () => 'Unexpected end of input in DOCTYPE',
+  'eof-in-tag': () => 'Unexpected end of input in tag',
+  'incorrectly-opened-comment': () => 'Incorrectly opened comment',
+  'invalid-first-character-of-tag-name': () => 'Invalid first character of tag name',
+  'missing-doctype': () => 'Missing DOCTYPE',
+  'missing-end-tag-name': () => 'Missing end tag name',
+  'missing-semicolon-after-character-reference': () => 'Missing semicolon after character reference',
+  'null-character-reference': () => 'Character reference to U+0000',
+  'surrogate-character-reference': () => 'Character reference to a surrogate',
+  'unclosed-element': name => `Element <${name}> is not closed`,
+  'unexpected-doctype': () => 'Unexpected DOCTYPE',
+  'unexpected-end-tag': name => `Unexpected end tag </${name}>`,
+  'unexpected-question-mark-instead-of-tag-name': () => 'Unexpected "?" instead of tag name',
+  'unexpected-start-tag': name => `Unexpected start tag <${name}>`,
+  'unknown-named-character-reference': name => `Unknown named character reference "&${name};"`
+};
+
+function describeParseError(code, detail) {
+  const describe = PARSE_ERROR_MESSAGES[code];
+  return describe ? describe(detail) : code;
+}
+
+// active formatting elements 목록의 경계 표시
+const FORMATTING_MARKER = null;
+
+class HTMLTreeBuilder {
+  /**
+   * @param {HTMLTokenizer} tokenizer
+   * @param {Document} document - 파싱 결과가 들어갈 문서
+   * @param {Element} [context] - 조각 파싱 시 context 요소
+   * @param {Object} [options]
+   * @param {boolean} [options.sourceLocations] - 생성한 노드에 sourceLocation 기록
+   * @param {Array} [options.errors] - 파싱 오류를 수집할 배열
+   */
+  constructor(tokenizer, document, context = null, options = {}) {
+    this.tokenizer = tokenizer;
+    this.document = document;
+    this.context = context;
+
+    this.sourceLocations = options.sourceLocations || false;
+    this.errors = options.errors || null;
+    this.currentToken = null;
+    this.createdElements = [];
+    this.startOffsets = new WeakMap();  // 요소 → 시작 태그 위치 (오류 보고용)
+    if (this.errors) {
+      tokenizer.onError = (code, offset, detail) => this._reportError(code, offset, detail);
+    }
+
+    this.openElements = [];           // 열린 요소 스택 (맨 뒤가 current node)
+    this.openParagraphs = 0;          // 스택에 있는 HTML <p> 수 (없으면 scope 검사 생략)
+    this.activeFormatting = [];       // { element, token } 또는 FORMATTING_MARKER
+    this.templateModes = [];          // 열린 <template>마다 돌아갈 insertion mode
+    this.insertionMode = 'initial';
+    this.originalInsertionMode = null;
+    this.headElement = null;
+    this.formElement = null;
+
+    this.fosterParenting = false;
+    this.pendingTableText = [];
+    this.skipNextNewline = false;     // <pre>, <textarea> 직후의 줄바꿈 무시
+    this.stopped = false;
+
+    if (context) {
+      this._setupFragment(context);
+    }
+  }
+
+  /**
+   * HTML fragment parsing 알고리즘의 초기 설정
+   */
+  _setupFragment(context) {
+    const root = this._createElement({ type: 'startTag', name: 'html', attrs: [], start: 0, end: 0 });
+    this.document.appendChild(root);
+    this.openElements.push(root);
+
+    const state = RAW_TEXT_STATES[context.localName];
+    if (state) {
+      this.tokenizer.state = state;
+      this.tokenizer.lastStartTagName = context.localName;
+    }
+    if (isHTMLElement(context, 'template')) {
+      this.templateModes.push('inTemplate');
+    }
+
+    this._resetInsertionMode();
+
+    // context의 가장 가까운 form 조상을 form element pointer로
+    for (let node = context; node; node = node.parentNode) {
+      if (node instanceof Element && node.localName === 'form') {
+        this.formElement = node;
+        break;
+      }
+    }
+  }
+
+  get currentNode() {
+    return this.openElements[this.openElements.length - 1];
+  }
+
+  /**
+   * 조각 파싱에서 스택이 루트만 남았을 때는 context를 기준으로 판단
+   */
+  get adjustedCurrentNode() {
+    if (this.context && this.openElements.length === 1) return this.context;
+    return this.currentNode;
+  }
+
+  run() {
+    while (!this.stopped) {
+      // CDATA 섹션은 외부 콘텐츠 안에서만 인식
+      const node = this.adjustedCurrentNode;
+      this.tokenizer.allowCDATA = !!node && node.namespaceURI !== HTML_NAMESPACE;
+      this._process(this.tokenizer.nextToken());
+    }
+    if (this.sourceLocations) {
+      this._finishSourceLocations();
+    }
+    return this.document;
+  }
+
+  _process(token) {
+    if (this.skipNextNewline) {
+      this.skipNextNewline = false;
+      if (token.type === 'character' && token.data[0] === '\n') {
+        if (token.data.length === 1) return;
+        token = remainingCharacters(token, token.data.slice(1));
+      }
+    }
+
+    if (token.type === 'doctype' && this.insertionMode !== 'initial') {
+      this._parseError('unexpected-doctype', null, token.start);
+    }
+
+    this.currentToken = token;
+    if (this._isForeignContent(token)) {
+      this._processForeignContent(token);
+    } else {
+      this._processIn(this.insertionMode, token);
+    }
+  }
+
+  /**
+   * tree construction dispatcher - 토큰을 외부 콘텐츠 규칙으로 처리해야 하는지
+   */
+  _isForeignContent(token) {
+    const node = this.adjustedCurrentNode;
+    if (!node || node.namespaceURI === HTML_NAMESPACE || token.type === 'eof') return false;
+
+    const startTag = token.type === 'startTag';
+    if (isMathMLTextIntegrationPoint(node)) {
+      if (token.type === 'character') return false;
+      if (startTag && token.name !== 'mglyph' && token.name !== 'malignmark') return false;
+    }
+    if (node.namespaceURI === MATHML_NAMESPACE && node.localName === 'annotation-xml'
+      && startTag && token.name === 'svg') {
+      return false;
+    }
+    if (isHTMLIntegrationPoint(node) && (startTag || token.type === 'character')) return false;
+    return true;
+  }
+
+  /**
+   * 현재 insertion mode와 관계없이 특정 모드의 규칙으로 토큰 처리
+   */
+  _processIn(mode, token) {
+    this[`${mode}Mode`](token);
+  }
+
+  _reprocess(mode, token) {
+    this.insertionMode = mode;
+    this._process(token);
+  }
+
+  // ----------------------------------------------------------
+  // 노드 생성과 삽입
+  // ----------------------------------------------------------
+
+  _createElement(token, namespace = HTML_NAMESPACE) {
+    const element = new Element(token.name, namespace);
+    for (const { name, value } of token.attrs) {
+      element.setAttribute(name, value);
+    }
+
+    // 암묵적으로 생성된 요소는 그 원인이 된 토큰 위치의 빈 범위
+    const start = token.start ?? this.currentToken.start;
+    this.startOffsets.set(element, start);
+    if (this.sourceLocations) {
+      element.sourceLocation = this._sourceRange(start, token.end ?? start);
+      this.createdElements.push(element);
+    }
+
+    return element;
+  }
+
+  /**
+   * appropriate place for inserting a node
+   * foster parenting 중이고 대상이 테이블 요소면 테이블 바로 앞에 삽입
+   */
+  _insertionLocation(overrideTarget = null) {
+    const target = overrideTarget || this.currentNode;
+
+    if (this.fosterParenting && TABLE_CONTEXT_ELEMENTS.has(target.localName)) {
+      const tableIndex = this._lastIndexOf('table');
+      const templateIndex = this._lastIndexOf('template');
+      // 테이블보다 안쪽의 template이 있으면 template 안에 그대로 넣음
+      if (templateIndex > tableIndex) {
+        return { parent: this.openElements[templateIndex], before: null };
+      }
+      if (tableIndex === -1) {
+        return { parent: this.openElements[0], before: null };
+      }
+      const table = this.openElements[tableIndex];
+      if (table.parentNode) {
+        return { parent: table.parentNode, before: table };
+      }
+      return { parent: this.openElements[tableIndex - 1], before: null };
+    }
+
+    return { parent: target, before: null };
+  }
+
+  _insertNode(node, location = this._insertionLocation()) {
+    location.parent.insertBefore(node, location.before);
+  }
+
+  /**
+   * 주석 삽입 - parent를 주면 그 끝에, 아니면 appropriate place에 추가
+   */
+  _insertComment(token, parent = null) {
+    const comment = new Comment(token.data);
+    if (this.sourceLocations) {
+      comment.sourceLocation = this._sourceRange(token.start, token.end);
+    }
+    if (parent) {
+      parent.appendChild(comment);
+    } else {
+      this._insertNode(comment);
+    }
+  }
+
+  _insertElement(token, namespace = HTML_NAMESPACE) {
+    const element = this._createElement(token, namespace);
+    this._insertNode(element);
+    this.openElements.push(element);
+    if (isHTMLElement(element, 'p')) this.openParagraphs++;
+    return element;
+  }
+
+  /**
+   * SVG/MathML 요소 삽입 - 이름을 네임스페이스에 맞게 보정하고
+   * 외부 요소는 어떤 것이든 self-closing(<path/>)을 존중해 바로 닫음
+   */
+  _insertForeignElement(token, namespace) {
+    const element = this._insertElement(adjustForeignToken(token, namespace), namespace);
+    if (token.selfClosing) {
+      this._pop();
+    }
+    return element;
+  }
+
+  /**
+   * void 요소처럼 즉시 닫히는 요소 삽입
+   */
+  _insertVoidElement(token) {
+    this._insertElement(token);
+    this._pop();
+  }
+
+  _insertSyntheticElement(name) {
+    return this._insertElement({ type: 'startTag', name, attrs: [], selfClosing: false });
+  }
+
+  /**
+   * @param {string} data
+   * @param {Object} [range] - 텍스트의 입력 내 위치 { start, end }
+   */
+  _insertText(data, range = this.currentToken) {
+    const { parent, before } = this._insertionLocation();
+
+    // 인접한 텍스트는 하나의 Text 노드로 합침
+    const previous = before ? before.previousSibling : parent.lastChild;
+    if (previous instanceof Text) {
+      previous.data += data;
+      if (this.sourceLocations && previous.sourceLocation) {
+        previous.sourceLocation.end = this.tokenizer.sourceOffset(range.end);
+      }
+    } else {
+      const text = new Text(data);
+      if (this.sourceLocations) {
+        text.sourceLocation = this._sourceRange(range.start, range.end);
+      }
+      parent.insertBefore(text, before);
+    }
+  }
+
+  /**
+   * generic raw text / RCDATA 요소 파싱: 종료 태그까지 text 모드
+   */
+  _parseRawText(token) {
+    this._insertElement(token);
+    this.tokenizer.state = RAW_TEXT_STATES[token.name];
+    this.originalInsertionMode = this.insertionMode;
+    this.insertionMode = 'text';
+  }
+
+  // ----------------------------------------------------------
+  // 열린 요소 스택
+  // ----------------------------------------------------------
+
+  _lastIndexOf(name) {
+    for (let i = this.openElements.length - 1; i >= 0; i--) {
+      if (isHTMLElement(this.openElements[i], name)) return i;
+    }
+    return -1;
+  }
+
+  /**
+   * has an element in scope
+   * @param {string|Set|Element} target - 요소 이름, 이름 집합 또는 요소 자체
+   * @param {Set} scope - 경계 요소 집합
+   */
+  _inScope(target, scope = DEFAULT_SCOPE) {
+    for (let i = this.openElements.length - 1; i >= 0; i--) {
+      const node = this.openElements[i];
+      const html = node.namespaceURI === HTML_NAMESPACE;
+      if (target instanceof Element ? node === target
+        : !html ? false
+        : target instanceof Set ? target.has(node.localName)
+        : node.localName === target) {
+        return true;
+      }
+      // table scope를 제외한 scope는 SVG/MathML의 integration point도 경계
+      if (html ? scope.has(node.localName)
+        : scope !== TABLE_SCOPE && isSpecialElement(node)) {
+        return false;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * select scope는 optgroup, option을 제외한 모든 요소가 경계
+   */
+  _inSelectScope(name) {
+    for (let i = this.openElements.length - 1; i >= 0; i--) {
+      const localName = this.openElements[i].localName;
+      if (localName === name) return true;
+      if (localName !== 'optgroup' && localName !== 'option') return false;
+    }
+    return false;
+  }
+
+  _pop() {
+    const element = this.openElements.pop();
+    if (isHTMLElement(element, 'p')) this.openParagraphs--;
+    this._recordEndTag(element);
+    return element;
+  }
+
+  /**
+   * 이름(또는 이름 집합)이 일치하는 요소가 나올 때까지 스택에서 제거
+   */
+  _popUntil(target) {
+    for (let i = this.openElements.length - 1; i >= 0; i--) {
+      const name = this.openElements[i].localName;
+      if (target instanceof Set ? target.has(name) : name === target) {
+        this._popTo(i);
+        return;
+      }
+    }
+  }
+
+  /**
+   * index 위치의 요소까지 스택에서 제거
+   * 그 위에 남아 있던 요소는 종료 태그 없이 닫힌 것이므로 오류로 보고
+   */
+  _popTo(index) {
+    const target = this.openElements[index];
+    while (this.openElements.length > index) {
+      const element = this._pop();
+      if (element !== target && !IMPLIED_END_TAGS.has(element.localName)) {
+        this._parseError('unclosed-element', element.localName, this.startOffsets.get(element));
+      }
+    }
+  }
+
+  _removeFromStack(element) {
+    const index = this.openElements.indexOf(element);
+    if (index !== -1) {
+      this.openElements.splice(index, 1);
+      if (isHTMLElement(element, 'p')) this.openParagraphs--;
+      this._recordEndTag(element);
+    }
+  }
+
+  /**
+   * 요소가 자신의 종료 태그로 닫히면 종료 태그 끝까지를 요소 범위로 기록
+   */
+  _recordEndTag(element) {
+    const token = this.currentToken;
+    if (this.sourceLocations && token && token.type === 'endTag'
+      && token.name === element.localName.toLowerCase()) {
+      element.sourceLocation.end = this.tokenizer.sourceOffset(token.end);
+    }
+  }
+
+  // ----------------------------------------------------------
+  // 파싱 오류와 소스 위치
+  // ----------------------------------------------------------
+
+  /**
+   * 처리 규칙상 무시되는 태그 토큰을 오류로 보고
+   */
+  _ignoreToken(token) {
+    const code = token.type === 'endTag' ? 'unexpected-end-tag' : 'unexpected-start-tag';
+    this._parseError(code, token.name);
+  }
+
+  _parseError(code, detail = null, offset = this.currentToken.start) {
+    if (this.errors) this._reportError(code, offset, detail);
+  }
+
+  _reportError(code, offset, detail) {
+    const { line, column } = this.tokenizer.locate(offset);
+    this.errors.push({
+      code, message: describeParseError(code, detail), line, column,
+      offset: this.tokenizer.sourceOffset(offset)
+    });
+  }
+
+  /**
+   * 토큰 오프셋(전처리된 입력 기준)을 원래 입력 기준의 sourceLocation으로
+   */
+  _sourceRange(start, end) {
+    return { start: this.tokenizer.sourceOffset(start), end: this.tokenizer.sourceOffset(end) };
+  }
+
+  /**
+   * 종료 태그 없이 닫힌 요소는 마지막 자식이 끝나는 곳까지를 범위로
+   * 생성 순서의 역순으로 처리하면 자식이 부모보다 먼저 확정됨
+   */
+  _finishSourceLocations() {
+    for (let i = this.createdElements.length - 1; i >= 0; i--) {
+      const location = this.createdElements[i].sourceLocation;
+      const last = this.createdElements[i].lastChild;
+      if (last && last.sourceLocation && last.sourceLocation.end > location.end) {
+        location.end = last.sourceLocation.end;
+      }
+    }
+  }
+
+  _generateImpliedEndTags(except = null) {
+    while (IMPLIED_END_TAGS.has(this.currentNode.localName)
+      && this.currentNode.localName !== except) {
+      this._pop();
+    }
+  }
+
+  _closePElement() {
+    this._generateImpliedEndTags('p');
+    this._popUntil('p');
+  }
+
+  _closePIfInButtonScope() {
+    // 깊게 중첩된 블록마다 스택 전체를 훑지 않도록 열린 <p>가 없으면 바로 끝냄
+    if (this.openParagraphs && this._inScope('p', BUTTON_SCOPE)) {
+      this._closePElement();
+    }
+  }
+
+  /**
+   * 테이블 관련 모드에서 지정된 요소가 나올 때까지 스택 정리
+   */
+  _clearStackBackTo(names) {
+    while (!names.has(this.currentNode.localName)) {
+      this._pop();
+    }
+  }
+
+  /**
+   * reset the insertion mode appropriately
+   */
+  _resetInsertionMode() {
+    for (let i = this.openElements.length - 1; i >= 0; i--) {
+      const last = i === 0;
+      const node = last && this.context ? this.context : this.openElements[i];
+      const name = node.localName;
+
+      if (name === 'select') {
+        for (let j = i - 1; j > 0 && !last; j--) {
+          const ancestor = this.openElements[j].localName;
+          if (ancestor === 'table') {
+            this.insertionMode = 'inSelectInTable';
+            return;
+          }
+        }
+        this.insertionMode = 'inSelect';
+        return;
+      }
+      if ((name === 'td' || name === 'th') && !last) {
+        this.insertionMode = 'inCell';
+        return;
+      }
+      if (name === 'template') {
+        this.insertionMode = this.templateModes[this.templateModes.length - 1];
+        return;
+      }
+
+      const mode = {
+        tr: 'inRow',
+        tbody: 'inTableBody',
+        thead: 'inTableBody',
+        tfoot: 'inTableBody',
+        caption: 'inCaption',
+        colgroup: 'inColumnGroup',
+        table: 'inTable',
+        body: 'inBody'
+      }[name];
+
+      if (mode) {
+        this.insertionMode = mode;
+        return;
+      }
+      if (name === 'head' && !last) {
+        this.insertionMode = 'inHead';
+        return;
+      }
+      if (name === 'html') {
+        this.insertionMode = this.headElement ? 'afterHead' : 'beforeHead';
+        return;
+      }
+      if (last) {
+        this.insertionMode = 'inBody';
+        return;
+      }
+    }
+  }
+
+  // ----------------------------------------------------------
+  // active formatting elements
+  // ----------------------------------------------------------
+
+  /**
+   * 서식 요소 추가 - 같은 이름/속성의 요소는 마커 이후 최대 3개까지만 유지 (Noah's Ark)
+   */
+  _pushActiveFormatting(element, token) {
+    let count = 0;
+    let earliest = -1;
+
+    for (let i = this.activeFormatting.length - 1; i >= 0; i--) {
+      const entry = this.activeFormatting[i];
+      if (entry === FORMATTING_MARKER) break;
+      if (entry.token.name === token.name && sameAttributes(entry.token, token)) {
+        count++;
+        earliest = i;
+      }
+    }
+
+    if (count >= 3) {
+      this.activeFormatting.splice(earliest, 1);
+    }
+    this.activeFormatting.push({ element, token });
+  }
+
+  _formattingIndexOf(element) {
+    return this.activeFormatting.findIndex(entry => entry && entry.element === element);
+  }
+
+  _clearActiveFormattingToMarker() {
+    while (this.activeFormatting.length) {
+      if (this.activeFormatting.pop() === FORMATTING_MARKER) return;
+    }
+  }
+
+  /**
+   * 닫히지 않은 서식 요소를 현재 위치에 다시 열어줌
+   * 예: <b>1<p>2</b>3 에서 "2"도 굵게 유지
+   */
+  _reconstructActiveFormatting() {
+    const list = this.activeFormatting;
+    if (!list.length) return;
+
+    const isOpen = entry => entry === FORMATTING_MARKER || this.openElements.includes(entry.element);
+    if (isOpen(list[list.length - 1])) return;
+
+    let i = list.length - 1;
+    while (i > 0 && !isOpen(list[i - 1])) {
+      i--;
+    }
+
+    for (; i < list.length; i++) {
+      const element = this._insertElement(list[i].token);
+      list[i] = { element, token: list[i].token };
+    }
+  }
+
+  /**
+   * adoption agency 알고리즘 - 잘못 중첩된 서식 요소 복구
+   * 예: <b><i></b></i> → <b><i></i></b><i></i>
+   * @returns {boolean} false면 "any other end tag" 규칙으로 처리해야 함
+   */
+  _adoptionAgency(name) {
+    const current = this.currentNode;
+    if (current.localName === name && this._formattingIndexOf(current) === -1) {
+      this._pop();
+      return true;
+    }
+
+    for (let outer = 0; outer < 8; outer++) {
+      // 1. 마커 이후에서 같은 이름의 가장 최근 서식 요소
+      let formattingIndex = -1;
+      for (let i = this.activeFormatting.length - 1; i >= 0; i--) {
+        const entry = this.activeFormatting[i];
+        if (entry === FORMATTING_MARKER) break;
+        if (entry.element.localName === name) {
+          formattingIndex = i;
+          break;
+        }
+      }
+      if (formattingIndex === -1) return false;
+
+      const formattingEntry = this.activeFormatting[formattingIndex];
+      const formattingElement = formattingEntry.element;
+      const stackIndex = this.openElements.indexOf(formattingElement);
+
+      if (stackIndex === -1) {
+        this.activeFormatting.splice(formattingIndex, 1);
+        return true;
+      }
+      if (!this._inScope(formattingElement)) return true;
+
+      // 2. 서식 요소보다 아래에 있는 첫 번째 special 요소 (furthest block)
+      let furthestBlockIndex = -1;
+      for (let i = stackIndex + 1; i < this.openElements.length; i++) {
+        if (isSpecialElement(this.openElements[i])) {
+          furthestBlockIndex = i;
+          break;
+        }
+      }
+
+      // furthest block이 없으면 서식 요소까지 닫고 끝
+      if (furthestBlockIndex === -1) {
+        this._popTo(stackIndex);
+        this.activeFormatting.splice(formattingIndex, 1);
+        return true;
+      }
+
+      const furthestBlock = this.openElements[furthestBlockIndex];
+      const commonAncestor = this.openElements[stackIndex - 1];
+      let bookmark = formattingIndex;
+      let lastNode = furthestBlock;
+      let nodeIndex = furthestBlockIndex;
+
+      // 3. 서식 요소와 furthest block 사이의 요소들을 복제해 다시 연결
+      for (let inner = 1; ; inner++) {
+        nodeIndex--;
+        const node = this.openElements[nodeIndex];
+        if (node === formattingElement) break;
+
+        let entryIndex = this._formattingIndexOf(node);
+        if (inner > 3 && entryIndex !== -1) {
+          this.activeFormatting.splice(entryIndex, 1);
+          if (entryIndex < bookmark) bookmark--;
+          entryIndex = -1;
+        }
+        if (entryIndex === -1) {
+          this.openElements.splice(nodeIndex, 1);
+          continue;
+        }
+
+        const clone = this._createElement(this.activeFormatting[entryIndex].token);
+        this.activeFormatting[entryIndex] = { element: clone, token: this.activeFormatting[entryIndex].token };
+        this.openElements[nodeIndex] = clone;
+
+        if (lastNode === furthestBlock) {
+          bookmark = entryIndex + 1;
+        }
+        clone.appendChild(lastNode);
+        lastNode = clone;
+      }
+
+      this._insertNode(lastNode, this._insertionLocation(commonAncestor));
+
+      // 4. 서식 요소를 새로 만들어 furthest block의 자식들을 감쌈
+      const element = this._createElement(formattingEntry.token);
+      while (furthestBlock.firstChild) {
+        element.appendChild(furthestBlock.firstChild);
+      }
+      furthestBlock.appendChild(element);
+
+      const oldIndex = this.activeFormatting.indexOf(formattingEntry);
+      this.activeFormatting.splice(oldIndex, 1);
+      if (oldIndex < bookmark) bookmark--;
+      this.activeFormatting.splice(bookmark, 0, { element, token: formattingEntry.token });
+
+      this._removeFromStack(formattingElement);
+      this.openElements.splice(this.openElements.indexOf(furthestBlock) + 1, 0, element);
+    }
+
+    return true;
+  }
+
+  // ----------------------------------------------------------
+  // insertion modes
+  // ----------------------------------------------------------
+
+  initialMode(token) {
+    if (token.type === 'character') {
+      const rest = trimLeadingWhitespace(token.data);
+      if (!rest) return;
+      token = remainingCharacters(token, rest);
+    }
+    if (token.type === 'comment') {
+      this._insertComment(token, this.document);
+      return;
+    }
+    if (token.type === 'doctype') {
+      const doctype = new DocumentType(token.name || '', token.publicId || '', token.systemId || '');
+      if (this.sourceLocations) {
+        doctype.sourceLocation = this._sourceRange(token.start, token.end);
+      }
+      this.document.appendChild(doctype);
+      this.insertionMode = 'beforeHtml';
+      return;
+    }
+    this._parseError('missing-doctype');
+    this._reprocess('beforeHtml', token);
+  }
+
+  beforeHtmlMode(token) {
+    if (token.type === 'character') {
+      const rest = trimLeadingWhitespace(token.data);
+      if (!rest) return;
+      token = remainingCharacters(token, rest);
+    }
+    if (token.type === 'comment') {
+      this._insertComment(token, this.document);
+      return;
+    }
+    if (token.type === 'doctype') return;
+    if (token.type === 'startTag' && token.name === 'html') {
+      this.document.appendChild(this._createElement(token));
+      this.openElements.push(this.document.lastChild);
+      this.insertionMode = 'beforeHead';
+      return;
+    }
+    if (token.type === 'endTag' && !['head', 'body', 'html', 'br'].includes(token.name)) {
+      this._ignoreToken(token);
+      return;
+    }
+
+    const html = this._createElement({ type: 'startTag', name: 'html', attrs: [] });
+    this.document.appendChild(html);
+    this.openElements.push(html);
+    this._reprocess('beforeHead', token);
+  }
+
+  beforeHeadMode(token) {
+    if (token.type === 'character') {
+      const rest = trimLeadingWhitespace(token.data);
+      if (!rest) return;
+      token = remainingCharacters(token, rest);
+    }
+    if (token.type === 'comment') {
+      this._insertComment(token);
+      return;
+    }
+    if (token.type === 'doctype') return;
+    if (token.type === 'startTag' && token.name === 'html') {
+      this._processIn('inBody', token);
+      return;
+    }
+    if (token.type === 'startTag' && token.name === 'head') {
+      this.headElement = this._insertElement(token);
+      this.insertionMode = 'inHead';
+      return;
+    }
+    if (token.type === 'endTag' && !['head', 'body', 'html', 'br'].includes(token.name)) {
+      this._ignoreToken(token);
+      return;
+    }
+
+    this.headElement = this._insertSyntheticElement('head');
+    this._reprocess('inHead', token);
+  }
+
+  inHeadMode(token) {
+    if (token.type === 'character') {
+      const rest = this._insertLeadingWhitespace(token.data);
+      if (!rest) return;
+      token = remainingCharacters(token, rest);
+    }
+    if (token.type === 'comment') {
+      this._insertComment(token);
+      return;
+    }
+    if (token.type === 'doctype') return;
+
+    if (token.type === 'startTag') {
+      switch (token.name) {
+        case 'html':
+          this._processIn('inBody', token);
+          return;
+        case 'base': case 'basefont': case 'bgsound': case 'link': case 'meta':
+          this._insertVoidElement(token);
+          return;
+        case 'title': case 'noscript': case 'noframes': case 'style': case 'script':
+          this._parseRawText(token);
+          return;
+        case 'template':
+          this._insertElement(token);
+          this.activeFormatting.push(FORMATTING_MARKER);
+          this.insertionMode = 'inTemplate';
+          this.templateModes.push('inTemplate');
+          return;
+        case 'head':
+          this._ignoreToken(token);
+          return;
+      }
+    }
+
+    if (token.type === 'endTag') {
+      if (token.name === 'head') {
+        this._pop();
+        this.insertionMode = 'afterHead';
+        return;
+      }
+      if (token.name === 'template') {
+        this._closeTemplate(token);
+        return;
+      }
+      if (!['body', 'html', 'br'].includes(token.name)) {
+        this._ignoreToken(token);
+        return;
+      }
+    }
+
+    this._pop();
+    this._reprocess('afterHead', token);
+  }
+
+  afterHeadMode(token) {
+    if (token.type === 'character') {
+      const rest = this._insertLeadingWhitespace(token.data);
+      if (!rest) return;
+      token = remainingCharacters(token, rest);
+    }
+    if (token.type === 'comment') {
+      this._insertComment(token);
+      return;
+    }
+    if (token.type === 'doctype') return;
+
+    if (token.type === 'startTag') {
+      switch (token.name) {
+        case 'html':
+          this._processIn('inBody', token);
+          return;
+        case 'body':
+          this._insertElement(token);
+          this.insertionMode = 'inBody';
+          return;
+        case 'base': case 'basefont': case 'bgsound': case 'link': case 'meta':
+        case 'noframes': case 'script': case 'style': case 'template': case 'title':
+          // head 밖에 나온 head 요소는 head 안으로 넣어줌
+          this.openElements.push(this.headElement);
+          this._processIn('inHead', token);
+          this._removeFromStack(this.headElement);
+          return;
+        case 'head':
+          this._ignoreToken(token);
+          return;
+      }
+    }
+    if (token.type === 'endTag' && token.name === 'template') {
+      this._processIn('inHead', token);
+      return;
+    }
+    if (token.type === 'endTag' && !['body', 'html', 'br'].includes(token.name)) {
+      this._ignoreToken(token);
+      return;
+    }
+
+    this._insertSyntheticElement('body');
+    this._reprocess('inBody', token);
+  }
+
+  inBodyMode(token) {
+    switch (token.type) {
+      case 'character':
+        this._reconstructActiveFormatting();
+        this._insertText(token.data);
+        return;
+      case 'comment':
+        this._insertComment(token);
+        return;
+      case 'doctype':
+        return;
+      case 'startTag':
+        this._inBodyStartTag(token);
+        return;
+      case 'endTag':
+        this._inBodyEndTag(token);
+        return;
+      case 'eof':
+        if (this.templateModes.length) {
+          this._processIn('inTemplate', token);
+          return;
+        }
+        this._reportUnclosedAtEOF();
+        this.stopped = true;
+        return;
+    }
+  }
+
+  /**
+   * 입력이 끝났는데 종료 태그가 생략될 수 없는 요소가 열려 있으면 오류
+   */
+  _reportUnclosedAtEOF() {
+    for (const element of this.openElements) {
+      if (!EOF_OPTIONAL_END_TAGS.has(element.localName)) {
+        this._parseError('unclosed-element', element.localName, this.startOffsets.get(element));
+      }
+    }
+  }
+
+  _inBodyStartTag(token) {
+    const name = token.name;
+
+    if (name === 'html') {
+      addMissingAttributes(this.openElements[0], token);
+      return;
+    }
+    if (['base', 'basefont', 'bgsound', 'link', 'meta', 'noframes', 'script',
+      'style', 'template', 'title'].includes(name)) {
+      this._processIn('inHead', token);
+      return;
+    }
+    if (name === 'body') {
+      const body = this.openElements[1];
+      if (body && body.localName === 'body') {
+        addMissingAttributes(body, token);
+      }
+      return;
+    }
+    if (CLOSES_P_ELEMENTS.has(name)) {
+      this._closePIfInButtonScope();
+      this._insertElement(token);
+      return;
+    }
+    if (HEADING_ELEMENTS.has(name)) {
+      this._closePIfInButtonScope();
+      if (HEADING_ELEMENTS.has(this.currentNode.localName)) {
+        this._pop();
+      }
+      this._insertElement(token);
+      return;
+    }
+    if (name === 'pre' || name === 'listing') {
+      this._closePIfInButtonScope();
+      this._insertElement(token);
+      this.skipNextNewline = true;
+      return;
+    }
+    if (name === 'form') {
+      if (this.formElement) {
+        this._ignoreToken(token);
+        return;
+      }
+      this._closePIfInButtonScope();
+      this.formElement = this._insertElement(token);
+      return;
+    }
+    if (name === 'li' || name === 'dd' || name === 'dt') {
+      // 열려 있는 같은 종류의 목록 항목을 먼저 닫음
+      const siblings = name === 'li' ? ['li'] : ['dd', 'dt'];
+      for (let i = this.openElements.length - 1; i >= 0; i--) {
+        const nodeName = this.openElements[i].localName;
+        if (siblings.includes(nodeName)) {
+          this._generateImpliedEndTags(nodeName);
+          this._popUntil(nodeName);
+          break;
+        }
+        if (isSpecialElement(this.openElements[i]) && !['address', 'div', 'p'].includes(nodeName)) break;
+      }
+      this._closePIfInButtonScope();
+      this._insertElement(token);
+      return;
+    }
+    if (name === 'plaintext') {
+      this._closePIfInButtonScope();
+      this._insertElement(token);
+      this.tokenizer.state = HTMLTokenizer.PLAINTEXT;
+      return;
+    }
+    if (name === 'button') {
+      if (this._inScope('button')) {
+        this._generateImpliedEndTags();
+        this._popUntil('button');
+      }
+      this._reconstructActiveFormatting();
+      this._insertElement(token);
+      return;
+    }
+    if (name === 'a') {
+      // 닫히지 않은 <a> 안에 <a>가 오면 먼저 닫음
+      for (let i = this.activeFormatting.length - 1; i >= 0; i--) {
+        const entry = this.activeFormatting[i];
+        if (entry === FORMATTING_MARKER) break;
+        if (entry.element.localName === 'a') {
+          this._adoptionAgency('a');
+          const index = this._formattingIndexOf(entry.element);
+          if (index !== -1) this.activeFormatting.splice(index, 1);
+          this._removeFromStack(entry.element);
+          break;
+        }
+      }
+    }
+    if (FORMATTING_ELEMENTS.has(name)) {
+      this._reconstructActiveFormatting();
+      if (name === 'nobr' && this._inScope('nobr')) {
+        this._adoptionAgency('nobr');
+        this._reconstructActiveFormatting();
+      }
+      const element = this._insertElement(token);
+      this._pushActiveFormatting(element, token);
+      return;
+    }
+    if (name === 'applet' || name === 'marquee' || name === 'object') {
+      this._reconstructActiveFormatting();
+      this._insertElement(token);
+      this.activeFormatting.push(FORMATTING_MARKER);
+      return;
+    }
+    if (name === 'table') {
+      this._closePIfInButtonScope();
+      this._insertElement(token);
+      this.insertionMode = 'inTable';
+      return;
+    }
+    if (['area', 'br', 'embed', 'img', 'keygen', 'wbr', 'input'].includes(name)) {
+      this._reconstructActiveFormatting();
+      this._insertVoidElement(token);
+      return;
+    }
+    if (name === 'param' || name === 'source' || name === 'track') {
+      this._insertVoidElement(token);
+      return;
+    }
+    if (name === 'hr') {
+      this._closePIfInButtonScope();
+      this._insertVoidElement(token);
+      return;
+    }
+    if (name === 'image') {
+      this._inBodyStartTag({ ...token, name: 'img' });
+      return;
+    }
+    if (name === 'textarea') {
+      this._parseRawText(token);
+      this.skipNextNewline = true;
+      return;
+    }
+    if (name === 'xmp') {
+      this._closePIfInButtonScope();
+      this._reconstructActiveFormatting();
+      this._parseRawText(token);
+      return;
+    }
+    if (name === 'iframe' || name === 'noembed' || name === 'noscript') {
+      this._parseRawText(token);
+      return;
+    }
+    if (name === 'select') {
+      this._reconstructActiveFormatting();
+      this._insertElement(token);
+      const inTableModes = ['inTable', 'inCaption', 'inTableBody', 'inRow', 'inCell'];
+      this.insertionMode = inTableModes.includes(this.insertionMode) ? 'inSelectInTable' : 'inSelect';
+      return;
+    }
+    if (name === 'optgroup' || name === 'option') {
+      if (this.currentNode.localName === 'option') {
+        this._pop();
+      }
+      this._reconstructActiveFormatting();
+      this._insertElement(token);
+      return;
+    }
+    if (name === 'rb' || name === 'rtc' || name === 'rp' || name === 'rt') {
+      if (this._inScope('ruby')) {
+        this._generateImpliedEndTags(name === 'rp' || name === 'rt' ? 'rtc' : null);
+      }
+      this._insertElement(token);
+      return;
+    }
+    if (['caption', 'col', 'colgroup', 'frame', 'frameset', 'head', 'tbody', 'td',
+      'tfoot', 'th', 'thead', 'tr'].includes(name)) {
+      this._ignoreToken(token);
+      return;
+    }
+
+    if (name === 'svg' || name === 'math') {
+      this._reconstructActiveFormatting();
+      this._insertForeignElement(token, name === 'svg' ? SVG_NAMESPACE : MATHML_NAMESPACE);
+      return;
+    }
+
+    this._reconstructActiveFormatting();
+    this._insertElement(token);
+  }
+
+  _inBodyEndTag(token) {
+    const name = token.name;
+
+    if (name === 'template') {
+      this._processIn('inHead', token);
+      return;
+    }
+    if (name === 'body' || name === 'html') {
+      if (!this._inScope('body')) {
+        this._ignoreToken(token);
+        return;
+      }
+      this.insertionMode = 'afterBody';
+      if (name === 'html') this._process(token);
+      return;
+    }
+    if (CLOSES_P_ELEMENTS.has(name) && name !== 'p'
+      || ['button', 'listing', 'pre'].includes(name)) {
+      if (!this._inScope(name)) {
+        this._ignoreToken(token);
+        return;
+      }
+      this._generateImpliedEndTags();
+      this._popUntil(name);
+      return;
+    }
+    if (name === 'form') {
+      const form = this.formElement;
+      this.formElement = null;
+      if (!form || !this._inScope(form)) {
+        this._ignoreToken(token);
+        return;
+      }
+      this._generateImpliedEndTags();
+      this._removeFromStack(form);
+      return;
+    }
+    if (name === 'p') {
+      // 짝이 없는 </p>는 빈 <p></p>로 취급
+      if (!this._inScope('p', BUTTON_SCOPE)) {
+        this._ignoreToken(token);
+        this._insertSyntheticElement('p');
+      }
+      this._closePElement();
+      return;
+    }
+    if (name === 'li') {
+      if (!this._inScope('li', LIST_ITEM_SCOPE)) {
+        this._ignoreToken(token);
+        return;
+      }
+      this._generateImpliedEndTags('li');
+      this._popUntil('li');
+      return;
+    }
+    if (name === 'dd' || name === 'dt') {
+      if (!this._inScope(name)) {
+        this._ignoreToken(token);
+        return;
+      }
+      this._generateImpliedEndTags(name);
+      this._popUntil(name);
+      return;
+    }
+    if (HEADING_ELEMENTS.has(name)) {
+      if (!this._inScope(HEADING_ELEMENTS)) {
+        this._ignoreToken(token);
+        return;
+      }
+      this._generateImpliedEndTags();
+      this._popUntil(HEADING_ELEMENTS);
+      return;
+    }
+    if (FORMATTING_ELEMENTS.has(name)) {
+      if (this._adoptionAgency(name)) return;
+    }
+    if (name === 'applet' || name === 'marquee' || name === 'object') {
+      if (!this._inScope(name)) {
+        this._ignoreToken(token);
+        return;
+      }
+      this._generateImpliedEndTags();
+      this._popUntil(name);
+      this._clearActiveFormattingToMarker();
+      return;
+    }
+    if (name === 'br') {
+      // </br>은 <br>로 취급
+      this._inBodyStartTag({ type: 'startTag', name: 'br', attrs: [], selfClosing: false });
+      return;
+    }
+
+    this._anyOtherEndTag(name);
+  }
+
+  _anyOtherEndTag(name) {
+    for (let i = this.openElements.length - 1; i >= 0; i--) {
+      const node = this.openElements[i];
+      if (isHTMLElement(node, name)) {
+        this._generateImpliedEndTags(name);
+        this._popTo(i);
+        return;
+      }
+      if (isSpecialElement(node)) {
+        this._parseError('unexpected-end-tag', name);
+        return;
+      }
+    }
+  }
+
+  textMode(token) {
+    if (token.type === 'character') {
+      this._insertText(token.data);
+      return;
+    }
+    if (token.type === 'eof') {
+      const element = this._pop();
+      this._parseError('unclosed-element', element.localName, this.startOffsets.get(element));
+      this._reprocess(this.originalInsertionMode, token);
+      return;
+    }
+    if (token.type === 'endTag') {
+      this._pop();
+      this.insertionMode = this.originalInsertionMode;
+    }
+  }
+
+  inTableMode(token) {
+    if (token.type === 'character' && TABLE_CONTEXT_ELEMENTS.has(this.currentNode.localName)) {
+      this.pendingTableText = [];
+      this.originalInsertionMode = this.insertionMode;
+      this._reprocess('inTableText', token);
+      return;
+    }
+    if (token.type === 'comment') {
+      this._insertComment(token);
+      return;
+    }
+    if (token.type === 'doctype') return;
+
+    const tableContext = new Set(['table', 'template', 'html']);
+
+    if (token.type === 'startTag') {
+      switch (token.name) {
+        case 'caption':
+          this._clearStackBackTo(tableContext);
+          this.activeFormatting.push(FORMATTING_MARKER);
+          this._insertElement(token);
+          this.insertionMode = 'inCaption';
+          return;
+        case 'colgroup':
+          this._clearStackBackTo(tableContext);
+          this._insertElement(token);
+          this.insertionMode = 'inColumnGroup';
+          return;
+        case 'col':
+          this._clearStackBackTo(tableContext);
+          this._insertSyntheticElement('colgroup');
+          this._reprocess('inColumnGroup', token);
+          return;
+        case 'tbody': case 'tfoot': case 'thead':
+          this._clearStackBackTo(tableContext);
+          this._insertElement(token);
+          this.insertionMode = 'inTableBody';
+          return;
+        case 'td': case 'th': case 'tr':
+          this._clearStackBackTo(tableContext);
+          this._insertSyntheticElement('tbody');
+          this._reprocess('inTableBody', token);
+          return;
+        case 'table':
+          // 테이블 안의 <table>은 이전 테이블을 닫음
+          if (!this._inScope('table', TABLE_SCOPE)) {
+            this._ignoreToken(token);
+            return;
+          }
+          this._popUntil('table');
+          this._resetInsertionMode();
+          this._process(token);
+          return;
+        case 'style': case 'script': case 'template':
+          this._processIn('inHead', token);
+          return;
+        case 'input': {
+          const type = token.attrs.find(attr => attr.name === 'type');
+          if (type && type.value.toLowerCase() === 'hidden') {
+            this._insertVoidElement(token);
+            return;
+          }
+          break;
+        }
+        case 'form':
+          if (this.formElement) {
+            this._ignoreToken(token);
+            return;
+          }
+          this.formElement = this._insertElement(token);
+          this._pop();
+          return;
+      }
+    }
+
+    if (token.type === 'endTag') {
+      if (token.name === 'table') {
+        if (!this._inScope('table', TABLE_SCOPE)) {
+          this._ignoreToken(token);
+          return;
+        }
+        this._popUntil('table');
+        this._resetInsertionMode();
+        return;
+      }
+      if (token.name === 'template') {
+        this._processIn('inHead', token);
+        return;
+      }
+      if (['body', 'caption', 'col', 'colgroup', 'html', 'tbody', 'td', 'tfoot', 'th',
+        'thead', 'tr'].includes(token.name)) {
+        return;
+      }
+    }
+
+    if (token.type === 'eof') {
+      this._processIn('inBody', token);
+      return;
+    }
+
+    // 테이블에 들어갈 수 없는 내용은 테이블 앞으로 (foster parenting)
+    this.fosterParenting = true;
+    this._processIn('inBody', token);
+    this.fosterParenting = false;
+  }
+
+  inTableTextMode(token) {
+    if (token.type === 'character') {
+      this.pendingTableText.push(token);
+      return;
+    }
+
+    const pending = this.pendingTableText;
+    const text = pending.map(character => character.data).join('');
+    this.pendingTableText = [];
+
+    if (text) {
+      const range = { start: pending[0].start, end: pending[pending.length - 1].end };
+      if (trimLeadingWhitespace(text)) {
+        this.fosterParenting = true;
+        this._reconstructActiveFormatting();
+        this._insertText(text, range);
+        this.fosterParenting = false;
+      } else {
+        this._insertText(text, range);
+      }
+    }
+
+    this._reprocess(this.originalInsertionMode, token);
+  }
+
+  inCaptionMode(token) {
+    const closesCaption = token.type === 'startTag'
+      && ['caption', 'col', 'colgroup', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr'].includes(token.name)
+      || token.type === 'endTag' && token.name === 'table';
+
+    if (token.type === 'endTag' && token.name === 'caption' || closesCaption) {
+      if (!this._inScope('caption', TABLE_SCOPE)) {
+        this._ignoreToken(token);
+        return;
+      }
+      this._generateImpliedEndTags();
+      this._popUntil('caption');
+      this._clearActiveFormattingToMarker();
+      this.insertionMode = 'inTable';
+      if (closesCaption) this._process(token);
+      return;
+    }
+
+    if (token.type === 'endTag' && ['body', 'col', 'colgroup', 'html', 'tbody', 'td',
+      'tfoot', 'th', 'thead', 'tr'].includes(token.name)) {
+      return;
+    }
+
+    this._processIn('inBody', token);
+  }
+
+  inColumnGroupMode(token) {
+    if (token.type === 'character') {
+      const rest = this._insertLeadingWhitespace(token.data);
+      if (!rest) return;
+      token = remainingCharacters(token, rest);
+    }
+    if (token.type === 'comment') {
+      this._insertComment(token);
+      return;
+    }
+    if (token.type === 'doctype') return;
+
+    if (token.type === 'startTag' && token.name === 'html') {
+      this._processIn('inBody', token);
+      return;
+    }
+    if (token.type === 'startTag' && token.name === 'col') {
+      this._insertVoidElement(token);
+      return;
+    }
+    if (token.type === 'endTag' && token.name === 'col') {
+      this._ignoreToken(token);
+      return;
+    }
+    if (token.name === 'template' && (token.type === 'startTag' || token.type === 'endTag')) {
+      this._processIn('inHead', token);
+      return;
+    }
+    if (token.type === 'eof') {
+      this._processIn('inBody', token);
+      return;
+    }
+
+    if (this.currentNode.localName !== 'colgroup') {
+      this._ignoreToken(token);
+      return;
+    }
+    this._pop();
+    this.insertionMode = 'inTable';
+    if (!(token.type === 'endTag' && token.name === 'colgroup')) {
+      this._process(token);
+    }
+  }
+
+  inTableBodyMode(token) {
+    const tableBodyContext = new Set(['tbody', 'tfoot', 'thead', 'template', 'html']);
+    const sections = new Set(['tbody', 'tfoot', 'thead']);
+
+    if (token.type === 'startTag' && token.name === 'tr') {
+      this._clearStackBackTo(tableBodyContext);
+      this._insertElement(token);
+      this.insertionMode = 'inRow';
+      return;
+    }
+    if (token.type === 'startTag' && (token.name === 'th' || token.name === 'td')) {
+      this._clearStackBackTo(tableBodyContext);
+      this._insertSyntheticElement('tr');
+      this._reprocess('inRow', token);
+      return;
+    }
+    if (token.type === 'endTag' && sections.has(token.name)) {
+      if (!this._inScope(token.name, TABLE_SCOPE)) {
+        this._ignoreToken(token);
+        return;
+      }
+      this._clearStackBackTo(tableBodyContext);
+      this._pop();
+      this.insertionMode = 'inTable';
+      return;
+    }
+    if (token.type === 'startTag' && ['caption', 'col', 'colgroup', 'tbody', 'tfoot', 'thead'].includes(token.name)
+      || token.type === 'endTag' && token.name === 'table') {
+      if (!this._inScope(sections, TABLE_SCOPE)) {
+        this._ignoreToken(token);
+        return;
+      }
+      this._clearStackBackTo(tableBodyContext);
+      this._pop();
+      this._reprocess('inTable', token);
+      return;
+    }
+    if (token.type === 'endTag' && ['body', 'caption', 'col', 'colgroup', 'html', 'td',
+      'th', 'tr'].includes(token.name)) {
+      return;
+    }
+
+    this._processIn('inTable', token);
+  }
+
+  inRowMode(token) {
+    const rowContext = new Set(['tr', 'template', 'html']);
+
+    if (token.type === 'startTag' && (token.name === 'th' || token.name === 'td')) {
+      this._clearStackBackTo(rowContext);
+      this._insertElement(token);
+      this.insertionMode = 'inCell';
+      this.activeFormatting.push(FORMATTING_MARKER);
+      return;
+    }
+    if (token.type === 'endTag' && token.name === 'tr') {
+      if (!this._inScope('tr', TABLE_SCOPE)) {
+        this._ignoreToken(token);
+        return;
+      }
+      this._clearStackBackTo(rowContext);
+      this._pop();
+      this.insertionMode = 'inTableBody';
+      return;
+    }
+    if (token.type === 'startTag' && ['caption', 'col', 'colgroup', 'tbody', 'tfoot', 'thead', 'tr'].includes(token.name)
+      || token.type === 'endTag' && ['table', 'tbody', 'tfoot', 'thead'].includes(token.name)) {
+      if (token.type === 'endTag' && token.name !== 'table' && !this._inScope(token.name, TABLE_SCOPE)) {
+        this._ignoreToken(token);
+        return;
+      }
+      if (!this._inScope('tr', TABLE_SCOPE)) {
+        this._ignoreToken(token);
+        return;
+      }
+      this._clearStackBackTo(rowContext);
+      this._pop();
+      this._reprocess('inTableBody', token);
+      return;
+    }
+    if (token.type === 'endTag' && ['body', 'caption', 'col', 'colgroup', 'html', 'td', 'th'].includes(token.name)) {
+      return;
+    }
+
+    this._processIn('inTable', token);
+  }
+
+  inCellMode(token) {
+    if (token.type === 'endTag' && (token.name === 'td' || token.name === 'th')) {
+      if (!this._inScope(token.name, TABLE_SCOPE)) {
+        this._ignoreToken(token);
+        return;
+      }
+      this._generateImpliedEndTags();
+      this._popUntil(token.name);
+      this._clearActiveFormattingToMarker();
+      this.insertionMode = 'inRow';
+      return;
+    }
+    if (token.type === 'startTag' && ['caption', 'col', 'colgroup', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr'].includes(token.name)) {
+      if (!this._inScope(new Set(['td', 'th']), TABLE_SCOPE)) {
+        this._ignoreToken(token);
+        return;
+      }
+      this._closeCell();
+      this._process(token);
+      return;
+    }
+    if (token.type === 'endTag' && ['body', 'caption', 'col', 'colgroup', 'html'].includes(token.name)) {
+      return;
+    }
+    if (token.type === 'endTag' && ['table', 'tbody', 'tfoot', 'thead', 'tr'].includes(token.name)) {
+      if (!this._inScope(token.name, TABLE_SCOPE)) {
+        this._ignoreToken(token);
+        return;
+      }
+      this._closeCell();
+      this._process(token);
+      return;
+    }
+
+    this._processIn('inBody', token);
+  }
+
+  _closeCell() {
+    this._generateImpliedEndTags();
+    this._popUntil(new Set(['td', 'th']));
+    this._clearActiveFormattingToMarker();
+    this.insertionMode = 'inRow';
+  }
+
+  inSelectMode(token) {
+    if (token.type === 'character') {
+      this._insertText(token.data);
+      return;
+    }
+    if (token.type === 'comment') {
+      this._insertComment(token);
+      return;
+    }
+    if (token.type === 'eof') {
+      this._processIn('inBody', token);
+      return;
+    }
+
+    if (token.type === 'startTag') {
+      switch (token.name) {
+        case 'html':
+          this._processIn('inBody', token);
+          return;
+        case 'option':
+          if (this.currentNode.localName === 'option') this._pop();
+          this._insertElement(token);
+          return;
+        case 'optgroup':
+        case 'hr':
+          if (this.currentNode.localName === 'option') this._pop();
+          if (this.currentNode.localName === 'optgroup') this._pop();
+          if (token.name === 'hr') {
+            this._insertVoidElement(token);
+          } else {
+            this._insertElement(token);
+          }
+          return;
+        case 'select':
+          if (!this._inSelectScope('select')) {
+            this._ignoreToken(token);
+            return;
+          }
+          this._popUntil('select');
+          this._resetInsertionMode();
+          return;
+        case 'input': case 'keygen': case 'textarea':
+          if (!this._inSelectScope('select')) {
+            this._ignoreToken(token);
+            return;
+          }
+          this._popUntil('select');
+          this._resetInsertionMode();
+          this._process(token);
+          return;
+        case 'script': case 'template':
+          this._processIn('inHead', token);
+          return;
+      }
+    }
+
+    if (token.type === 'endTag') {
+      switch (token.name) {
+        case 'template':
+          this._processIn('inHead', token);
+          return;
+        case 'optgroup': {
+          const previous = this.openElements[this.openElements.length - 2];
+          if (this.currentNode.localName === 'option' && previous.localName === 'optgroup') {
+            this._pop();
+          }
+          if (this.currentNode.localName === 'optgroup') this._pop();
+          return;
+        }
+        case 'option':
+          if (this.currentNode.localName === 'option') this._pop();
+          return;
+        case 'select':
+          if (!this._inSelectScope('select')) {
+            this._ignoreToken(token);
+            return;
+          }
+          this._popUntil('select');
+          this._resetInsertionMode();
+          return;
+      }
+    }
+  }
+
+  inSelectInTableMode(token) {
+    const tableElements = ['caption', 'table', 'tbody', 'tfoot', 'thead', 'tr', 'td', 'th'];
+
+    if (tableElements.includes(token.name) && (token.type === 'startTag' || token.type === 'endTag')) {
+      if (token.type === 'endTag' && !this._inScope(token.name, TABLE_SCOPE)) {
+        this._ignoreToken(token);
+        return;
+      }
+      this._popUntil('select');
+      this._resetInsertionMode();
+      this._process(token);
+      return;
+    }
+
+    this._processIn('inSelect', token);
+  }
+
+  inTemplateMode(token) {
+    if (token.type === 'character' || token.type === 'comment' || token.type === 'doctype') {
+      this._processIn('inBody', token);
+      return;
+    }
+    if (token.type === 'startTag' && ['base', 'basefont', 'bgsound', 'link', 'meta', 'noframes',
+      'script', 'style', 'template', 'title'].includes(token.name)
+      || token.type === 'endTag' && token.name === 'template') {
+      this._processIn('inHead', token);
+      return;
+    }
+    if (token.type === 'startTag') {
+      // 첫 시작 태그로 template 내용의 문맥을 정함 (예: <tr>이면 테이블 본문)
+      const mode = {
+        caption: 'inTable',
+        colgroup: 'inTable',
+        tbody: 'inTable',
+        tfoot: 'inTable',
+        thead: 'inTable',
+        col: 'inColumnGroup',
+        tr: 'inTableBody',
+        td: 'inRow',
+        th: 'inRow'
+      }[token.name] || 'inBody';
+      this.templateModes[this.templateModes.length - 1] = mode;
+      this._reprocess(mode, token);
+      return;
+    }
+    if (token.type === 'endTag') {
+      this._ignoreToken(token);
+      return;
+    }
+
+    // 입력이 끝났는데 template이 열려 있으면 닫고 바깥 문맥에서 다시 처리
+    const templateIndex = this._lastIndexOf('template');
+    if (templateIndex === -1) {
+      this._reportUnclosedAtEOF();
+      this.stopped = true;
+      return;
+    }
+    const template = this.openElements[templateIndex];
+    this._parseError('unclosed-element', 'template', this.startOffsets.get(template));
+    this._closeTemplate(token);
+    this._process(token);
+  }
+
+  /**
+   * </template> 처리 - template까지 닫고 insertion mode를 다시 정함
+   */
+  _closeTemplate(token) {
+    const templateIndex = this._lastIndexOf('template');
+    if (templateIndex === -1) {
+      this._ignoreToken(token);
+      return;
+    }
+    while (IMPLIED_END_TAGS_THOROUGHLY.has(this.currentNode.localName)) {
+      this._pop();
+    }
+    this._popTo(templateIndex);
+    this._clearActiveFormattingToMarker();
+    this.templateModes.pop();
+    this._resetInsertionMode();
+  }
+
+  afterBodyMode(token) {
+    if (token.type === 'character' && !trimLeadingWhitespace(token.data)
+      || token.type === 'startTag' && token.name === 'html') {
+      this._processIn('inBody', token);
+      return;
+    }
+    if (token.type === 'comment') {
+      this._insertComment(token, this.openElements[0]);
+      return;
+    }
+    if (token.type === 'doctype') return;
+    if (token.type === 'endTag' && token.name === 'html') {
+      if (!this.context) this.insertionMode = 'afterAfterBody';
+      return;
+    }
+    if (token.type === 'eof') {
+      this.stopped = true;
+      return;
+    }
+
+    this._reprocess('inBody', token);
+  }
+
+  afterAfterBodyMode(token) {
+    if (token.type === 'comment') {
+      this._insertComment(token, this.document);
+      return;
+    }
+    if (token.type === 'doctype') return;
+    if (token.type === 'character' && !trimLeadingWhitespace(token.data)
+      || token.type === 'startTag' && token.name === 'html') {
+      this._processIn('inBody', token);
+      return;
+    }
+    if (token.type === 'eof') {
+      this.stopped = true;
+      return;
+    }
+
+    this._reprocess('inBody', token);
+  }
+
+  // ----------------------------------------------------------
+  // 외부 콘텐츠 (SVG, MathML)
+  // ----------------------------------------------------------
+
+  /**
+   * rules for parsing tokens in foreign content
+   */
+  _processForeignContent(token) {
+    if (token.type === 'character') {
+      this._insertText(token.data);
+      return;
+    }
+    if (token.type === 'comment') {
+      this._insertComment(token);
+      return;
+    }
+    if (token.type === 'doctype') return;
+
+    if (token.type === 'startTag' && breaksOutOfForeignContent(token)
+      || token.type === 'endTag' && (token.name === 'br' || token.name === 'p')) {
+      // HTML 요소가 나오면 외부 콘텐츠를 닫고 HTML 규칙으로 다시 처리
+      this._ignoreToken(token);
+      while (this.currentNode.namespaceURI !== HTML_NAMESPACE
+        && !isMathMLTextIntegrationPoint(this.currentNode)
+        && !isHTMLIntegrationPoint(this.currentNode)) {
+        this._pop();
+      }
+      this._processIn(this.insertionMode, token);
+      return;
+    }
+    if (token.type === 'startTag') {
+      this._insertForeignElement(token, this.adjustedCurrentNode.namespaceURI);
+      return;
+    }
+
+    // 종료 태그는 이름이 같은 외부 요소까지 닫고, 그 전에 HTML 요소를 만나면 HTML 규칙으로
+    for (let i = this.openElements.length - 1; i > 0; i--) {
+      const node = this.openElements[i];
+      if (node.namespaceURI === HTML_NAMESPACE) {
+        this._processIn(this.insertionMode, token);
+        return;
+      }
+      if (node.localName.toLowerCase() === token.name) {
+        while (this.openElements.length > i) {
+          this._pop();
+        }
+        return;
+      }
+    }
+    this._ignoreToken(token);
+  }
+
+  /**
+   * 문자 토큰 앞쪽의 공백은 그대로 삽입하고 나머지 문자열을 반환
+   */
+  _insertLeadingWhitespace(data) {
+    const rest = trimLeadingWhitespace(data);
+    if (rest.length < data.length) {
+      const { start } = this.currentToken;
+      const whitespace = data.slice(0, data.length - rest.length);
+      this._insertText(whitespace, { start, end: start + whitespace.length });
+    }
+    return rest;
+  }
+}
+
+/**
+ * 문서의 parserOptions를 트리 빌더 옵션으로 변환
+ */
+function builderOptions(doc) {
+  const { collectErrors, sourceLocations } = doc.parserOptions;
+  return { sourceLocations, errors: collectErrors ? doc.parseErrors : null };
+}
+
+function trimLeadingWhitespace(data) {
+  return data.replace(/^[ \t\n\f\r]+/, '');
+}
+
+/**
+ * 문자 토큰의 앞부분을 처리하고 남은 뒷부분을 새 토큰으로
+ */
+function remainingCharacters(token, rest) {
+  return { type: 'character', data: rest, start: token.end - rest.length, end: token.end };
+}
+
+function sameAttributes(a, b) {
+  if (a.attrs.length !== b.attrs.length) return false;
+  return a.attrs.every(attr => b.attrs.some(other => other.name === attr.name && other.value === attr.value));
+}
+
+/**
+ * 중복된 <html>, <body> 시작 태그의 속성 중 없는 것만 기존 요소에 추가
+ */
+function addMissingAttributes(element, token) {
+  for (const { name, value } of token.attrs) {
+    if (!element.hasAttribute(name)) {
+      element.setAttribute(name, value);
+    }
+  }
+}
+
+function isHTMLElement(node, name) {
+  return node.namespaceURI === HTML_NAMESPACE && node.localName === name;
+}
+
+/**
+ * special 요소 - HTML 요소 목록과 SVG/MathML의 integration point
+ */
+function isSpecialElement(node) {
+  if (node.namespaceURI === HTML_NAMESPACE) return SPECIAL_ELEMENTS.has(node.localName);
+  return isMathMLTextIntegrationPoint(node)
+    || node.namespaceURI === MATHML_NAMESPACE && node.localName === 'annotation-xml'
+    || node.namespaceURI === SVG_NAMESPACE && SVG_HTML_INTEGRATION_POINTS.has(node.localName);
+}
+
+function isMathMLTextIntegrationPoint(node) {
+  return node.namespaceURI === MATHML_NAMESPACE && MATHML_TEXT_INTEGRATION_POINTS.has(node.localName);
+}
+
+function isHTMLIntegrationPoint(node) {
+  if (node.namespaceURI === SVG_NAMESPACE) return SVG_HTML_INTEGRATION_POINTS.has(node.localName);
+  if (node.namespaceURI === MATHML_NAMESPACE && node.localName === 'annotation-xml') {
+    const encoding = (node.getAttribute('encoding') || '').toLowerCase();
+    return encoding === 'text/html' || encoding === 'application/xhtml+xml';
+  }
+  return false;
+}
+
+/**
+ * 외부 콘텐츠 안에서 HTML로 빠져나가게 하는 시작 태그인지
+ * <font>는 color, face, size 속성이 있을 때만 해당
+ */
+function breaksOutOfForeignContent(token) {
+  if (FOREIGN_BREAKOUT_ELEMENTS.has(token.name)) return true;
+  return token.name === 'font'
+    && token.attrs.some(attr => attr.name === 'color' || attr.name === 'face' || attr.name === 'size');
+}
+
+/**
+ * 외부 요소 토큰의 태그/속성 이름을 네임스페이스에 맞는 대소문자로 (viewbox → viewBox)
+ */
+function adjustForeignToken(token, namespace) {
+  const svg = namespace === SVG_NAMESPACE;
+  const attributeNames = svg ? SVG_ATTRIBUTE_ADJUSTMENTS : MATHML_ATTRIBUTE_ADJUSTMENTS;
+  return {
+    ...token,
+    name: svg && SVG_TAG_NAME_ADJUSTMENTS.get(token.name) || token.name,
+    attrs: token.attrs.map(attr => attributeNames.has(attr.name)
+      ? { ...attr, name: attributeNames.get(attr.name) }
+      : attr)
+  };
+}
+
+/**
+ * HTML 조각 파싱 (innerHTML setter에서 사용)
+ * context가 문서에 속해 있으면 그 문서의 parserOptions를 따르고 오류도 그 문서에 수집
+ * @param {string} html
+ * @param {Element} context - 조각이 들어갈 요소 (토크나이저 초기 상태와 insertion mode 결정)
+ * @returns {Node[]} 최상위 노드 목록
+ */
+function parseHTMLFragment(html, context) {
+  let root = context;
+  while (root.parentNode) {
+    root = root.parentNode;
+  }
+
+  const options = root instanceof Document ? builderOptions(root) : {};
+  const builder = new HTMLTreeBuilder(new HTMLTokenizer(html), new Document(), context, options);
+  builder.run();
+  return [...builder.document.firstChild.childNodes];
+}
+
+/**
+ * HTML 문서 전체 파싱 - <html>, <head>, <body>가 없으면 암묵적으로 생성
+ * @param {string} html
+ * @param {Object} [parserOptions] - { collectErrors, sourceLocations }
+ * @returns {Document}
+ */
+function parseHTMLDocument(html, parserOptions = {}) {
+  const doc = new Document();
+  Object.assign(doc.parserOptions, parserOptions);
+
+  const builder = new HTMLTreeBuilder(new HTMLTokenizer(html), doc, null, builderOptions(doc));
+  builder.run();
+
+  return doc;
+}
+
+
+// ============================================================
+// 20. XML 파서 - 토크나이저를 XML 모드로 재사용
+// ============================================================
+/**
+ * HTML과 달리 오류 복구를 하지 않음: 문서가 well-formed가 아니면
+ * <parsererror> 요소 하나만 가진 문서를 반환 (브라우저 동작과 같음)
+ */
+const PARSER_ERROR_NAMESPACE = 'http://www.mozilla.org/newlayout/xml/parsererror.xml';
+
+class XMLParseError extends Error {
+  constructor(code, message, offset) {
+    super(message);
+    this.code = code;
+    this.offset = offset;
+  }
+}
+
+/**
+ * XML 문서 파싱
+ * @param {string} xml
+ * @param {string} contentType
+ * @param {Object} [parserOptions] - { collectErrors, sourceLocations }
+ * @returns {Document}
+ */
+function parseXMLDocument(xml, contentType, parserOptions = {}) {
+  const doc = new Document(contentType);
+  Object.assign(doc.parserOptions, parserOptions);
+
+  // XML에서는 토크나이저 오류도 모두 치명적 (well-formedness 위반)
+  const tokenizer = new HTMLTokenizer(xml, {
+    xml: true,
+    onError(code, offset, detail) {
+      throw new XMLParseError(code, describeParseError(code, detail), offset);
+    }
+  });
+
+  try {
+    buildXMLTree(tokenizer, doc);
+  } catch (e) {
+    if (!(e instanceof XMLParseError)) throw e;
+
+    const errorDoc = createParserErrorDocument(e.message, contentType);
+    errorDoc.parserOptions = doc.parserOptions;
+    if (doc.parserOptions.collectErrors) {
+      const { line, column } = tokenizer.locate(e.offset);
+      const offset = tokenizer.sourceOffset(e.offset);
+      errorDoc.parseErrors.push({ code: e.code, message: e.message, line, column, offset });
+    }
+    return errorDoc;
+  }
+
+  return doc;
+}
+
+function buildXMLTree(tokenizer, doc) {
+  const { sourceLocations } = doc.parserOptions;
+  const openElements = [];
+  // 요소마다 유효한 prefix → 네임스페이스 매핑
+  const scopes = [{ xml: XML_NAMESPACE, xmlns: XMLNS_NAMESPACE, '': null }];
+
+  for (;;) {
+    const token = tokenizer.nextToken();
+    const current = openElements[openElements.length - 1] || doc;
+    const fail = (code, message) => {
+      throw new XMLParseError(code, message, token.start);
+    };
+    // sourceLocation은 원래 입력 기준 오프셋
+    const start = tokenizer.sourceOffset(token.start);
+    const end = tokenizer.sourceOffset(token.end);
+    const appendLeaf = (node) => {
+      if (sourceLocations) node.sourceLocation = { start, end };
+      current.appendChild(node);
+    };
+
+    switch (token.type) {
+      case 'doctype':
+        if (doc.documentElement) {
+          fail('unexpected-doctype', 'DOCTYPE must appear before the root element');
+        }
+        appendLeaf(new DocumentType(token.name, token.publicId || '', token.systemId || ''));
+        break;
+
+      case 'comment':
+        appendLeaf(new Comment(token.data));
+        break;
+
+      case 'processingInstruction':
+        // XML 선언 <?xml version="1.0"?>은 노드로 만들지 않음
+        if (token.target.toLowerCase() !== 'xml') {
+          appendLeaf(new ProcessingInstruction(token.target, token.data));
+        }
+        break;
+
+      case 'startTag': {
+        if (!openElements.length && doc.documentElement) {
+          fail('extra-content', 'Extra content at the end of the document');
+        }
+
+        const scope = { ...scopes[scopes.length - 1] };
+        for (const { name, value } of token.attrs) {
+          if (name === 'xmlns') scope[''] = value || null;
+          if (name.startsWith('xmlns:')) scope[name.slice(6)] = value;
+        }
+
+        const colon = token.name.indexOf(':');
+        const prefix = colon === -1 ? '' : token.name.slice(0, colon);
+        if (!(prefix in scope)) {
+          fail('unbound-namespace-prefix', `Namespace prefix ${prefix} is not defined`);
+        }
+
+        const element = new Element(token.name, scope[prefix]);
+        for (const { name, value } of token.attrs) {
+          element.setAttribute(name, value);
+        }
+        if (sourceLocations) {
+          element.sourceLocation = { start, end };
+        }
+        current.appendChild(element);
+
+        if (!token.selfClosing) {
+          openElements.push(element);
+          scopes.push(scope);
+        }
+        break;
       }
-      return results.concat(this.documentElement.querySelectorAll(selector));
+
+      case 'endTag':
+        // XML은 대소문자를 구분하므로 한정된 이름을 그대로 비교
+        if (!openElements.length || current._qualifiedName !== token.name) {
+          fail('mismatched-end-tag', `Opening and ending tag mismatch: ${token.name}`);
+        }
+        if (sourceLocations) {
+          current.sourceLocation.end = end;
+        }
+        openElements.pop();
+        scopes.pop();
+        break;
+
+      case 'character':
+        if (!openElements.length) {
+          if (trimLeadingWhitespace(token.data)) {
+            fail('content-outside-root', 'Content is not allowed outside the root element');
+          }
+          break;
+        }
+        if (current.lastChild instanceof Text) {
+          current.lastChild.data += token.data;
+          if (sourceLocations) current.lastChild.sourceLocation.end = end;
+        } else {
+          const text = new Text(token.data);
+          if (sourceLocations) text.sourceLocation = { start, end };
+          current.appendChild(text);
+        }
+        break;
+
+      case 'eof':
+        if (openElements.length) {
+          const element = openElements.pop();
+          throw new XMLParseError('unclosed-element', `Premature end of data in tag ${element._qualifiedName}`, token.start);
+        }
+        if (!doc.documentElement) {
+          fail('empty-document', 'Document is empty');
+        }
+        return;
     }
-    return [];
   }
 }
 
+function createParserErrorDocument(message, contentType) {
+  const doc = new Document(contentType);
+  const error = new Element('parsererror', PARSER_ERROR_NAMESPACE);
+  error.appendChild(new Text(message));
+  doc.appendChild(error);
+  return doc;
+}
+
 
 // ============================================================
-// 7. 사용 예제 및 테스트
+// 21. 사용 예제 및 테스트
 // ============================================================
 function runDemo() {
   console.log('='.repeat(60));
@@ -753,7 +7726,6 @@ function runDemo() {
 
   // 2. DOM 트리 구성
   console.log('\n[2] DOM 트리 구성');
-  doc.documentElement = html;
   doc.appendChild(html);
   html.appendChild(body);
   body.appendChild(div);
@@ -846,7 +7818,15 @@ function runDemo() {
 
 // 모듈 내보내기 (Node.js 환경)
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { EventTarget, Event, Node, Text, Element, Document, runDemo };
+  module.exports = {
+    EventTarget, Event, CustomEvent, UIEvent, MouseEvent, PointerEvent, WheelEvent,
+    KeyboardEvent, FocusEvent, InputEvent, SubmitEvent,
+    DOMException, AbortController, AbortSignal,
+    Node, NodeList, HTMLCollection, CharacterData, Text, Comment, ProcessingInstruction,
+    Element, DocumentType, DocumentFragment, Document,
+    NodeFilter, TreeWalker, NodeIterator, XPathResult, XPathExpression, DOMParser,
+    getSpecificity, runDemo
+  };
 }
 
 // 직접 실행 시에만 데모 실행 (require 시 실행 안 함)
@@ -6,7 +6,15 @@
  */
 
 const assert = require('assert');
-const { EventTarget, Event, Node, Text, Element, Document } = require('./mini-dom');
+const {
+  EventTarget, Event, CustomEvent, UIEvent, MouseEvent, PointerEvent, WheelEvent,
+  KeyboardEvent, FocusEvent, InputEvent, SubmitEvent,
+  DOMException, AbortController, AbortSignal,
+  Node, NodeList, HTMLCollection, CharacterData, Text, Comment, ProcessingInstruction,
+  Element, DocumentType, DocumentFragment, Document,
+  NodeFilter, TreeWalker, NodeIterator, XPathResult, XPathExpression, DOMParser,
+  getSpecificity
+} = require('./mini-dom');
 
 let passed = 0, failed = 0;
 
@@ -217,10 +225,12 @@ describe('Document', () => {
 
   test('getElementsByTagName으로 검색', () => {
     const doc = new Document();
+    const root = doc.createElement('main');
     const div1 = doc.createElement('div');
     const div2 = doc.createElement('div');
-    doc.appendChild(div1);
-    doc.appendChild(div2);
+    doc.appendChild(root);
+    root.appendChild(div1);
+    root.appendChild(div2);
     assert.strictEqual(doc.getElementsByTagName('div').length, 2);
   });
 });
@@ -277,6 +287,1965 @@ describe('Event Propagation', () => {
   });
 });
 
+// ============================================================
+// 7. HTML Parser Tests
+// ============================================================
+describe('HTML Parser', () => {
+  test('innerHTML setter는 태그를 Element로 파싱', () => {
+    const div = new Element('div');
+    div.innerHTML = '<p>hi</p>';
+    assert.strictEqual(div.firstChild.tagName, 'P');
+    assert.strictEqual(div.firstChild.textContent, 'hi');
+  });
+
+  test('속성 값의 모든 따옴표 형식 지원', () => {
+    const div = new Element('div');
+    div.innerHTML = `<input type="text" name='q' value=1 disabled>`;
+    const input = div.firstChild;
+    assert.strictEqual(input.getAttribute('type'), 'text');
+    assert.strictEqual(input.getAttribute('name'), 'q');
+    assert.strictEqual(input.getAttribute('value'), '1');
+    assert.strictEqual(input.getAttribute('disabled'), '');
+  });
+
+  test('void 요소는 자식을 갖지 않음', () => {
+    const div = new Element('div');
+    div.innerHTML = 'a<br>b<img src=x.png/>c';
+    assert.strictEqual(div.childNodes.length, 5);
+    assert.strictEqual(div.childNodes[1].childNodes.length, 0);
+    assert.strictEqual(div.childNodes[2].data, 'b');
+  });
+
+  test('doctype은 버리고 주석은 Comment 노드로 유지', () => {
+    const div = new Element('div');
+    div.innerHTML = '<!DOCTYPE html><!-- <b>x</b> -->text';
+    assert.strictEqual(div.childNodes.length, 2);
+    assert.strictEqual(div.firstChild.data, ' <b>x</b> ');
+    assert.strictEqual(div.textContent, 'text');
+  });
+
+  test('script 내용은 raw text로 처리', () => {
+    const div = new Element('div');
+    div.innerHTML = '<script>if (a<b) { x = "</div>"; }</script>';
+    assert.strictEqual(div.firstChild.textContent, 'if (a<b) { x = "</div>"; }');
+  });
+
+  test('파싱 → 직렬화 왕복', () => {
+    const html = '<ul class="list"><li>one</li><li>two<br></li></ul><hr>';
+    const div = new Element('div');
+    div.innerHTML = html;
+    assert.strictEqual(div.innerHTML, html);
+  });
+
+  test('블록 요소가 열리면 <p>를 자동으로 닫음', () => {
+    const div = new Element('div');
+    div.innerHTML = '<p>1<div>2</div>';
+    assert.strictEqual(div.innerHTML, '<p>1</p><div>2</div>');
+  });
+
+  test('adoption agency로 잘못 중첩된 서식 요소 복구', () => {
+    const div = new Element('div');
+    div.innerHTML = '<b>1<p>2</b>3</p>';
+    assert.strictEqual(div.innerHTML, '<b>1</b><p><b>2</b>3</p>');
+  });
+
+  test('테이블 안의 잘못된 내용은 테이블 앞으로 foster parenting', () => {
+    const div = new Element('div');
+    div.innerHTML = '<table>x<tr><td>a</table>';
+    assert.strictEqual(div.innerHTML, 'x<table><tbody><tr><td>a</td></tr></tbody></table>');
+  });
+
+  test('문서 파싱 시 html/head/body 암묵적 생성', () => {
+    const doc = new DOMParser().parseFromString('<title>T</title><p>hi', 'text/html');
+    assert.strictEqual(doc.documentElement.outerHTML,
+      '<html><head><title>T</title></head><body><p>hi</p></body></html>');
+  });
+
+  test('SVG/MathML 요소는 각자의 네임스페이스로 생성', () => {
+    const div = new Element('div');
+    div.innerHTML = '<svg><g></g></svg><math><mi>x</mi></math>';
+    assert.strictEqual(div.firstChild.namespaceURI, 'http://www.w3.org/2000/svg');
+    assert.strictEqual(div.firstChild.firstChild.namespaceURI, 'http://www.w3.org/2000/svg');
+    assert.strictEqual(div.lastChild.namespaceURI, 'http://www.w3.org/1998/Math/MathML');
+    assert.strictEqual(div.lastChild.firstChild.tagName, 'mi');
+  });
+
+  test('외부 요소는 모두 self-closing을 존중', () => {
+    const div = new Element('div');
+    div.innerHTML = '<svg><path d="M0"/><circle r="1"/></svg><math><mspace/><mi>x</mi></math>';
+    assert.strictEqual(div.innerHTML,
+      '<svg><path d="M0"></path><circle r="1"></circle></svg>'
+      + '<math><mspace></mspace><mi>x</mi></math>');
+  });
+
+  test('SVG 태그/속성 이름의 대소문자 복원', () => {
+    const div = new Element('div');
+    div.innerHTML = '<svg viewbox="0 0 10 10" preserveAspectRatio="none">'
+      + '<lineargradient gradientunits="userSpaceOnUse"/><foreignobject></foreignobject></svg>';
+    const svg = div.firstChild;
+    assert.strictEqual(svg.getAttribute('viewBox'), '0 0 10 10');
+    assert.strictEqual(svg.getAttribute('preserveAspectRatio'), 'none');
+    assert.strictEqual(svg.firstChild.tagName, 'linearGradient');
+    assert.strictEqual(svg.firstChild.getAttribute('gradientUnits'), 'userSpaceOnUse');
+    assert.strictEqual(svg.lastChild.localName, 'foreignObject');
+  });
+
+  test('integration point 안은 HTML, HTML 태그가 나오면 외부 콘텐츠를 벗어남', () => {
+    const div = new Element('div');
+    div.innerHTML = '<svg><foreignObject><p>a</p></foreignObject><circle/><p>b</svg>';
+    const svg = div.firstChild;
+    assert.strictEqual(svg.firstChild.firstChild.namespaceURI, 'http://www.w3.org/1999/xhtml');
+    assert.strictEqual(svg.childNodes.length, 2);
+    assert.strictEqual(div.innerHTML,
+      '<svg><foreignObject><p>a</p></foreignObject><circle></circle></svg><p>b</p>');
+  });
+
+  test('CDATA 섹션은 외부 콘텐츠 안에서만 텍스트', () => {
+    const div = new Element('div');
+    div.innerHTML = '<svg><![CDATA[a<b]]></svg><![CDATA[c]]>';
+    assert.strictEqual(div.firstChild.textContent, 'a<b');
+    assert.strictEqual(div.lastChild.nodeType, Node.COMMENT_NODE);
+  });
+
+  test('SVG 요소의 innerHTML은 SVG 문맥에서 파싱', () => {
+    const div = new Element('div');
+    div.innerHTML = '<svg></svg>';
+    div.firstChild.innerHTML = '<rect/><text>t</text>';
+    assert.strictEqual(div.firstChild.firstChild.namespaceURI, 'http://www.w3.org/2000/svg');
+    assert.strictEqual(div.firstChild.childNodes.length, 2);
+  });
+
+  test('template 안의 테이블 조각은 foster parenting 없이 유지', () => {
+    const div = new Element('div');
+    div.innerHTML = '<table><template><tr><td>x</td></tr></template></table><template><li>a</li></template>';
+    assert.strictEqual(div.innerHTML,
+      '<table><template><tr><td>x</td></tr></template></table><template><li>a</li></template>');
+  });
+
+  test('template의 첫 태그에 따라 내용의 insertion mode 결정', () => {
+    const div = new Element('div');
+    div.innerHTML = '<template><td>1</td><td>2</td></template><template><col></template>'
+      + '<template><caption>c</caption></template>';
+    assert.strictEqual(div.innerHTML,
+      '<template><td>1</td><td>2</td></template><template><col></template>'
+      + '<template><caption>c</caption></template>');
+  });
+
+  test('template 요소의 innerHTML은 template 문맥에서 파싱', () => {
+    const template = new Element('template');
+    template.innerHTML = '<tr><td>1</td></tr>';
+    assert.strictEqual(template.innerHTML, '<tr><td>1</td></tr>');
+  });
+
+  test('닫히지 않은 template은 입력 끝에서 닫고 오류로 보고', () => {
+    const doc = new DOMParser({ collectErrors: true }).parseFromString('<template><p>x', 'text/html');
+    assert.strictEqual(doc.head.innerHTML, '<template><p>x</p></template>');
+    assert.ok(doc.parseErrors.some(error => error.message === 'Element <template> is not closed'));
+  });
+});
+
+// ============================================================
+// 8. DOMParser Tests
+// ============================================================
+describe('DOMParser', () => {
+  test('text/html은 documentElement, head, body가 연결된 문서', () => {
+    const doc = new DOMParser().parseFromString('<!DOCTYPE html><p>hi</p>', 'text/html');
+    assert.strictEqual(doc.documentElement.tagName, 'HTML');
+    assert.strictEqual(doc.head.parentNode, doc.documentElement);
+    assert.strictEqual(doc.body.firstChild.tagName, 'P');
+    assert.strictEqual(doc.doctype.name, 'html');
+  });
+
+  test('title은 공백을 정리해 반환하고 설정 가능', () => {
+    const doc = new DOMParser().parseFromString('<title>  Hello\n  World </title>', 'text/html');
+    assert.strictEqual(doc.title, 'Hello World');
+    doc.title = 'Changed';
+    assert.strictEqual(doc.head.firstChild.textContent, 'Changed');
+  });
+
+  test('application/xml은 대소문자와 네임스페이스 유지', () => {
+    const xml = '<root xmlns:x="urn:x"><Item/><x:data>1</x:data></root>';
+    const doc = new DOMParser().parseFromString(xml, 'application/xml');
+    const [item, data] = doc.documentElement.childNodes;
+    assert.strictEqual(item.tagName, 'Item');
+    assert.strictEqual(item.childNodes.length, 0);
+    assert.strictEqual(data.localName, 'data');
+    assert.strictEqual(data.namespaceURI, 'urn:x');
+  });
+
+  test('image/svg+xml 문서의 title은 루트 svg의 자식', () => {
+    const svg = '<svg xmlns="http://www.w3.org/2000/svg"><title>Icon</title></svg>';
+    const doc = new DOMParser().parseFromString(svg, 'image/svg+xml');
+    assert.strictEqual(doc.documentElement.namespaceURI, 'http://www.w3.org/2000/svg');
+    assert.strictEqual(doc.title, 'Icon');
+  });
+
+  test('HTML 문서의 title은 본문 SVG의 title을 무시', () => {
+    const html = '<body><svg><title>Icon</title></svg><title>Page</title></body>';
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    assert.strictEqual(doc.title, 'Page');
+    const svgOnly = new DOMParser().parseFromString('<svg><title>Icon</title></svg>', 'text/html');
+    assert.strictEqual(svgOnly.title, '');
+  });
+
+  test('XML 문서의 XHTML 요소는 대소문자를 유지하고 종료 태그와 짝이 맞음', () => {
+    const xhtml = '<html xmlns="http://www.w3.org/1999/xhtml"><body><p>x</p></body></html>';
+    const doc = new DOMParser().parseFromString(xhtml, 'application/xml');
+    assert.strictEqual(doc.documentElement.namespaceURI, 'http://www.w3.org/1999/xhtml');
+    assert.strictEqual(doc.documentElement.tagName, 'html');
+    assert.strictEqual(doc.documentElement.firstChild.firstChild.tagName, 'p');
+    assert.strictEqual(doc.documentElement.outerHTML, xhtml);
+    // XML은 대소문자를 구분
+    const mismatched = new DOMParser().parseFromString(
+      '<html xmlns="http://www.w3.org/1999/xhtml"><P>x</p></html>', 'application/xhtml+xml');
+    assert.strictEqual(mismatched.documentElement.localName, 'parsererror');
+  });
+
+  test('SVG 문서의 foreignObject 안 XHTML 내용', () => {
+    const svg = '<svg xmlns="http://www.w3.org/2000/svg"><foreignObject>'
+      + '<div xmlns="http://www.w3.org/1999/xhtml">a</div></foreignObject></svg>';
+    const doc = new DOMParser().parseFromString(svg, 'image/svg+xml');
+    const div = doc.documentElement.firstChild.firstChild;
+    assert.strictEqual(div.namespaceURI, 'http://www.w3.org/1999/xhtml');
+    assert.strictEqual(div.tagName, 'div');
+    assert.strictEqual(div.textContent, 'a');
+  });
+
+  test('well-formed가 아닌 XML은 parsererror 문서', () => {
+    const doc = new DOMParser().parseFromString('<a><b></a>', 'application/xml');
+    assert.strictEqual(doc.documentElement.localName, 'parsererror');
+  });
+
+  test('documentElement는 트리 변경을 그대로 반영', () => {
+    const doc = new Document();
+    assert.strictEqual(doc.documentElement, null);
+    const html = doc.appendChild(doc.createElement('html'));
+    assert.strictEqual(doc.documentElement, html);
+    doc.removeChild(html);
+    assert.strictEqual(doc.documentElement, null);
+
+    const parsed = new DOMParser().parseFromString('<p>x</p>', 'text/html');
+    const clone = parsed.cloneNode(true);
+    assert.strictEqual(clone.documentElement.tagName, 'HTML');
+    assert.strictEqual(clone.body.firstChild.textContent, 'x');
+    assert.notStrictEqual(clone.body, parsed.body);
+  });
+
+  test('지원하지 않는 MIME 타입은 TypeError', () => {
+    assert.throws(() => new DOMParser().parseFromString('', 'text/plain'), TypeError);
+  });
+});
+
+// ============================================================
+// 9. Parse Error / Source Location Tests
+// ============================================================
+describe('Parse Errors', () => {
+  test('collectErrors 옵션은 오류를 줄/열 번호와 함께 수집', () => {
+    const parser = new DOMParser({ collectErrors: true });
+    const doc = parser.parseFromString('<!DOCTYPE html>\n<div id=a id=b></div>', 'text/html');
+    assert.strictEqual(doc.parseErrors.length, 1);
+    assert.strictEqual(doc.parseErrors[0].code, 'duplicate-attribute');
+    assert.strictEqual(doc.parseErrors[0].line, 2);
+    assert.strictEqual(doc.parseErrors[0].column, 11);
+  });
+
+  test('닫히지 않은 태그와 짝 없는 종료 태그', () => {
+    const parser = new DOMParser({ collectErrors: true });
+    const doc = parser.parseFromString('<!DOCTYPE html><div><span>x</div></em>', 'text/html');
+    const codes = doc.parseErrors.map(error => `${error.code}:${error.offset}`);
+    assert.deepStrictEqual(codes, ['unclosed-element:20', 'unexpected-end-tag:33']);
+  });
+
+  test('옵션이 없으면 오류와 위치를 기록하지 않음', () => {
+    const doc = new DOMParser().parseFromString('<div id=a id=b>', 'text/html');
+    assert.strictEqual(doc.parseErrors.length, 0);
+    assert.strictEqual(doc.body.firstChild.sourceLocation, undefined);
+  });
+
+  test('sourceLocations 옵션은 노드에 시작/끝 오프셋 기록', () => {
+    const html = '<p>hi <b>there</b></p>';
+    const doc = new DOMParser({ sourceLocations: true }).parseFromString(html, 'text/html');
+    const p = doc.body.firstChild;
+    assert.deepStrictEqual(p.sourceLocation, { start: 0, end: html.length });
+    assert.deepStrictEqual(p.firstChild.sourceLocation, { start: 3, end: 6 });
+    assert.strictEqual(html.slice(p.lastChild.sourceLocation.start, p.lastChild.sourceLocation.end), '<b>there</b>');
+  });
+
+  test('CRLF 입력의 위치는 원래 문자열 기준', () => {
+    const html = '<p>\r\n\r\n<b id=x>hi</b>\r\n<i id=a id=b>';
+    const parser = new DOMParser({ sourceLocations: true, collectErrors: true });
+    const doc = parser.parseFromString(html, 'text/html');
+    const slice = (node) => html.slice(node.sourceLocation.start, node.sourceLocation.end);
+    const p = doc.body.firstChild;
+    assert.strictEqual(slice(p.firstChild), '\r\n\r\n');
+    assert.strictEqual(slice(doc.getElementById('x')), '<b id=x>hi</b>');
+    assert.strictEqual(slice(p.lastChild), '<i id=a id=b>');
+
+    const error = doc.parseErrors.find(e => e.code === 'duplicate-attribute');
+    assert.strictEqual(html.slice(error.offset, error.offset + 2), 'id');
+    assert.strictEqual(error.line, 4);
+    assert.strictEqual(error.column, 9);
+
+    const xml = '<r>\r\n<a/>\r<b>t</b></r>';
+    const xmlDoc = new DOMParser({ sourceLocations: true }).parseFromString(xml, 'application/xml');
+    const b = xmlDoc.documentElement.lastChild;
+    assert.strictEqual(xml.slice(b.sourceLocation.start, b.sourceLocation.end), '<b>t</b>');
+  });
+
+  test('innerHTML은 소속 문서의 파서 옵션을 따름', () => {
+    const doc = new DOMParser({ collectErrors: true }).parseFromString('<!DOCTYPE html>', 'text/html');
+    doc.body.innerHTML = '<ul>\n<li><b>x</ul>';
+    assert.strictEqual(doc.parseErrors[0].code, 'unclosed-element');
+    assert.strictEqual(doc.parseErrors[0].line, 2);
+  });
+});
+
+// ============================================================
+// 10. Character Reference / Serialization Tests
+// ============================================================
+describe('Character References', () => {
+  test('이름 참조와 숫자 참조를 디코딩', () => {
+    const div = new Element('div');
+    div.innerHTML = '&lt;&amp;&gt; &copy;&#169;&#xA9; &NotEqualTilde;&#x1F600;';
+    assert.strictEqual(div.textContent, '<&> ©©© \u2242\u0338\u{1F600}');
+  });
+
+  test('세미콜론 없는 레거시 참조와 잘못된 숫자 참조', () => {
+    const div = new Element('div');
+    div.innerHTML = '&copy 2024 &notit; &#128; &#0; &unknown;';
+    assert.strictEqual(div.textContent, '© 2024 ¬it; \u20ac \ufffd &unknown;');
+  });
+
+  test('속성 값의 "&name=" 형태는 디코딩하지 않음', () => {
+    const div = new Element('div');
+    div.innerHTML = '<a href="?x=1&copy=2&amp;y=&lt;3">';
+    assert.strictEqual(div.firstChild.getAttribute('href'), '?x=1&copy=2&y=<3');
+  });
+
+  test('텍스트와 속성 값을 이스케이프해 직렬화', () => {
+    const p = new Element('p');
+    p.setAttribute('title', 'say "hi" & <bye>');
+    p.appendChild(new Text('1 < 2 & 3 > 2\u00a0'));
+    assert.strictEqual(p.outerHTML,
+      '<p title="say &quot;hi&quot; &amp; &lt;bye&gt;">1 &lt; 2 &amp; 3 &gt; 2&nbsp;</p>');
+  });
+
+  test('숫자, 불리언 속성 값은 문자열로 저장해 직렬화', () => {
+    const div = new Element('div');
+    div.setAttribute('tabindex', 0);
+    div.setAttribute('hidden', true);
+    assert.strictEqual(div.getAttribute('tabindex'), '0');
+    assert.strictEqual(div.outerHTML, '<div tabindex="0" hidden="true"></div>');
+    const parent = new Element('section');
+    parent.appendChild(div);
+    assert.strictEqual(parent.innerHTML, '<div tabindex="0" hidden="true"></div>');
+  });
+
+  test('script, style 내용은 이스케이프하지 않음', () => {
+    const script = new Element('script');
+    script.appendChild(new Text('if (a < b && c) {}'));
+    assert.strictEqual(script.outerHTML, '<script>if (a < b && c) {}</script>');
+  });
+
+  test('파싱 → 직렬화 → 파싱 왕복 시 텍스트 보존', () => {
+    const text = '<tag> & "quote" \u00a0 ©';
+    const source = new Element('div');
+    source.appendChild(new Text(text));
+    const copy = new Element('div');
+    copy.innerHTML = source.innerHTML;
+    assert.strictEqual(copy.textContent, text);
+  });
+});
+
+// ============================================================
+// 11. CharacterData / DocumentType Tests
+// ============================================================
+describe('Comment, DocumentType, ProcessingInstruction', () => {
+  test('노드 타입, 이름, 값', () => {
+    const doc = new Document();
+    const comment = doc.createComment('note');
+    const pi = doc.createProcessingInstruction('xml-stylesheet', 'href="a.css"');
+    assert.ok(comment instanceof Comment && comment instanceof CharacterData);
+    assert.ok(pi instanceof ProcessingInstruction);
+    assert.strictEqual(comment.nodeType, Node.COMMENT_NODE);
+    assert.strictEqual(comment.nodeName, '#comment');
+    assert.strictEqual(comment.nodeValue, 'note');
+    assert.strictEqual(comment.length, 4);
+    assert.strictEqual(pi.nodeType, Node.PROCESSING_INSTRUCTION_NODE);
+    assert.strictEqual(pi.nodeName, 'xml-stylesheet');
+    assert.strictEqual(pi.target, 'xml-stylesheet');
+    assert.strictEqual(new Element('div').nodeValue, null);
+  });
+
+  test('textContent는 주석과 처리 명령을 제외', () => {
+    const div = new Element('div');
+    div.innerHTML = 'a<!--b-->c<span>d<!--e--></span>';
+    assert.strictEqual(div.textContent, 'acd');
+    div.firstChild.nextSibling.nodeValue = 'changed';
+    assert.strictEqual(div.childNodes[1].data, 'changed');
+  });
+
+  test('innerHTML은 주석을 직렬화', () => {
+    const div = new Element('div');
+    div.innerHTML = '<p>x<!-- keep --></p><!---->';
+    assert.strictEqual(div.innerHTML, '<p>x<!-- keep --></p><!---->');
+    assert.strictEqual(div.cloneNode(true).innerHTML, div.innerHTML);
+  });
+
+  test('HTML 문서의 doctype은 DocumentType 노드', () => {
+    const doc = new DOMParser().parseFromString(
+      '<!--top--><!DOCTYPE html><html><body></body></html><!--end-->', 'text/html');
+    assert.ok(doc.doctype instanceof DocumentType);
+    assert.strictEqual(doc.doctype.nodeType, Node.DOCUMENT_TYPE_NODE);
+    assert.strictEqual(doc.doctype.nodeName, 'html');
+    assert.strictEqual(doc.firstChild.nodeName, '#comment');
+    assert.strictEqual(doc.childNodes[1], doc.doctype);
+    assert.strictEqual(doc.lastChild.data, 'end');
+    assert.strictEqual(doc.documentElement.tagName, 'HTML');
+
+    const clone = doc.doctype.cloneNode();
+    assert.strictEqual(clone.name, 'html');
+    assert.strictEqual(clone.parentNode, null);
+  });
+
+  test('XML 문서는 주석과 처리 명령을 노드로 보존', () => {
+    const doc = new DOMParser().parseFromString(
+      '<?xml version="1.0"?><!DOCTYPE note SYSTEM "note.dtd"><?style href="a.css"?>'
+      + '<note><!-- c --><to>x</to></note>', 'application/xml');
+    assert.strictEqual(doc.doctype.name, 'note');
+    assert.strictEqual(doc.doctype.systemId, 'note.dtd');
+    assert.strictEqual(doc.childNodes.length, 3);
+    assert.strictEqual(doc.childNodes[1].target, 'style');
+    assert.strictEqual(doc.childNodes[1].data, 'href="a.css"');
+    assert.strictEqual(doc.documentElement.firstChild.nodeType, Node.COMMENT_NODE);
+  });
+});
+
+// ============================================================
+// 12. CharacterData Editing Tests
+// ============================================================
+describe('CharacterData Editing', () => {
+  test('appendData, insertData, deleteData, replaceData, substringData', () => {
+    const text = new Text('Hello');
+    text.appendData(' World');
+    text.insertData(5, ',');
+    assert.strictEqual(text.data, 'Hello, World');
+    text.deleteData(5, 1);
+    text.replaceData(6, 5, 'DOM');
+    assert.strictEqual(text.data, 'Hello DOM');
+    assert.strictEqual(text.substringData(6, 100), 'DOM');
+    text.deleteData(5, 100);
+    assert.strictEqual(text.data, 'Hello');
+  });
+
+  test('길이를 넘는 offset은 IndexSizeError', () => {
+    const comment = new Document().createComment('abc');
+    for (const fn of [
+      () => comment.substringData(4, 1),
+      () => comment.insertData(-1, 'x'),
+      () => comment.deleteData(10, 1),
+      () => new Text('abc').splitText(4),
+    ]) {
+      assert.throws(fn, (err) => err instanceof DOMException
+        && err.name === 'IndexSizeError' && err.code === 1);
+    }
+    assert.strictEqual(comment.data, 'abc');
+  });
+
+  test('splitText는 뒷부분을 다음 형제로 삽입', () => {
+    const p = new Element('p');
+    const text = new Text('Hello World');
+    const em = new Element('em');
+    p.appendChild(text);
+    p.appendChild(em);
+
+    const tail = text.splitText(5);
+    assert.strictEqual(text.data, 'Hello');
+    assert.strictEqual(tail.data, ' World');
+    assert.strictEqual(text.nextSibling, tail);
+    assert.strictEqual(tail.nextSibling, em);
+    assert.strictEqual(tail.wholeText, 'Hello World');
+  });
+
+  test('wholeText는 인접한 Text 노드까지만 합침', () => {
+    const div = new Element('div');
+    div.appendChild(new Text('a'));
+    div.appendChild(new Text('b'));
+    div.appendChild(new Element('br'));
+    div.appendChild(new Text('c'));
+    assert.strictEqual(div.firstChild.wholeText, 'ab');
+    assert.strictEqual(div.lastChild.wholeText, 'c');
+  });
+
+  test('normalize는 빈 Text를 지우고 인접한 Text를 병합', () => {
+    const div = new Element('div');
+    const span = new Element('span');
+    div.appendChild(new Text(''));
+    div.appendChild(new Text('a'));
+    div.appendChild(new Text('b'));
+    div.appendChild(span);
+    div.appendChild(new Text(''));
+    span.appendChild(new Text('x'));
+    span.appendChild(new Text('y'));
+
+    div.normalize();
+    assert.strictEqual(div.childNodes.length, 2);
+    assert.strictEqual(div.firstChild.data, 'ab');
+    assert.strictEqual(div.lastChild, span);
+    assert.strictEqual(span.childNodes.length, 1);
+    assert.strictEqual(span.firstChild.data, 'xy');
+  });
+});
+
+// ============================================================
+// 13. DocumentFragment Tests
+// ============================================================
+describe('DocumentFragment', () => {
+  const makeFragment = (doc, count) => {
+    const fragment = doc.createDocumentFragment();
+    for (let i = 0; i < count; i++) {
+      const li = doc.createElement('li');
+      li.textContent = `item ${i}`;
+      fragment.appendChild(li);
+    }
+    return fragment;
+  };
+
+  test('createDocumentFragment', () => {
+    const fragment = new Document().createDocumentFragment();
+    assert.ok(fragment instanceof DocumentFragment);
+    assert.strictEqual(fragment.nodeType, Node.DOCUMENT_FRAGMENT_NODE);
+    assert.strictEqual(fragment.nodeName, '#document-fragment');
+    assert.strictEqual(fragment.parentNode, null);
+  });
+
+  test('appendChild는 자식들을 옮기고 fragment를 비움', () => {
+    const doc = new Document();
+    const ul = doc.createElement('ul');
+    const fragment = makeFragment(doc, 3);
+
+    assert.strictEqual(ul.appendChild(fragment), fragment);
+    assert.strictEqual(fragment.childNodes.length, 0);
+    assert.strictEqual(ul.childNodes.length, 3);
+    assert.strictEqual(ul.textContent, 'item 0item 1item 2');
+    assert.ok([...ul.childNodes].every(li => li.parentNode === ul));
+  });
+
+  test('insertBefore는 기준 노드 앞에 순서대로 삽입', () => {
+    const doc = new Document();
+    const ul = doc.createElement('ul');
+    const first = ul.appendChild(doc.createElement('li'));
+    const last = ul.appendChild(doc.createElement('li'));
+
+    ul.insertBefore(makeFragment(doc, 2), last);
+    assert.strictEqual(ul.childNodes.length, 4);
+    assert.strictEqual(ul.firstChild, first);
+    assert.strictEqual(ul.childNodes[1].textContent, 'item 0');
+    assert.strictEqual(ul.childNodes[2].textContent, 'item 1');
+    assert.strictEqual(ul.lastChild, last);
+  });
+
+  test('replaceChild는 기존 노드를 fragment의 자식들로 교체', () => {
+    const doc = new Document();
+    const ul = doc.createElement('ul');
+    const old = ul.appendChild(doc.createElement('li'));
+    const fragment = makeFragment(doc, 2);
+
+    assert.strictEqual(ul.replaceChild(fragment, old), old);
+    assert.strictEqual(old.parentNode, null);
+    assert.strictEqual(fragment.firstChild, null);
+    assert.strictEqual(ul.textContent, 'item 0item 1');
+  });
+
+  test('같은 부모 안에서 앞쪽 노드를 뒤로 이동', () => {
+    const div = new Element('div');
+    const [a, b, c] = ['a', 'b', 'c'].map(data => div.appendChild(new Text(data)));
+
+    div.insertBefore(a, c);
+    assert.strictEqual(div.textContent, 'bac');
+    div.replaceChild(c, b);
+    assert.strictEqual(div.textContent, 'ca');
+    div.insertBefore(c, c);
+    assert.strictEqual(div.textContent, 'ca');
+  });
+});
+
+// ============================================================
+// 14. DOMException / Insertion Validity Tests
+// ============================================================
+describe('DOMException', () => {
+  const isDOMException = (name, code) => (err) =>
+    err instanceof DOMException && err instanceof Error && err.name === name && err.code === code;
+
+  test('name에 맞는 레거시 code', () => {
+    assert.strictEqual(new DOMException('x', 'HierarchyRequestError').code, 3);
+    assert.strictEqual(new DOMException('x', 'NotFoundError').code, 8);
+    assert.strictEqual(new DOMException('x', 'InvalidCharacterError').code, 5);
+    assert.strictEqual(new DOMException('x', 'EncodingError').code, 0);
+    assert.strictEqual(new DOMException('msg').name, 'Error');
+  });
+
+  test('자식이 아닌 노드를 제거하거나 기준으로 삼으면 NotFoundError', () => {
+    const div = new Element('div');
+    const stranger = new Element('span');
+    assert.throws(() => div.removeChild(stranger), isDOMException('NotFoundError', 8));
+    assert.throws(() => div.insertBefore(new Text('x'), stranger), isDOMException('NotFoundError', 8));
+    assert.throws(() => div.replaceChild(new Text('x'), stranger), isDOMException('NotFoundError', 8));
+    assert.strictEqual(div.childNodes.length, 0);
+  });
+
+  test('조상을 자손으로 넣으면 HierarchyRequestError', () => {
+    const outer = new Element('div');
+    const inner = outer.appendChild(new Element('div'));
+    assert.throws(() => inner.appendChild(outer), isDOMException('HierarchyRequestError', 3));
+    assert.throws(() => outer.appendChild(outer), isDOMException('HierarchyRequestError', 3));
+    assert.throws(() => new Text('a').appendChild(new Text('b')),
+      isDOMException('HierarchyRequestError', 3));
+    assert.strictEqual(outer.parentNode, null);
+  });
+
+  test('Document 자식 제약', () => {
+    const doc = new Document();
+    const html = doc.appendChild(doc.createElement('html'));
+    assert.throws(() => doc.appendChild(new Text('x')), isDOMException('HierarchyRequestError', 3));
+    assert.throws(() => doc.appendChild(doc.createElement('body')),
+      isDOMException('HierarchyRequestError', 3));
+    assert.throws(() => doc.appendChild(new DocumentType('html')),
+      isDOMException('HierarchyRequestError', 3));
+    assert.throws(() => html.appendChild(new DocumentType('html')),
+      isDOMException('HierarchyRequestError', 3));
+
+    const fragment = doc.createDocumentFragment();
+    fragment.appendChild(doc.createElement('a'));
+    fragment.appendChild(doc.createElement('b'));
+    assert.throws(() => doc.replaceChild(fragment, html), isDOMException('HierarchyRequestError', 3));
+    assert.strictEqual(fragment.childNodes.length, 2);
+
+    // 같은 자리의 요소 교체와 요소 앞 doctype 삽입은 허용
+    const other = doc.createElement('html');
+    doc.replaceChild(other, html);
+    doc.insertBefore(new DocumentType('html'), other);
+    doc.appendChild(doc.createComment('end'));
+    assert.deepStrictEqual([...doc.childNodes].map(n => n.nodeType), [10, 1, 8]);
+  });
+
+  test('잘못된 이름은 InvalidCharacterError', () => {
+    const doc = new Document();
+    assert.throws(() => doc.createElement('1div'), isDOMException('InvalidCharacterError', 5));
+    assert.throws(() => doc.createElement('a b'), isDOMException('InvalidCharacterError', 5));
+    assert.throws(() => doc.createElementNS('http://www.w3.org/2000/svg', 'a:b:c'),
+      isDOMException('InvalidCharacterError', 5));
+    assert.throws(() => doc.createProcessingInstruction('pi', 'a ?> b'),
+      isDOMException('InvalidCharacterError', 5));
+    assert.strictEqual(doc.createElement('my-element').localName, 'my-element');
+  });
+});
+
+// ============================================================
+// 15. ParentNode / ChildNode Mixin Tests
+// ============================================================
+describe('ParentNode / ChildNode', () => {
+  const names = (parent) => [...parent.childNodes].map(n => n.data ?? n.localName);
+
+  test('append, prepend는 노드와 문자열을 순서대로 추가', () => {
+    const div = new Element('div');
+    const b = new Element('b');
+    div.append('x', b, 'y');
+    div.prepend(new Element('i'), 'w');
+    assert.deepStrictEqual(names(div), ['i', 'w', 'x', 'b', 'y']);
+    assert.ok(div.childNodes[1] instanceof Text);
+
+    const fragment = new Document().createDocumentFragment();
+    fragment.append('a', 'b');
+    assert.strictEqual(fragment.childNodes.length, 2);
+  });
+
+  test('before, after는 참조 노드의 형제를 인자로 받아도 동작', () => {
+    const div = new Element('div');
+    div.append('a', 'b', 'c', 'd');
+    const [a, b, c, d] = div.childNodes;
+
+    b.before(c, a);
+    assert.deepStrictEqual(names(div), ['c', 'a', 'b', 'd']);
+    c.after(d, 'e', c);
+    assert.deepStrictEqual(names(div), ['d', 'e', 'c', 'a', 'b']);
+    b.after('end');
+    assert.strictEqual(div.lastChild.data, 'end');
+  });
+
+  test('replaceWith는 자기 자신을 인자에 포함해도 동작', () => {
+    const ul = new Element('ul');
+    const [first, second, third] = ['1', '2', '3'].map(() => ul.appendChild(new Element('li')));
+
+    second.replaceWith('x', second, third);
+    assert.deepStrictEqual([...ul.childNodes], [first, ul.childNodes[1], second, third]);
+    assert.strictEqual(ul.childNodes[1].data, 'x');
+
+    third.replaceWith('y');
+    assert.strictEqual(third.parentNode, null);
+    assert.strictEqual(ul.lastChild.data, 'y');
+  });
+
+  test('remove는 부모가 없으면 아무 일도 하지 않음', () => {
+    const div = new Element('div');
+    const text = new Text('t');
+    text.remove();
+    div.append(text);
+    text.remove();
+    assert.strictEqual(div.childNodes.length, 0);
+    assert.strictEqual(text.parentNode, null);
+
+    const detached = new Element('span');
+    detached.before('x');
+    detached.after('y');
+    detached.replaceWith('z');
+    assert.strictEqual(detached.parentNode, null);
+  });
+
+  test('replaceChildren은 유효성 검사가 실패하면 기존 자식을 유지', () => {
+    const div = new Element('div');
+    div.append('old', new Element('span'));
+    div.replaceChildren('new', new Element('b'));
+    assert.deepStrictEqual(names(div), ['new', 'b']);
+
+    assert.throws(() => div.replaceChildren(div), (err) => err.name === 'HierarchyRequestError');
+    assert.deepStrictEqual(names(div), ['new', 'b']);
+
+    const doc = new Document();
+    doc.append(doc.createElement('html'));
+    assert.throws(() => doc.append('text'), (err) => err.name === 'HierarchyRequestError');
+    doc.replaceChildren();
+    assert.strictEqual(doc.childNodes.length, 0);
+  });
+});
+
+// ============================================================
+// 16. Node Comparison Tests
+// ============================================================
+describe('Node Comparison', () => {
+  const build = () => {
+    const doc = new DOMParser().parseFromString(
+      '<div id="a"><p id="b">x</p><p id="c"><span id="d"></span></p></div>', 'text/html');
+    const [a, b, c, d] = ['a', 'b', 'c', 'd'].map(id => doc.getElementById(id));
+    return { doc, a, b, c, d };
+  };
+
+  test('compareDocumentPosition - 조상, 자손, 형제', () => {
+    const { a, b, d } = build();
+    assert.strictEqual(a.compareDocumentPosition(a), 0);
+    assert.strictEqual(a.compareDocumentPosition(d),
+      Node.DOCUMENT_POSITION_CONTAINED_BY | Node.DOCUMENT_POSITION_FOLLOWING);
+    assert.strictEqual(d.compareDocumentPosition(a),
+      Node.DOCUMENT_POSITION_CONTAINS | Node.DOCUMENT_POSITION_PRECEDING);
+    assert.strictEqual(b.compareDocumentPosition(d), Node.DOCUMENT_POSITION_FOLLOWING);
+    assert.strictEqual(d.compareDocumentPosition(b.firstChild), Node.DOCUMENT_POSITION_PRECEDING);
+  });
+
+  test('compareDocumentPosition으로 문서 순서 정렬', () => {
+    const { a, b, c, d } = build();
+    const sorted = [d, b, a, c].sort((x, y) =>
+      (x.compareDocumentPosition(y) & Node.DOCUMENT_POSITION_FOLLOWING) ? -1 : 1);
+    assert.deepStrictEqual(sorted, [a, b, c, d]);
+  });
+
+  test('서로 다른 트리는 DISCONNECTED이고 방향이 일관됨', () => {
+    const x = new Element('div');
+    const y = new Element('div');
+    const xy = x.compareDocumentPosition(y);
+    const yx = y.compareDocumentPosition(x);
+    const disconnected = Node.DOCUMENT_POSITION_DISCONNECTED
+      | Node.DOCUMENT_POSITION_IMPLEMENTATION_SPECIFIC;
+    assert.strictEqual(xy & disconnected, disconnected);
+    assert.strictEqual(yx & disconnected, disconnected);
+    assert.notStrictEqual(xy & Node.DOCUMENT_POSITION_PRECEDING, yx & Node.DOCUMENT_POSITION_PRECEDING);
+    assert.strictEqual(x.compareDocumentPosition(y), xy);
+  });
+
+  test('isEqualNode는 속성과 자식을 깊게 비교', () => {
+    const { a } = build();
+    const clone = a.cloneNode(true);
+    assert.ok(a.isEqualNode(clone));
+    assert.ok(!a.isSameNode(clone));
+    assert.ok(a.isSameNode(a));
+
+    clone.lastChild.firstChild.setAttribute('class', 'x');
+    assert.ok(!a.isEqualNode(clone));
+    assert.ok(!a.isEqualNode(null));
+    assert.ok(new Text('t').isEqualNode(new Text('t')));
+    assert.ok(!new Text('t').isEqualNode(new Document().createComment('t')));
+    assert.ok(!new DocumentType('html').isEqualNode(new DocumentType('svg')));
+  });
+
+  test('getRootNode는 트리의 최상위 노드', () => {
+    const { doc, d } = build();
+    assert.strictEqual(d.getRootNode(), doc);
+    assert.strictEqual(d.getRootNode({ composed: true }), doc);
+
+    const detached = new Element('div');
+    const child = detached.appendChild(new Text('x'));
+    assert.strictEqual(child.getRootNode(), detached);
+    assert.strictEqual(detached.getRootNode(), detached);
+  });
+});
+
+// ============================================================
+// 17. ownerDocument / Adoption Tests
+// ============================================================
+describe('ownerDocument', () => {
+  test('팩토리 메서드로 만든 노드는 해당 문서 소속', () => {
+    const doc = new Document();
+    assert.strictEqual(doc.createElement('div').ownerDocument, doc);
+    assert.strictEqual(doc.createTextNode('x').ownerDocument, doc);
+    assert.strictEqual(doc.createComment('x').ownerDocument, doc);
+    assert.strictEqual(doc.createDocumentFragment().ownerDocument, doc);
+    assert.strictEqual(doc.ownerDocument, null);
+    assert.strictEqual(new Element('div').ownerDocument, null);
+  });
+
+  test('문서 트리에 삽입하면 자손까지 adopt', () => {
+    const doc = new DOMParser().parseFromString('<p>hi</p>', 'text/html');
+    assert.strictEqual(doc.body.firstChild.firstChild.ownerDocument, doc);
+
+    const div = new Element('div');
+    const span = div.appendChild(new Element('span'));
+    doc.body.appendChild(div);
+    assert.strictEqual(div.ownerDocument, doc);
+    assert.strictEqual(span.ownerDocument, doc);
+
+    div.innerHTML = '<b>x</b>';
+    assert.strictEqual(div.firstChild.firstChild.ownerDocument, doc);
+  });
+
+  test('appendChild로 다른 문서로 옮기면 자동 adopt', () => {
+    const template = new DOMParser().parseFromString('<ul><li>a</li></ul>', 'text/html');
+    const live = new DOMParser().parseFromString('', 'text/html');
+    const ul = template.body.firstChild;
+
+    live.body.appendChild(ul);
+    assert.strictEqual(ul.ownerDocument, live);
+    assert.strictEqual(ul.firstChild.firstChild.ownerDocument, live);
+    assert.strictEqual(template.body.childNodes.length, 0);
+  });
+
+  test('importNode는 복제본을 가져오고 원본은 유지', () => {
+    const template = new DOMParser().parseFromString('<ul><li>a</li></ul>', 'text/html');
+    const live = new Document();
+    const ul = template.body.firstChild;
+
+    const shallow = live.importNode(ul);
+    assert.strictEqual(shallow.childNodes.length, 0);
+    const deep = live.importNode(ul, true);
+    assert.strictEqual(deep.ownerDocument, live);
+    assert.strictEqual(deep.firstChild.ownerDocument, live);
+    assert.strictEqual(deep.parentNode, null);
+    assert.strictEqual(ul.parentNode, template.body);
+    assert.strictEqual(ul.ownerDocument, template);
+    assert.strictEqual(ul.cloneNode(true).firstChild.ownerDocument, template);
+  });
+
+  test('템플릿 문서의 루트를 import해 새 문서를 구성', () => {
+    const tpl = new DOMParser().parseFromString('<main id="app"><p>hi</p></main>', 'text/html');
+    const live = new Document();
+    live.appendChild(live.importNode(tpl.documentElement, true));
+    assert.strictEqual(live.documentElement.tagName, 'HTML');
+    assert.strictEqual(live.documentElement.ownerDocument, live);
+    assert.strictEqual(live.body.firstChild, live.getElementById('app'));
+    assert.strictEqual(live.head.parentNode, live.documentElement);
+    assert.strictEqual(tpl.documentElement.parentNode, tpl);
+  });
+
+  test('adoptNode는 원래 트리에서 떼어냄', () => {
+    const template = new DOMParser().parseFromString('<p>x</p>', 'text/html');
+    const live = new Document();
+    const p = template.body.firstChild;
+
+    assert.strictEqual(live.adoptNode(p), p);
+    assert.strictEqual(p.parentNode, null);
+    assert.strictEqual(p.firstChild.ownerDocument, live);
+    assert.throws(() => live.adoptNode(template), (err) => err.name === 'NotSupportedError');
+    assert.throws(() => live.importNode(template), (err) => err.name === 'NotSupportedError');
+  });
+});
+
+// ============================================================
+// 18. Live Collection Tests
+// ============================================================
+describe('NodeList / HTMLCollection', () => {
+  test('childNodes는 같은 라이브 NodeList', () => {
+    const div = new Element('div');
+    const list = div.childNodes;
+    assert.ok(list instanceof NodeList);
+    assert.strictEqual(div.childNodes, list);
+    assert.strictEqual(list.length, 0);
+
+    const text = div.appendChild(new Text('a'));
+    assert.strictEqual(list.length, 1);
+    assert.strictEqual(list[0], text);
+    assert.strictEqual(list.item(0), text);
+    assert.strictEqual(list[1], undefined);
+    assert.strictEqual(list.item(1), null);
+    assert.ok(0 in list && !(1 in list));
+  });
+
+  test('NodeList 순회 - for...of, forEach, entries', () => {
+    const div = new Element('div');
+    div.append('a', 'b', 'c');
+    assert.deepStrictEqual([...div.childNodes].map(n => n.data), ['a', 'b', 'c']);
+
+    const seen = [];
+    div.childNodes.forEach((node, i, list) => seen.push([i, node.data, list === div.childNodes]));
+    assert.deepStrictEqual(seen, [[0, 'a', true], [1, 'b', true], [2, 'c', true]]);
+    assert.deepStrictEqual([...div.childNodes.keys()], [0, 1, 2]);
+    assert.strictEqual([...div.childNodes.entries()][2][1].data, 'c');
+  });
+
+  test('children은 요소만 담은 라이브 HTMLCollection', () => {
+    const div = new Element('div');
+    const children = div.children;
+    div.append('text', new Element('p'));
+    assert.ok(children instanceof HTMLCollection);
+    assert.strictEqual(children.length, 1);
+    div.append(new Element('span'));
+    assert.strictEqual(children.length, 2);
+    assert.strictEqual(children[1].localName, 'span');
+    assert.strictEqual(div.lastElementChild, children[1]);
+  });
+
+  test('getElementsByClassName은 클래스 변경을 반영', () => {
+    const doc = new DOMParser().parseFromString(
+      '<p class="todo a">1</p><p class="todo">2</p><p class="todo a">3</p>', 'text/html');
+    const todos = doc.getElementsByClassName('todo');
+    assert.strictEqual(todos.length, 3);
+    assert.strictEqual(doc.getElementsByClassName('a todo').length, 2);
+
+    // 클래스를 지우면 목록에서 빠지므로 항상 [0]을 처리
+    while (todos.length) {
+      todos[0].classList.remove('todo');
+    }
+    assert.strictEqual(todos.length, 0);
+    assert.strictEqual(doc.body.firstChild.getAttribute('class'), 'a');
+  });
+
+  test('getElementsByTagName과 namedItem', () => {
+    const doc = new DOMParser().parseFromString(
+      '<form><input name="user"><input id="pass"></form>', 'text/html');
+    const inputs = doc.getElementsByTagName('input');
+    assert.strictEqual(inputs.namedItem('pass'), inputs[1]);
+    assert.strictEqual(inputs.namedItem('user'), inputs[0]);
+    assert.strictEqual(inputs.user, inputs[0]);
+    assert.strictEqual(inputs.namedItem('none'), null);
+
+    const form = doc.body.firstChild;
+    form.appendChild(doc.createElement('input'));
+    assert.strictEqual(inputs.length, 3);
+    assert.strictEqual(form.getElementsByTagName('INPUT').length, 3);
+    form.remove();
+    assert.strictEqual(inputs.length, 0);
+  });
+});
+
+// ============================================================
+// 19. Child Storage Tests
+// ============================================================
+describe('Child Storage', () => {
+  const linkedOrder = (parent) => {
+    const forward = [];
+    for (let node = parent.firstChild; node; node = node.nextSibling) forward.push(node.data);
+    const backward = [];
+    for (let node = parent.lastChild; node; node = node.previousSibling) backward.unshift(node.data);
+    assert.deepStrictEqual(forward, backward);
+    return forward.join('');
+  };
+
+  test('삽입, 삭제, 교체 후 형제 포인터가 일관됨', () => {
+    const div = new Element('div');
+    const [a, b, c] = ['a', 'b', 'c'].map(data => div.appendChild(new Text(data)));
+    div.insertBefore(new Text('x'), b);
+    div.removeChild(a);
+    div.replaceChild(new Text('y'), c);
+    assert.strictEqual(linkedOrder(div), 'xby');
+    assert.strictEqual(a.nextSibling, null);
+    assert.strictEqual(c.previousSibling, null);
+
+    div.insertBefore(div.lastChild, div.firstChild);
+    assert.strictEqual(linkedOrder(div), 'yxb');
+  });
+
+  test('childNodes 인덱스 캐시는 변경 후 갱신', () => {
+    const div = new Element('div');
+    div.append('a', 'b', 'c');
+    assert.strictEqual(div.childNodes[1].data, 'b');
+    div.firstChild.remove();
+    assert.strictEqual(div.childNodes[1].data, 'c');
+    div.prepend('z');
+    assert.deepStrictEqual([...div.childNodes].map(n => n.data), ['z', 'b', 'c']);
+    assert.strictEqual(div.childNodes.length, 3);
+  });
+
+  test('fragment 삽입 후 연결 리스트', () => {
+    const div = new Element('div');
+    div.append('a', 'd');
+    const fragment = new DocumentFragment();
+    fragment.append('b', 'c');
+    div.insertBefore(fragment, div.lastChild);
+    assert.strictEqual(linkedOrder(div), 'abcd');
+    assert.strictEqual(fragment.firstChild, null);
+    assert.strictEqual(fragment.lastChild, null);
+  });
+
+  test('5만 개 자식 형제 순회와 앞쪽 삽입이 선형 시간', () => {
+    const ul = new Element('ul');
+    for (let i = 0; i < 50000; i++) {
+      ul.appendChild(new Element('li'));
+    }
+    for (let i = 0; i < 50000; i++) {
+      ul.insertBefore(new Text(''), ul.lastChild);
+    }
+
+    let count = 0;
+    for (let node = ul.firstChild; node; node = node.nextSibling) count++;
+    assert.strictEqual(count, 100000);
+    assert.strictEqual(ul.childNodes.length, 100000);
+    assert.strictEqual(ul.childNodes[99998].nodeType, Node.TEXT_NODE);
+  });
+
+  test('인덱스 접근과 삽입/삭제가 섞여도 childNodes[i]가 정확', () => {
+    const div = new Element('div');
+    const expected = [];
+    for (let i = 0; i < 40; i++) {
+      expected.push(div.appendChild(new Text(String(i))));
+    }
+    // 결정적인 의사 난수로 위치를 고름
+    let seed = 7;
+    const next = (n) => (seed = (seed * 31 + 11) % 1009) % n;
+    for (let step = 0; step < 400; step++) {
+      const index = next(expected.length);
+      assert.strictEqual(div.childNodes[index], expected[index]);
+      // 커서와 같은 위치, 임의 위치, 맨 앞, 맨 뒤를 골고루 변경
+      const target = [index, next(expected.length), 0, expected.length - 1][step % 4];
+      if (step % 3 === 0) {
+        const text = new Text(`n${step}`);
+        div.insertBefore(text, expected[target]);
+        expected.splice(target, 0, text);
+      } else if (step % 3 === 1) {
+        div.removeChild(expected[target]);
+        expected.splice(target, 1);
+      } else {
+        div.insertBefore(expected[target], div.firstChild);
+        expected.unshift(...expected.splice(target, 1));
+      }
+    }
+    assert.deepStrictEqual([...div.childNodes], expected);
+  });
+
+  test('5만 개 자식 사이에 childNodes[i] 기준 삽입을 반복해도 배열을 다시 만들지 않음', () => {
+    const parent = new Element('div');
+    for (let i = 0; i < 50000; i++) {
+      parent.appendChild(new Element('span'));
+    }
+    for (let i = 0; i < 2000; i++) {
+      const index = i * 10;
+      if (i > 0) {
+        // 삽입 뒤에도 커서가 보정되어 남으므로 직전 위치에서 몇 칸만 걸어감
+        assert.strictEqual(parent._cursorIndex, index - 9);
+      }
+      parent.insertBefore(new Element('b'), parent.childNodes[index]);
+      // 변경마다 5만 개짜리 자식 배열을 다시 만들지 않음
+      assert.strictEqual(parent._childArray, null);
+    }
+    assert.strictEqual(parent.childNodes.length, 52000);
+    assert.strictEqual(parent.childNodes[10].tagName, 'B');
+    assert.strictEqual(parent.childNodes[11].tagName, 'SPAN');
+  });
+});
+
+// ============================================================
+// 20. Deep Tree Traversal Tests
+// ============================================================
+describe('Deep Tree Traversal', () => {
+  test('10만 단계로 중첩된 트리에서도 스택이 넘치지 않음', () => {
+    const doc = new DOMParser().parseFromString('', 'text/html');
+    const DEPTH = 100000;
+
+    // 문서에 연결된 채로 위에서부터 쌓음 - 삽입마다 조상을 훑으면 제곱 시간이 걸림
+    let top = null;
+    let parent = doc.body;
+    for (let i = 0; i < DEPTH; i++) {
+      parent = parent.appendChild(doc.createElement('div'));
+      top = top || parent;
+    }
+    const deepest = parent.appendChild(doc.createElement('span'));
+    deepest.id = 'deepest';
+    deepest.appendChild(doc.createTextNode('bottom'));
+
+    assert.strictEqual(deepest.ownerDocument, doc);
+    assert.ok(deepest.isConnected);
+    assert.ok(top.contains(deepest));
+    assert.ok(!deepest.contains(top));
+    assert.strictEqual(top.textContent, 'bottom');
+    assert.strictEqual(doc.getElementById('deepest'), deepest);
+    assert.strictEqual(doc.getElementsByTagName('div').length, DEPTH);
+    assert.strictEqual(top.querySelectorAll('span')[0], deepest);
+    assert.strictEqual(doc.querySelector('#deepest'), deepest);
+
+    deepest.appendChild(doc.createTextNode(''));
+    top.normalize();
+    assert.strictEqual(deepest.childNodes.length, 1);
+
+    top.remove();
+    assert.ok(!deepest.isConnected);
+    assert.strictEqual(doc.getElementById('deepest'), null);
+  });
+
+  test('깊게 중첩된 HTML의 파싱, 복제, 비교, 직렬화', () => {
+    const DEPTH = 50000;
+    const html = `${'<div>'.repeat(DEPTH)}<span id="deepest">bottom</span>`;
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const top = doc.body.firstChild;
+    assert.strictEqual(doc.getElementsByTagName('div').length, DEPTH);
+
+    const clone = top.cloneNode(true);
+    assert.ok(clone.isEqualNode(top));
+    assert.ok(!clone.isConnected);
+    assert.strictEqual(doc.getElementById('deepest').ownerDocument, clone.ownerDocument);
+
+    const serialized = `${'<div>'.repeat(DEPTH)}<span id="deepest">bottom</span>${'</div>'.repeat(DEPTH)}`;
+    assert.strictEqual(top.outerHTML, serialized);
+    assert.strictEqual(doc.body.innerHTML, serialized);
+
+    clone.querySelector('span').id = 'changed';
+    assert.ok(!clone.isEqualNode(top));
+  });
+});
+
+// ============================================================
+// 21. TreeWalker / NodeIterator Tests
+// ============================================================
+describe('TreeWalker / NodeIterator', () => {
+  const build = () => new DOMParser().parseFromString(
+    '<div id="root">a<p id="p1">b<!--c--><span id="s">d</span></p><p id="p2">e</p>f</div>', 'text/html');
+  const label = (node) => (node ? node.id || node.data : null);
+
+  test('NodeFilter 상수', () => {
+    assert.strictEqual(NodeFilter.FILTER_ACCEPT, 1);
+    assert.strictEqual(NodeFilter.FILTER_REJECT, 2);
+    assert.strictEqual(NodeFilter.FILTER_SKIP, 3);
+    assert.strictEqual(NodeFilter.SHOW_ELEMENT, 1 << (Node.ELEMENT_NODE - 1));
+    assert.strictEqual(NodeFilter.SHOW_TEXT, 1 << (Node.TEXT_NODE - 1));
+    assert.strictEqual(NodeFilter.SHOW_COMMENT, 1 << (Node.COMMENT_NODE - 1));
+    assert.strictEqual(NodeFilter.SHOW_ALL, 0xFFFFFFFF);
+  });
+
+  test('TreeWalker - whatToShow로 텍스트만 추출', () => {
+    const doc = build();
+    const walker = doc.createTreeWalker(doc.getElementById('root'), NodeFilter.SHOW_TEXT);
+    const texts = [];
+    while (walker.nextNode()) texts.push(walker.currentNode.data);
+    assert.deepStrictEqual(texts, ['a', 'b', 'd', 'e', 'f']);
+
+    const backwards = [];
+    while (walker.previousNode()) backwards.push(walker.currentNode.data);
+    assert.deepStrictEqual(backwards, ['e', 'd', 'b', 'a']);
+    assert.ok(walker instanceof TreeWalker);
+  });
+
+  test('TreeWalker - REJECT는 자손까지, SKIP은 노드만 제외', () => {
+    const doc = build();
+    const root = doc.getElementById('root');
+    const visit = (result) => {
+      const walker = doc.createTreeWalker(root, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT,
+        { acceptNode: node => (node.id === 'p1' ? result : NodeFilter.FILTER_ACCEPT) });
+      const seen = [];
+      while (walker.nextNode()) seen.push(label(walker.currentNode));
+      return seen;
+    };
+    assert.deepStrictEqual(visit(NodeFilter.FILTER_REJECT), ['a', 'p2', 'e', 'f']);
+    assert.deepStrictEqual(visit(NodeFilter.FILTER_SKIP), ['a', 'b', 's', 'd', 'p2', 'e', 'f']);
+  });
+
+  test('TreeWalker - 부모, 자식, 형제 이동', () => {
+    const doc = build();
+    const walker = doc.createTreeWalker(doc.getElementById('root'), NodeFilter.SHOW_ELEMENT);
+    assert.strictEqual(label(walker.firstChild()), 'p1');
+    assert.strictEqual(label(walker.nextSibling()), 'p2');
+    assert.strictEqual(walker.nextSibling(), null);
+    assert.strictEqual(label(walker.previousSibling()), 'p1');
+    assert.strictEqual(label(walker.lastChild()), 's');
+    assert.strictEqual(label(walker.parentNode()), 'p1');
+    assert.strictEqual(label(walker.parentNode()), 'root');
+    assert.strictEqual(walker.parentNode(), null);
+  });
+
+  test('NodeIterator - 필터 함수와 양방향 순회', () => {
+    const doc = build();
+    const iterator = doc.createNodeIterator(doc.getElementById('root'), NodeFilter.SHOW_ALL,
+      node => (node.nodeType === Node.COMMENT_NODE ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT));
+    const seen = [];
+    for (let node = iterator.nextNode(); node; node = iterator.nextNode()) seen.push(label(node));
+    assert.deepStrictEqual(seen, ['root', 'a', 'p1', 'b', 's', 'd', 'p2', 'e', 'f']);
+    assert.strictEqual(label(iterator.previousNode()), 'f');
+    assert.strictEqual(label(iterator.previousNode()), 'e');
+    assert.ok(iterator instanceof NodeIterator);
+  });
+
+  test('NodeIterator - 기준 노드가 제거되면 위치 보정', () => {
+    const doc = build();
+    const iterator = doc.createNodeIterator(doc.getElementById('root'), NodeFilter.SHOW_ELEMENT);
+    iterator.nextNode();
+    assert.strictEqual(label(iterator.nextNode()), 'p1');
+    assert.strictEqual(label(iterator.nextNode()), 's');
+
+    // 기준 노드(s)의 조상 p1을 제거하면 p1 앞 노드로 이동
+    doc.getElementById('p1').remove();
+    assert.strictEqual(iterator.referenceNode.data, 'a');
+    assert.strictEqual(label(iterator.nextNode()), 'p2');
+
+    // 포인터가 기준 노드 앞에 있을 때 제거하면 다음 노드로 이동
+    assert.strictEqual(label(iterator.previousNode()), 'p2');
+    doc.getElementById('p2').remove();
+    assert.strictEqual(iterator.referenceNode.data, 'f');
+    assert.strictEqual(iterator.pointerBeforeReferenceNode, true);
+    assert.strictEqual(iterator.nextNode(), null);
+  });
+
+  test('필터 안에서 다시 탐색하면 InvalidStateError', () => {
+    const doc = build();
+    const walker = doc.createTreeWalker(doc.getElementById('root'), NodeFilter.SHOW_ALL,
+      () => walker.firstChild());
+    assert.throws(() => walker.nextNode(), (err) => err.name === 'InvalidStateError');
+  });
+});
+
+// ============================================================
+// 22. CSS Selector Tests
+// ============================================================
+describe('CSS Selectors', () => {
+  const doc = new DOMParser().parseFromString(
+    '<div class="card main" id="c1">'
+    + '<p lang="en-US" data-x="1">a</p><p data-x="Hello World">b</p><span>s</span><p>c</p>'
+    + '</div><div class="card"><p>d</p></div>', 'text/html');
+  const texts = (selector, root = doc) => [...root.querySelectorAll(selector)].map(el => el.textContent);
+
+  test('compound 셀렉터와 셀렉터 목록', () => {
+    assert.deepStrictEqual(texts('div.card.main > p'), ['a', 'b', 'c']);
+    assert.deepStrictEqual(texts('DIV#c1 > P[data-x]'), ['a', 'b']);
+    assert.deepStrictEqual(texts('span, p[lang]'), ['a', 's']);
+    assert.strictEqual(doc.querySelectorAll('*').length, 10);
+    assert.ok(doc.querySelectorAll('p') instanceof NodeList);
+  });
+
+  test('네 가지 결합자', () => {
+    assert.deepStrictEqual(texts('body p'), ['a', 'b', 'c', 'd']);
+    assert.deepStrictEqual(texts('.card > p'), ['a', 'b', 'c', 'd']);
+    assert.deepStrictEqual(texts('p + p'), ['b']);
+    assert.deepStrictEqual(texts('span ~ p'), ['c']);
+    assert.deepStrictEqual(texts('div ~ div p'), ['d']);
+  });
+
+  test('속성 연산자와 i/s 플래그', () => {
+    assert.deepStrictEqual(texts('[data-x="1"]'), ['a']);
+    assert.deepStrictEqual(texts('[lang|=en]'), ['a']);
+    assert.deepStrictEqual(texts('[data-x~=World]'), ['b']);
+    assert.deepStrictEqual(texts('[data-x^="Hello"]'), ['b']);
+    assert.deepStrictEqual(texts('[data-x^=hello]'), []);
+    assert.deepStrictEqual(texts('[data-x^=hello i]'), ['b']);
+    assert.deepStrictEqual(texts('[data-x$="world" s]'), []);
+    assert.deepStrictEqual(texts('[data-x*=lo]'), ['b']);
+    assert.deepStrictEqual(texts('[data-x*=""]'), []);
+  });
+
+  test('querySelector, closest는 같은 엔진을 사용', () => {
+    const first = doc.querySelector('.card p + p');
+    assert.strictEqual(first.textContent, 'b');
+    assert.strictEqual(first.closest('div.card').id, 'c1');
+    assert.strictEqual(first.closest('p').textContent, 'b');
+    assert.strictEqual(first.closest('section'), null);
+    assert.deepStrictEqual(texts('p', doc.getElementById('c1')), ['a', 'b', 'c']);
+    // 매칭은 문서 전체 기준, 결과는 자손만
+    assert.deepStrictEqual(texts('body p', doc.getElementById('c1')), ['a', 'b', 'c']);
+  });
+
+  test('이스케이프와 문자열', () => {
+    const div = doc.createElement('div');
+    div.innerHTML = '<b class="a:b" title="x]y">1</b>';
+    assert.strictEqual(div.querySelector('.a\\:b').textContent, '1');
+    assert.strictEqual(div.querySelector('[title="x]y"]').textContent, '1');
+    assert.strictEqual(div.querySelector('.\\61\\:b').textContent, '1');
+  });
+
+  test('잘못된 셀렉터는 SyntaxError', () => {
+    for (const selector of ['', 'div >', 'a,', '.1x', '[x=]', '[x="1" q]', 'p::before', 'p:bogus', '#']) {
+      assert.throws(() => doc.querySelector(selector),
+        (err) => err instanceof DOMException && err.name === 'SyntaxError' && err.code === 12,
+        selector);
+    }
+    assert.throws(() => doc.body.closest('div >'), (err) => err.name === 'SyntaxError');
+  });
+});
+
+// ============================================================
+// 23. Pseudo-class Tests
+// ============================================================
+describe('Pseudo-classes', () => {
+  const doc = new DOMParser().parseFromString(
+    '<ul id="list"><li>1</li><li class="hidden">2</li><li>3</li><li>4</li><li>5</li></ul>'
+    + '<section><h2>t</h2><p>x</p><em></em><p>y</p><span><!--c--></span></section>', 'text/html');
+  const texts = (selector, root = doc) => [...root.querySelectorAll(selector)].map(el => el.textContent);
+
+  test('위치 pseudo-class와 An+B', () => {
+    assert.deepStrictEqual(texts('li:first-child, li:last-child'), ['1', '5']);
+    assert.deepStrictEqual(texts('li:nth-child(2n+1):not(.hidden)'), ['1', '3', '5']);
+    assert.deepStrictEqual(texts('li:nth-child(even)'), ['2', '4']);
+    assert.deepStrictEqual(texts('li:nth-child(-n+2)'), ['1', '2']);
+    assert.deepStrictEqual(texts('li:nth-last-child(2)'), ['4']);
+    assert.deepStrictEqual(texts('li:nth-child( 3n - 1 )'), ['2', '5']);
+    assert.deepStrictEqual(texts('li:nth-child(2 of :not(.hidden))'), ['3']);
+  });
+
+  test('타입 기준 pseudo-class', () => {
+    assert.deepStrictEqual(texts('section > :first-of-type'), ['t', 'x', '', '']);
+    assert.deepStrictEqual(texts('section p:last-of-type'), ['y']);
+    assert.deepStrictEqual(texts('section > :only-of-type'), ['t', '', '']);
+    assert.deepStrictEqual(texts('p:nth-of-type(2), p:nth-last-of-type(2)'), ['x', 'y']);
+    assert.deepStrictEqual(texts('ul:only-child'), []);
+  });
+
+  test(':empty, :root, :scope', () => {
+    assert.deepStrictEqual([...doc.querySelectorAll('section :empty')].map(el => el.tagName), ['EM', 'SPAN']);
+    assert.strictEqual(doc.querySelector(':root'), doc.documentElement);
+    const list = doc.getElementById('list');
+    assert.strictEqual(list.querySelectorAll(':scope > li').length, 5);
+    assert.strictEqual(list.querySelector(':scope'), null);
+    assert.strictEqual(doc.querySelector(':scope'), doc.documentElement);
+    assert.strictEqual(list.firstChild.closest(':scope'), list.firstChild);
+  });
+
+  test(':is, :where, :not', () => {
+    assert.deepStrictEqual(texts(':is(section, ul) > :is(h2, .hidden)'), ['2', 't']);
+    assert.deepStrictEqual(texts(':where(section) p'), ['x', 'y']);
+    assert.deepStrictEqual(texts('section > :not(p, h2)'), ['', '']);
+    assert.deepStrictEqual(texts('li:not(:nth-child(n+3))'), ['1', '2']);
+  });
+
+  test(':has 상대 셀렉터', () => {
+    assert.deepStrictEqual([...doc.querySelectorAll(':has(> p)')].map(el => el.tagName), ['SECTION']);
+    assert.deepStrictEqual([...doc.querySelectorAll('body :has(.hidden)')].map(el => el.id), ['list']);
+    assert.deepStrictEqual(texts('h2:has(+ p)'), ['t']);
+    assert.deepStrictEqual(texts('p:has(~ span)'), ['x', 'y']);
+    assert.deepStrictEqual(texts('li:has(li)'), []);
+  });
+
+  test('잘못된 pseudo-class 인자는 SyntaxError', () => {
+    for (const selector of ['li:nth-child(x)', 'li:nth-child()', 'li:nth-child(2n+)', 'p:not()',
+      'p:has()', 'p:first-child(1)', 'p:hover', 'li:nth-of-type(1 of p)', 'p:is(div']) {
+      assert.throws(() => doc.querySelector(selector),
+        (err) => err instanceof DOMException && err.name === 'SyntaxError', selector);
+    }
+  });
+});
+
+// ============================================================
+// 24. matches / Specificity Tests
+// ============================================================
+describe('matches / Specificity', () => {
+  const doc = new DOMParser().parseFromString(
+    '<div id="app" class="main"><p class="note">a</p><p>b</p></div>', 'text/html');
+  const [first, second] = doc.querySelectorAll('p');
+
+  test('matches는 셀렉터 엔진으로 요소 하나를 검사', () => {
+    assert.strictEqual(first.matches('#app > p.note'), true);
+    assert.strictEqual(second.matches('p.note'), false);
+    assert.strictEqual(second.matches('.note + p, span'), true);
+    assert.strictEqual(second.matches(':last-child:not(.note)'), true);
+    assert.strictEqual(first.matches(':scope'), true);
+  });
+
+  test('webkitMatchesSelector 별칭', () => {
+    assert.strictEqual(first.webkitMatchesSelector('div p:first-child'), true);
+    assert.strictEqual(first.webkitMatchesSelector('div'), false);
+  });
+
+  test('잘못된 셀렉터는 SyntaxError', () => {
+    assert.throws(() => first.matches('p >'), (err) => err instanceof DOMException && err.name === 'SyntaxError');
+    assert.throws(() => getSpecificity('[x'), (err) => err instanceof DOMException && err.name === 'SyntaxError');
+  });
+
+  test('기본 셀렉터의 명시도', () => {
+    assert.deepStrictEqual(getSpecificity('*'), [0, 0, 0]);
+    assert.deepStrictEqual(getSpecificity('li'), [0, 0, 1]);
+    assert.deepStrictEqual(getSpecificity('ul li.item[data-x]'), [0, 2, 2]);
+    assert.deepStrictEqual(getSpecificity('#a #b > p:first-child'), [2, 1, 1]);
+    // 목록이면 가장 높은 값
+    assert.deepStrictEqual(getSpecificity('p, .x, #y'), [1, 0, 0]);
+  });
+
+  test('논리/구조 pseudo-class의 명시도', () => {
+    assert.deepStrictEqual(getSpecificity(':where(#a, .b) p'), [0, 0, 1]);
+    assert.deepStrictEqual(getSpecificity(':is(#a, .b) p'), [1, 0, 1]);
+    assert.deepStrictEqual(getSpecificity('p:not(.a.b, span)'), [0, 2, 1]);
+    assert.deepStrictEqual(getSpecificity('div:has(> p.x)'), [0, 1, 2]);
+    assert.deepStrictEqual(getSpecificity('li:nth-child(2n of .x)'), [0, 2, 1]);
+    assert.deepStrictEqual(getSpecificity('li:nth-child(2n)'), [0, 1, 1]);
+  });
+
+  test('상태/미지원 pseudo-class와 pseudo-element의 명시도', () => {
+    assert.deepStrictEqual(getSpecificity('#a .b:hover::before'), [1, 2, 1]);
+    assert.deepStrictEqual(getSpecificity('a:focus-visible:not(:hover)'), [0, 2, 1]);
+    assert.deepStrictEqual(getSpecificity(':host(.x) p:lang("en")'), [0, 2, 1]);
+    // CSS2의 한 콜론 문법과 인자가 있는 pseudo-element
+    assert.deepStrictEqual(getSpecificity('p:first-line'), [0, 0, 2]);
+    assert.deepStrictEqual(getSpecificity('::part(label)'), [0, 0, 1]);
+    assert.throws(() => getSpecificity('p:hover('), (err) => err.name === 'SyntaxError');
+    // 매칭에서는 여전히 지원하지 않는 셀렉터
+    assert.throws(() => first.matches('p::before'), (err) => err.name === 'SyntaxError');
+  });
+});
+
+// ============================================================
+// 25. Query Index Tests
+// ============================================================
+describe('Query Indexes', () => {
+  const build = () => new DOMParser().parseFromString(
+    '<div id="a" class="x y"><p id="b" class="y">1</p><p class="x">2</p></div><p id="c">3</p>', 'text/html');
+
+  test('getElementById는 속성 변경과 삽입/제거를 따라감', () => {
+    const doc = build();
+    const b = doc.getElementById('b');
+    assert.strictEqual(b.textContent, '1');
+
+    b.id = 'renamed';
+    assert.strictEqual(doc.getElementById('b'), null);
+    assert.strictEqual(doc.getElementById('renamed'), b);
+
+    b.removeAttribute('id');
+    assert.strictEqual(doc.getElementById('renamed'), null);
+
+    const div = doc.getElementById('a');
+    div.remove();
+    assert.strictEqual(doc.getElementById('a'), null);
+    doc.body.prepend(div);
+    assert.strictEqual(doc.getElementById('a'), div);
+    assert.strictEqual(doc.getElementById(''), null);
+  });
+
+  test('문서에 연결되지 않은 요소는 색인되지 않음', () => {
+    const doc = build();
+    const span = doc.createElement('span');
+    span.id = 'late';
+    span.innerHTML = '<i id="inner"></i>';
+    assert.strictEqual(doc.getElementById('late'), null);
+    assert.strictEqual(doc.querySelector('#inner'), null);
+
+    doc.body.appendChild(span);
+    assert.strictEqual(doc.getElementById('late'), span);
+    assert.strictEqual(doc.querySelector('#inner'), span.firstChild);
+  });
+
+  test('중복 id는 트리 순서상 첫 번째 요소', () => {
+    const doc = build();
+    const c = doc.getElementById('c');
+    const dup = doc.createElement('p');
+    dup.id = 'c';
+    doc.body.appendChild(dup);
+    assert.strictEqual(doc.getElementById('c'), c);
+    doc.body.prepend(dup);
+    assert.strictEqual(doc.getElementById('c'), dup);
+    assert.deepStrictEqual([...doc.querySelectorAll('#c')], [dup, c]);
+  });
+
+  test('.class 조회는 색인을 쓰고 classList 변경을 반영', () => {
+    const doc = build();
+    const div = doc.getElementById('a');
+    const texts = (selector, root = doc) => [...root.querySelectorAll(selector)].map(el => el.id || el.textContent);
+    assert.deepStrictEqual(texts('.x'), ['a', '2']);
+    assert.deepStrictEqual(texts('.y', div), ['b']);
+
+    const live = doc.getElementsByClassName('y x');
+    assert.deepStrictEqual([...live].map(el => el.id), ['a']);
+    doc.getElementById('b').classList.add('x');
+    assert.deepStrictEqual([...live].map(el => el.id), ['a', 'b']);
+    div.classList.remove('y');
+    assert.deepStrictEqual([...live].map(el => el.id), ['b']);
+    assert.deepStrictEqual(texts('.y'), ['b']);
+    assert.strictEqual(doc.querySelector('.missing'), null);
+  });
+
+  test('컴파일된 셀렉터는 문서별로 캐시', () => {
+    const doc = build();
+    assert.strictEqual(doc.querySelectorAll('div > p').length, 2);
+    assert.ok(doc._selectorCache.has('div > p'));
+    const matcher = doc._selectorCache.get('div > p');
+    doc.getElementById('c').matches('div > p');
+    assert.strictEqual(doc._selectorCache.get('div > p'), matcher);
+    assert.throws(() => doc.querySelector('div >'), (err) => err.name === 'SyntaxError');
+    assert.ok(!doc._selectorCache.has('div >'));
+  });
+
+  test('큰 문서에서도 같은 결과', () => {
+    const doc = new DOMParser().parseFromString('', 'text/html');
+    for (let i = 0; i < 2000; i++) {
+      const el = doc.createElement('div');
+      el.id = `n${i}`;
+      el.className = i % 2 ? 'odd' : 'even';
+      doc.body.appendChild(el);
+    }
+    assert.strictEqual(doc.getElementById('n1999').id, 'n1999');
+    assert.strictEqual(doc.querySelector('.odd').id, 'n1');
+    assert.strictEqual(doc.getElementsByClassName('even').length, 1000);
+    assert.strictEqual(doc.querySelectorAll('.odd')[999].id, 'n1999');
+  });
+
+  test('.class / #id 조회는 셀렉터 매칭 없이 색인 버킷에서 답함', () => {
+    const doc = new DOMParser().parseFromString(
+      `<ul>${'<li class="item">x</li>'.repeat(2000)}</ul><p id="d"></p><p id="d"></p>`, 'text/html');
+    const ul = doc.querySelector('ul');
+    // 버킷 삽입 순서가 트리 순서와 다르게 되도록 뒤쪽 항목을 앞으로 옮김
+    const moved = ul.lastChild;
+    moved.id = 'moved';
+    ul.prepend(moved);
+
+    // 캐시된 매처와 색인 조회를 감시
+    let matcherCalls = 0;
+    const countingMatcher = () => { matcherCalls++; return true; };
+    doc._selectorCache.set('.item', countingMatcher);
+    doc._selectorCache.set('#d', countingMatcher);
+    const buckets = [];
+    for (const index of [doc._classIndex, doc._idIndex]) {
+      const get = index.get.bind(index);
+      index.get = (key) => { buckets.push(key); return get(key); };
+    }
+
+    const items = doc.querySelectorAll('.item');
+    assert.strictEqual(items.length, 2000);
+    assert.strictEqual(items[0], moved);
+    assert.strictEqual(items[1], ul.children[1]);
+    assert.strictEqual(doc.querySelector('.item'), moved);
+    assert.strictEqual(ul.querySelectorAll('.item')[1999], ul.lastChild);
+    const [d1, d2] = doc.body.getElementsByTagName('p');
+    assert.strictEqual(doc.querySelector('#d'), d1);
+    assert.deepStrictEqual([...doc.querySelectorAll('#d')], [d1, d2]);
+    assert.strictEqual(doc.getElementById('d'), d1);
+
+    assert.strictEqual(matcherCalls, 0);
+    assert.deepStrictEqual(buckets, ['item', 'item', 'item', 'd', 'd', 'd']);
+  });
+});
+
+// ============================================================
+// 26. XPath Tests
+// ============================================================
+describe('XPath', () => {
+  const doc = new DOMParser().parseFromString(
+    '<div id="main" class="box"><p lang="en">one</p><p>two <b>2</b></p><!--note--></div>'
+    + '<ul><li>1</li><li>2</li><li>3</li></ul>', 'text/html');
+  const snapshot = (expression, context = doc) => {
+    const result = doc.evaluate(expression, context, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE);
+    return Array.from({ length: result.snapshotLength }, (_, i) => result.snapshotItem(i));
+  };
+  const value = (expression, type, context = doc) => doc.evaluate(expression, context, null, type);
+
+  test('위치 경로와 술어', () => {
+    assert.deepStrictEqual(snapshot('//li').map(li => li.textContent), ['1', '2', '3']);
+    assert.strictEqual(snapshot('//li[2]')[0].textContent, '2');
+    assert.strictEqual(snapshot('//li[last()]')[0].textContent, '3');
+    assert.deepStrictEqual(snapshot('/html/body/*').map(el => el.tagName), ['DIV', 'UL']);
+    assert.deepStrictEqual(snapshot('//li[. > 1][position() = 1]').map(li => li.textContent), ['2']);
+    assert.deepStrictEqual(snapshot('descendant::li[1]', doc.body).map(li => li.textContent), ['1']);
+    assert.deepStrictEqual(snapshot('//P[@lang]/../@id').map(attr => attr.value), ['main']);
+  });
+
+  test('축, 노드 테스트, 합집합은 문서 순서', () => {
+    assert.deepStrictEqual(snapshot('//b/ancestor::*').map(el => el.localName), ['html', 'body', 'div', 'p']);
+    assert.strictEqual(snapshot('//b/ancestor::*[1]')[0].localName, 'p');
+    assert.deepStrictEqual(snapshot('//ul | //p | //div').map(el => el.localName), ['div', 'p', 'p', 'ul']);
+    assert.deepStrictEqual(snapshot('//b/preceding::*').map(el => el.localName), ['head', 'p']);
+    assert.deepStrictEqual(snapshot('//li[3]/preceding-sibling::li').map(li => li.textContent), ['1', '2']);
+    assert.strictEqual(snapshot('//comment()')[0].data, 'note');
+    assert.deepStrictEqual(snapshot('//div//text()').map(text => text.data), ['one', 'two ', '2']);
+    const attrs = snapshot('//div/@*');
+    assert.deepStrictEqual(attrs.map(attr => [attr.nodeType, attr.name, attr.value]),
+      [[Node.ATTRIBUTE_NODE, 'id', 'main'], [Node.ATTRIBUTE_NODE, 'class', 'box']]);
+    assert.strictEqual(attrs[0].ownerElement, doc.getElementById('main'));
+  });
+
+  test('number, string, boolean 결과와 함수', () => {
+    assert.strictEqual(value('count(//li)', XPathResult.NUMBER_TYPE).numberValue, 3);
+    assert.strictEqual(value('sum(//li) div 4', XPathResult.NUMBER_TYPE).numberValue, 1.5);
+    assert.strictEqual(value('//p[2]', XPathResult.STRING_TYPE).stringValue, 'two 2');
+    assert.strictEqual(value('concat(name(//div), "-", 1 div 0, "-", 0.0000001)', XPathResult.STRING_TYPE)
+      .stringValue, 'div-Infinity-0.0000001');
+    assert.strictEqual(value('substring("12345", 1.5, 2.6)', XPathResult.STRING_TYPE).stringValue, '234');
+    assert.strictEqual(value('translate(normalize-space("  a  b "), "ab", "B")', XPathResult.STRING_TYPE)
+      .stringValue, 'B ');
+    assert.strictEqual(value('//li = 2 and not(//li = "4")', XPathResult.BOOLEAN_TYPE).booleanValue, true);
+    assert.strictEqual(value('id("main")/p[1]/@lang = "en"', XPathResult.ANY_TYPE).booleanValue, true);
+  });
+
+  test('ANY_TYPE, FIRST_ORDERED_NODE_TYPE, 반복자', () => {
+    const any = value('//li', XPathResult.ANY_TYPE);
+    assert.strictEqual(any.resultType, XPathResult.UNORDERED_NODE_ITERATOR_TYPE);
+    assert.strictEqual(any.iterateNext().textContent, '1');
+    assert.strictEqual(any.iterateNext().textContent, '2');
+    assert.strictEqual(value('//li', XPathResult.FIRST_ORDERED_NODE_TYPE).singleNodeValue.textContent, '1');
+    assert.strictEqual(value('//table', XPathResult.FIRST_ORDERED_NODE_TYPE).singleNodeValue, null);
+    assert.throws(() => any.numberValue, TypeError);
+    assert.throws(() => value('1 + 1', XPathResult.ORDERED_NODE_SNAPSHOT_TYPE), TypeError);
+
+    doc.body.appendChild(doc.createElement('hr'));
+    assert.strictEqual(any.invalidIteratorState, true);
+    assert.throws(() => any.iterateNext(), (err) => err.name === 'InvalidStateError');
+  });
+
+  test('네임스페이스 접두사와 createExpression', () => {
+    const xml = new DOMParser().parseFromString(
+      '<r xmlns:x="urn:x"><x:a n="1"/><a xml:lang="en-GB"/><?pi d?></r>', 'application/xml');
+    const resolver = prefix => (prefix === 'ns' ? 'urn:x' : null);
+    assert.strictEqual(xml.evaluate('count(//ns:a)', xml, resolver, XPathResult.NUMBER_TYPE).numberValue, 1);
+    assert.strictEqual(xml.evaluate('count(/r/a)', xml, null, XPathResult.NUMBER_TYPE).numberValue, 1);
+    assert.strictEqual(xml.evaluate('name(/r/processing-instruction("pi"))', xml, null, XPathResult.STRING_TYPE)
+      .stringValue, 'pi');
+    assert.throws(() => xml.evaluate('//ns:a', xml), (err) => err.name === 'NamespaceError');
+
+    const expression = xml.createExpression('lang("en")', { lookupNamespaceURI: resolver });
+    assert.ok(expression instanceof XPathExpression);
+    const [x, a] = xml.documentElement.children;
+    assert.strictEqual(expression.evaluate(a, XPathResult.BOOLEAN_TYPE).booleanValue, true);
+    assert.strictEqual(expression.evaluate(x, XPathResult.BOOLEAN_TYPE).booleanValue, false);
+  });
+
+  test('잘못된 식은 SyntaxError', () => {
+    for (const expression of ['//', 'p[', 'foo()', 'count()', '1 +', '$x', 'bogus::p', '@', '"open']) {
+      assert.throws(() => doc.evaluate(expression, doc),
+        (err) => err instanceof DOMException && err.name === 'SyntaxError' && err.code === 12, expression);
+    }
+    assert.throws(() => doc.evaluate('//p', {}), TypeError);
+  });
+});
+
+// ============================================================
+// 27. AbortSignal / Passive Listener Tests
+// ============================================================
+describe('AbortSignal / Passive Listeners', () => {
+  test('signal이 abort되면 리스너가 한꺼번에 제거됨', () => {
+    const target = new EventTarget();
+    const controller = new AbortController();
+    let count = 0;
+    target.addEventListener('a', () => { count++; }, { signal: controller.signal });
+    target.addEventListener('b', () => { count++; }, { signal: controller.signal, capture: true });
+    target.dispatchEvent(new Event('a'));
+    target.dispatchEvent(new Event('b'));
+    assert.strictEqual(count, 2);
+
+    controller.abort();
+    target.dispatchEvent(new Event('a'));
+    target.dispatchEvent(new Event('b'));
+    assert.strictEqual(count, 2);
+    assert.deepStrictEqual(target._listeners, { a: [], b: [] });
+  });
+
+  test('이미 abort된 signal로는 등록되지 않음', () => {
+    const target = new EventTarget();
+    let called = false;
+    target.addEventListener('test', () => { called = true; }, { signal: AbortSignal.abort() });
+    target.dispatchEvent(new Event('test'));
+    assert.strictEqual(called, false);
+  });
+
+  test('abort 상태, reason, abort 이벤트', () => {
+    const controller = new AbortController();
+    const { signal } = controller;
+    assert.ok(signal instanceof EventTarget);
+    assert.strictEqual(signal.aborted, false);
+    signal.throwIfAborted();
+
+    const events = [];
+    signal.onabort = (e) => events.push(['onabort', e.type]);
+    signal.addEventListener('abort', () => events.push(['listener', signal.aborted]));
+    controller.abort();
+    controller.abort();
+    assert.deepStrictEqual(events, [['onabort', 'abort'], ['listener', true]]);
+    assert.strictEqual(signal.reason.name, 'AbortError');
+    assert.throws(() => signal.throwIfAborted(), (err) => err instanceof DOMException && err.code === 20);
+
+    const custom = new AbortController();
+    custom.abort('stop');
+    assert.strictEqual(custom.signal.reason, 'stop');
+  });
+
+  test('디스패치 중에 abort되면 남은 리스너는 호출되지 않음', () => {
+    const target = new EventTarget();
+    const controller = new AbortController();
+    const calls = [];
+    target.addEventListener('test', () => { calls.push(1); controller.abort(); });
+    target.addEventListener('test', () => calls.push(2), { signal: controller.signal });
+    target.dispatchEvent(new Event('test'));
+    assert.deepStrictEqual(calls, [1]);
+  });
+
+  test('직접 제거한 리스너는 signal에 남지 않음', () => {
+    const target = new EventTarget();
+    const controller = new AbortController();
+    const handler = () => {};
+    target.addEventListener('test', handler, { signal: controller.signal });
+    assert.strictEqual(controller.signal._abortAlgorithms.size, 1);
+    target.removeEventListener('test', handler);
+    assert.strictEqual(controller.signal._abortAlgorithms.size, 0);
+  });
+
+  test('passive 리스너의 preventDefault는 무시되고 경고 훅 호출', () => {
+    const original = Event.onPassivePreventDefault;
+    const warnings = [];
+    Event.onPassivePreventDefault = (event) => warnings.push(event.type);
+    try {
+      const target = new EventTarget();
+      target.addEventListener('wheel', (e) => e.preventDefault(), { passive: true });
+      const passiveEvent = new Event('wheel', { cancelable: true });
+      assert.strictEqual(target.dispatchEvent(passiveEvent), true);
+      assert.strictEqual(passiveEvent.defaultPrevented, false);
+      assert.deepStrictEqual(warnings, ['wheel']);
+
+      // 같은 이벤트라도 passive가 아닌 리스너에서는 동작
+      target.addEventListener('wheel', (e) => e.preventDefault());
+      const event = new Event('wheel', { cancelable: true });
+      assert.strictEqual(target.dispatchEvent(event), false);
+      assert.deepStrictEqual(warnings, ['wheel', 'wheel']);
+    } finally {
+      Event.onPassivePreventDefault = original;
+    }
+  });
+});
+
+// ============================================================
+// 28. Listener De-duplication / handleEvent Tests
+// ============================================================
+describe('Listener De-duplication / handleEvent', () => {
+  test('같은 리스너와 capture로 다시 등록하면 무시', () => {
+    const target = new EventTarget();
+    let count = 0;
+    const handler = () => { count++; };
+    target.addEventListener('test', handler);
+    target.addEventListener('test', handler);
+    target.addEventListener('test', handler, { capture: false, once: true });
+    target.dispatchEvent(new Event('test'));
+    target.dispatchEvent(new Event('test'));
+    assert.strictEqual(count, 2);
+    assert.strictEqual(target._listeners.test.length, 1);
+  });
+
+  test('capture가 다르면 별개의 리스너', () => {
+    const parent = new Node(1);
+    const child = new Node(1);
+    parent.appendChild(child);
+    const phases = [];
+    const handler = (e) => phases.push(e.eventPhase);
+    parent.addEventListener('test', handler, true);
+    parent.addEventListener('test', handler, { capture: true });
+    parent.addEventListener('test', handler);
+    child.dispatchEvent(new Event('test', { bubbles: true }));
+    assert.deepStrictEqual(phases, [Event.CAPTURING_PHASE, Event.BUBBLING_PHASE]);
+
+    parent.removeEventListener('test', handler, true);
+    child.dispatchEvent(new Event('test', { bubbles: true }));
+    assert.deepStrictEqual(phases, [Event.CAPTURING_PHASE, Event.BUBBLING_PHASE, Event.BUBBLING_PHASE]);
+  });
+
+  test('handleEvent 객체는 객체 자신을 this로 호출', () => {
+    const target = new EventTarget();
+    const controller = {
+      events: [],
+      handleEvent(event) {
+        this.events.push([this === controller, event.type, event.currentTarget === target]);
+      },
+    };
+    target.addEventListener('click', controller);
+    target.addEventListener('click', controller);
+    target.dispatchEvent(new Event('click'));
+    assert.deepStrictEqual(controller.events, [[true, 'click', true]]);
+
+    target.removeEventListener('click', controller);
+    target.dispatchEvent(new Event('click'));
+    assert.strictEqual(controller.events.length, 1);
+  });
+
+  test('handleEvent는 호출 시점에 조회', () => {
+    const target = new EventTarget();
+    const calls = [];
+    const listener = { handleEvent: () => calls.push('first') };
+    target.addEventListener('test', listener);
+    listener.handleEvent = () => calls.push('second');
+    target.dispatchEvent(new Event('test'));
+    assert.deepStrictEqual(calls, ['second']);
+  });
+
+  test('null 리스너는 무시', () => {
+    const target = new EventTarget();
+    target.addEventListener('test', null);
+    assert.strictEqual(target._listeners.test, undefined);
+    assert.strictEqual(target.dispatchEvent(new Event('test')), true);
+  });
+});
+
+// ============================================================
+// 29. Event Path / Dispatch State Tests
+// ============================================================
+describe('Event Path / Dispatch State', () => {
+  const buildTree = () => {
+    const doc = new DOMParser().parseFromString('<div><p><b>x</b></p></div>', 'text/html');
+    return { doc, p: doc.querySelector('p'), b: doc.querySelector('b') };
+  };
+
+  test('composedPath는 target부터 document까지', () => {
+    const { doc, p, b } = buildTree();
+    let path = null;
+    p.addEventListener('test', (e) => { path = e.composedPath(); });
+    b.dispatchEvent(new Event('test', { bubbles: true }));
+    assert.deepStrictEqual(path.map(node => node.nodeName), ['B', 'P', 'DIV', 'BODY', 'HTML', '#document']);
+    assert.strictEqual(path[path.length - 1], doc);
+  });
+
+  test('경로는 디스패치 시작 시점으로 고정', () => {
+    const { doc, p, b } = buildTree();
+    const seen = [];
+    b.addEventListener('test', (e) => {
+      // 리스너가 target을 트리에서 떼어내도 전파 경로와 composedPath는 그대로
+      p.remove();
+      seen.push(e.composedPath().length);
+    });
+    doc.body.addEventListener('test', (e) => seen.push(e.composedPath()[1] === p));
+    b.dispatchEvent(new Event('test', { bubbles: true }));
+    assert.deepStrictEqual(seen, [6, true]);
+  });
+
+  test('디스패치가 끝나면 currentTarget, eventPhase, composedPath 초기화', () => {
+    const { b } = buildTree();
+    const event = new Event('test', { bubbles: true });
+    let during = null;
+    b.addEventListener('test', (e) => { during = [e.currentTarget, e.eventPhase]; });
+    b.dispatchEvent(event);
+    assert.deepStrictEqual(during, [b, Event.AT_TARGET]);
+    assert.strictEqual(event.currentTarget, null);
+    assert.strictEqual(event.eventPhase, Event.NONE);
+    assert.strictEqual(event.target, b);
+    assert.deepStrictEqual(event.composedPath(), []);
+  });
+
+  test('디스패치 중인 이벤트를 다시 디스패치하면 InvalidStateError', () => {
+    const { p, b } = buildTree();
+    const event = new Event('test', { bubbles: true });
+    let error = null;
+    b.addEventListener('test', (e) => {
+      try {
+        p.dispatchEvent(e);
+      } catch (err) {
+        error = err;
+      }
+    });
+    b.dispatchEvent(event);
+    assert.ok(error instanceof DOMException);
+    assert.strictEqual(error.name, 'InvalidStateError');
+  });
+
+  test('끝난 이벤트는 다시 디스패치 가능 (전파 중단 상태도 초기화)', () => {
+    const { p, b } = buildTree();
+    const event = new Event('test', { bubbles: true });
+    let count = 0;
+    p.addEventListener('test', () => { count++; });
+    const stopper = (e) => e.stopPropagation();
+    b.addEventListener('test', stopper);
+    b.dispatchEvent(event);
+    assert.strictEqual(count, 0);
+
+    b.removeEventListener('test', stopper);
+    b.dispatchEvent(event);
+    assert.strictEqual(count, 1);
+  });
+});
+
+// ============================================================
+// 30. Event Subclass Tests
+// ============================================================
+describe('Event Subclasses', () => {
+  test('CustomEvent는 detail을 전달', () => {
+    const target = new EventTarget();
+    let received = null;
+    target.addEventListener('saved', (e) => { received = e.detail; });
+    target.dispatchEvent(new CustomEvent('saved', { detail: { id: 7 } }));
+    assert.deepStrictEqual(received, { id: 7 });
+    assert.strictEqual(new CustomEvent('x').detail, null);
+    assert.ok(new CustomEvent('x') instanceof Event);
+  });
+
+  test('상속 계층', () => {
+    const pointer = new PointerEvent('pointerdown');
+    assert.ok(pointer instanceof MouseEvent && pointer instanceof UIEvent && pointer instanceof Event);
+    assert.ok(new WheelEvent('wheel') instanceof MouseEvent);
+    for (const EventClass of [KeyboardEvent, FocusEvent, InputEvent]) {
+      assert.ok(new EventClass('x') instanceof UIEvent);
+    }
+    assert.ok(!(new SubmitEvent('submit') instanceof UIEvent));
+  });
+
+  test('MouseEvent / PointerEvent / WheelEvent 필드와 기본값', () => {
+    const related = new EventTarget();
+    const mouse = new MouseEvent('click', {
+      bubbles: true, clientX: 10, clientY: 20, button: 2, buttons: 2, relatedTarget: related, detail: 1,
+    });
+    assert.deepStrictEqual([mouse.clientX, mouse.clientY, mouse.x, mouse.y], [10, 20, 10, 20]);
+    assert.deepStrictEqual([mouse.button, mouse.buttons, mouse.detail], [2, 2, 1]);
+    assert.strictEqual(mouse.relatedTarget, related);
+    assert.strictEqual(mouse.bubbles, true);
+
+    const defaults = new MouseEvent('mousemove');
+    assert.deepStrictEqual([defaults.screenX, defaults.clientX, defaults.button, defaults.buttons], [0, 0, 0, 0]);
+    assert.deepStrictEqual([defaults.relatedTarget, defaults.view, defaults.ctrlKey], [null, null, false]);
+
+    const pointer = new PointerEvent('pointerdown', { pointerId: 3, pointerType: 'pen', pressure: 0.5 });
+    assert.deepStrictEqual([pointer.pointerId, pointer.pointerType, pointer.pressure], [3, 'pen', 0.5]);
+    assert.deepStrictEqual([pointer.width, pointer.height, pointer.isPrimary], [1, 1, false]);
+
+    const wheel = new WheelEvent('wheel', { deltaY: 120, deltaMode: WheelEvent.DOM_DELTA_LINE });
+    assert.deepStrictEqual([wheel.deltaX, wheel.deltaY, wheel.deltaMode], [0, 120, 1]);
+  });
+
+  test('KeyboardEvent 필드와 getModifierState', () => {
+    const event = new KeyboardEvent('keydown', {
+      key: 'A', code: 'KeyA', shiftKey: true, modifierCapsLock: true, repeat: true,
+      location: KeyboardEvent.DOM_KEY_LOCATION_LEFT,
+    });
+    assert.deepStrictEqual([event.key, event.code, event.repeat, event.location], ['A', 'KeyA', true, 1]);
+    assert.strictEqual(event.shiftKey, true);
+    assert.strictEqual(event.getModifierState('Shift'), true);
+    assert.strictEqual(event.getModifierState('CapsLock'), true);
+    assert.strictEqual(event.getModifierState('Control'), false);
+    assert.strictEqual(event.getModifierState('shift'), false);
+    assert.strictEqual(event.getModifierState('constructor'), false);
+
+    const empty = new KeyboardEvent('keyup');
+    assert.deepStrictEqual([empty.key, empty.code, empty.isComposing, empty.keyCode], ['', '', false, 0]);
+    assert.strictEqual(new MouseEvent('click', { metaKey: true }).getModifierState('Meta'), true);
+  });
+
+  test('FocusEvent, InputEvent, SubmitEvent', () => {
+    const doc = new DOMParser().parseFromString('<form><input><button>ok</button></form>', 'text/html');
+    const input = doc.querySelector('input');
+    const button = doc.querySelector('button');
+
+    const focus = new FocusEvent('focus', { relatedTarget: button });
+    assert.strictEqual(focus.relatedTarget, button);
+    assert.strictEqual(new FocusEvent('blur').relatedTarget, null);
+
+    const inputEvent = new InputEvent('input', { data: 'a', inputType: 'insertText', bubbles: true });
+    assert.deepStrictEqual([inputEvent.data, inputEvent.inputType, inputEvent.isComposing], ['a', 'insertText', false]);
+    assert.deepStrictEqual([new InputEvent('input').data, new InputEvent('input').inputType], [null, '']);
+
+    let submitter;
+    doc.querySelector('form').addEventListener('submit', (e) => { submitter = e.submitter; });
+    input.parentNode.dispatchEvent(new SubmitEvent('submit', { submitter: button, cancelable: true }));
+    assert.strictEqual(submitter, button);
+    assert.strictEqual(new SubmitEvent('submit').submitter, null);
+  });
+});
+
 // ============================================================
 // Summary
 // ============================================================